@@ -1,15 +1,38 @@
 import {
-  addMessage,
   buildConfig,
   extractText,
   formatPromptBlock,
   USER_QUERY_MARKER,
-  searchMemory,
 } from "./lib/memos-cloud-api.js";
 
 import { isHeartbeatEvent, debugEventSnapshot } from "./lib/heartbeat-filter.js";
 import { initStats, recordEvent, getConfigOverrides } from "./lib/stats.js";
+import { initHistory } from "./lib/event-history.js";
 import { startDashboard } from "./lib/dashboard/server.js";
+import { initConfigStore, getConfig } from "./lib/config-store.js";
+import { initOutbox, enqueueAdd, replayOutbox, getOutboxStatus, isRetryableAddError } from "./lib/outbox.js";
+import { redactMessages } from "./lib/redaction.js";
+import { createToolCollector, isToolResultOnly } from "./lib/tool-capture.js";
+import { resolveRoute } from "./lib/routing.js";
+import { resolveUserId } from "./lib/identity.js";
+import { registerMemoryTools } from "./lib/agent-tools.js";
+import { registerChatCommands, isMemoryPaused, noteInjection } from "./lib/chat-commands.js";
+import { findCaptureStart, getCaptureCursor, advanceCaptureCursor } from "./lib/capture-cursor.js";
+import { buildRecallQueries, mergeRecallResults, smartTruncate } from "./lib/recall-query.js";
+import { filterRecallResult, countRecallItems } from "./lib/recall-filter.js";
+import { saveInspection, setRecallReplayer } from "./lib/recall-inspector.js";
+import { getBackend, hasBackendCredentials } from "./lib/backends/index.js";
+import { setImportPayloadBuilder } from "./lib/memory-import.js";
+import { initBackups } from "./lib/memory-export.js";
+import { initTracing, startSpan, runInSpan } from "./lib/tracing.js";
+import {
+  recallCacheKey,
+  getCachedRecall,
+  setCachedRecall,
+  invalidateRecallCache,
+  rememberSessionRecall,
+  getSessionRecall,
+} from "./lib/recall-cache.js";
 
 /**
  * Strips MemOS boilerplate from prompt for cleaner dashboard logs.
@@ -36,7 +59,15 @@ const MEMOS_SOURCE = "openclaw";
 
 function warnMissingApiKey(log, context) {
   const heading = "[memos-cloud] Missing MEMOS_API_KEY (Token auth)";
-  const header = `${heading}${context ? `; ${context} skipped` : ""}. Configure it with:`;
+  warnApiKeySetup(log, `${heading}${context ? `; ${context} skipped` : ""}. Configure it with:`);
+}
+
+function warnRejectedApiKey(log, context, err) {
+  const heading = `[memos-cloud] MemOS rejected MEMOS_API_KEY (${err.message})`;
+  warnApiKeySetup(log, `${heading}${context ? `; ${context} failed` : ""}. Check or replace it with:`);
+}
+
+function warnApiKeySetup(log, header) {
   log.warn?.(
     [
       header,
@@ -82,15 +113,42 @@ function resolveConversationId(cfg, ctx) {
   return `${prefix}openclaw-${Date.now()}${dynamicSuffix}${suffix}`;
 }
 
-function buildSearchPayload(cfg, prompt, ctx) {
+function recallSessionKey(ctx, userId) {
+  const session = ctx?.sessionKey || ctx?.sessionId || (ctx?.agentId ? `openclaw:${ctx.agentId}` : "");
+  // Shared chats with per-sender identities must not reuse each other's stale recall.
+  return session && userId ? `${session}|${userId}` : session;
+}
+
+const BUDGET_EXCEEDED = Symbol("recall-budget-exceeded");
+
+/**
+ * Resolve with the promise's value, or BUDGET_EXCEEDED once budgetMs elapses.
+ * The promise itself keeps running.
+ */
+function withinBudget(promise, budgetMs) {
+  if (!Number.isFinite(budgetMs) || budgetMs <= 0) return promise;
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(BUDGET_EXCEEDED), budgetMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {string} prompt – query text (raw prompt or a built recall query)
+ * @param {object} [event] – hook event, for sender identity when the query
+ *   no longer carries OpenClaw's metadata blocks
+ */
+function buildSearchPayload(cfg, prompt, ctx, event) {
   const queryRaw = `${cfg.queryPrefix || ""}${prompt}`;
+  const truncate = (cfg.queryStrategy ?? "prompt") === "prompt" ? (q, n) => q.slice(0, n) : smartTruncate;
   const query =
     Number.isFinite(cfg.maxQueryChars) && cfg.maxQueryChars > 0
-      ? queryRaw.slice(0, cfg.maxQueryChars)
+      ? truncate(queryRaw, cfg.maxQueryChars)
       : queryRaw;
 
   const payload = {
-    user_id: cfg.userId,
+    user_id: resolveUserId(cfg, ctx, event ?? { prompt }).userId,
     query,
     source: MEMOS_SOURCE,
   };
@@ -112,9 +170,50 @@ function buildSearchPayload(cfg, prompt, ctx) {
   return payload;
 }
 
-function buildAddMessagePayload(cfg, messages, ctx) {
+/**
+ * Search every sub-query in parallel and merge; one failing is fine as long
+ * as another answers.
+ */
+async function searchRecallPayloads(cfg, payloads) {
+  const backend = getBackend(cfg);
+  if (payloads.length === 1) return backend.search(cfg, payloads[0]);
+  const settled = await Promise.allSettled(payloads.map((p) => backend.search(cfg, p)));
+  const ok = settled.filter((s) => s.status === "fulfilled").map((s) => s.value);
+  if (!ok.length) throw settled[0].reason;
+  return mergeRecallResults(ok, cfg);
+}
+
+/**
+ * Relevance filter, dedup and token budget, then the prompt block.
+ * @returns {{ promptBlock: string, result: object, dropped: {count: number, items: object[]} | undefined }}
+ */
+function renderRecall(raw, cfg) {
+  const { result, dropped, droppedCount } = filterRecallResult(raw, cfg);
+  const promptBlock = formatPromptBlock(result, {
+    wrapTagBlocks: true,
+    promptStyle: cfg.promptStyle,
+    promptTemplate: cfg.promptTemplate,
+  });
+  return { promptBlock, result, dropped: droppedCount ? { count: droppedCount, items: dropped } : undefined };
+}
+
+/**
+ * Re-run a recorded recall with the current config (dashboard recall
+ * inspector). No cache, no session fallback, no stats.
+ */
+async function replayRecall({ event, ctx }) {
+  const { cfg } = resolveRoute(getConfig(), ctx);
+  if (!hasBackendCredentials(cfg)) throw new Error("MemOS API key is not configured (MEMOS_API_KEY).");
+  const { strategy, queries } = buildRecallQueries(cfg, event);
+  const payloads = queries.map((query) => buildSearchPayload(cfg, query, ctx, event));
+  const raw = await searchRecallPayloads(cfg, payloads);
+  const { promptBlock, dropped } = renderRecall(raw, cfg);
+  return { strategy, payloads, result: raw, dropped, prependContext: promptBlock };
+}
+
+function buildAddMessagePayload(cfg, messages, ctx, event) {
   const payload = {
-    user_id: cfg.userId,
+    user_id: resolveUserId(cfg, ctx, event).userId,
     conversation_id: resolveConversationId(cfg, ctx),
     messages,
     source: MEMOS_SOURCE,
@@ -142,33 +241,18 @@ function buildAddMessagePayload(cfg, messages, ctx) {
 function pickLastTurnMessages(messages, cfg) {
   const lastUserIndex = messages
     .map((m, idx) => ({ m, idx }))
-    .filter(({ m }) => m?.role === "user")
+    .filter(({ m }) => m?.role === "user" && !isToolResultOnly(m))
     .map(({ idx }) => idx)
     .pop();
 
   if (lastUserIndex === undefined) return [];
 
-  const slice = messages.slice(lastUserIndex);
-  const results = [];
-
-  for (const msg of slice) {
-    if (!msg || !msg.role) continue;
-    if (msg.role === "user") {
-      const content = stripPrependedPrompt(extractText(msg.content));
-      if (content) results.push({ role: "user", content: truncate(content, cfg.maxMessageChars) });
-      continue;
-    }
-    if (msg.role === "assistant" && cfg.includeAssistant) {
-      const content = extractText(msg.content);
-      if (content) results.push({ role: "assistant", content: truncate(content, cfg.maxMessageChars) });
-    }
-  }
-
-  return results;
+  return pickFullSessionMessages(messages.slice(lastUserIndex), cfg);
 }
 
 function pickFullSessionMessages(messages, cfg) {
   const results = [];
+  const tools = createToolCollector(cfg);
   for (const msg of messages) {
     if (!msg || !msg.role) continue;
     if (msg.role === "user") {
@@ -179,16 +263,50 @@ function pickFullSessionMessages(messages, cfg) {
       const content = extractText(msg.content);
       if (content) results.push({ role: "assistant", content: truncate(content, cfg.maxMessageChars) });
     }
+    results.push(...tools.take(msg));
   }
+  results.push(...tools.flush());
   return results;
 }
 
+/**
+ * Pick the messages to capture for the configured strategy.
+ * `markCaptured()` must be called once they are stored (or queued) so the
+ * incremental cursor only moves forward on success.
+ */
+function pickCaptureMessages(messages, cfg, ctx) {
+  if (cfg.captureStrategy === "full_session") {
+    return { picked: pickFullSessionMessages(messages, cfg), markCaptured: () => {} };
+  }
+  if (cfg.captureStrategy !== "incremental") {
+    return { picked: pickLastTurnMessages(messages, cfg), markCaptured: () => {} };
+  }
+
+  const conversationId = resolveConversationId(cfg, ctx);
+  const { start } = findCaptureStart(messages, getCaptureCursor(conversationId));
+  // Cursor lost after a history rewrite: resending everything would duplicate, so only take the last turn.
+  const picked =
+    start === null ? pickLastTurnMessages(messages, cfg) : pickFullSessionMessages(messages.slice(start), cfg);
+  return { picked, markCaptured: () => advanceCaptureCursor(conversationId, messages) };
+}
+
 function truncate(text, maxLen) {
   if (!text) return "";
   if (!maxLen) return text;
   return text.length > maxLen ? `${text.slice(0, maxLen)}...` : text;
 }
 
+// Exposed for tests; OpenClaw only uses the default export.
+export {
+  stripPrependedPrompt,
+  pickLastTurnMessages,
+  pickFullSessionMessages,
+  pickCaptureMessages,
+  resolveConversationId,
+  buildSearchPayload,
+  buildAddMessagePayload,
+};
+
 export default {
   id: "memos-cloud-openclaw-plugin",
   name: "MemOS Cloud OpenClaw Plugin",
@@ -200,24 +318,50 @@ export default {
     const log = api.logger ?? console;
 
     // --- Init stats & merge config overrides from dashboard ---
+    // Handlers read getConfig() per event so dashboard saves apply live.
     initStats();
-    const overrides = getConfigOverrides();
-    const cfg = { ...baseCfg, ...overrides };
+    const cfg = initConfigStore(baseCfg, getConfigOverrides());
+    initHistory(cfg);
+    initTracing(cfg, { log });
+    initOutbox({ log });
+    initBackups({ log });
 
     if (!cfg.envFileStatus?.found) {
       const searchPaths = cfg.envFileStatus?.searchPaths?.join(", ") ?? ENV_FILE_SEARCH_HINTS.join(", ");
       log.warn?.(`[memos-cloud] No .env found in ${searchPaths}; falling back to process env or plugin config.`);
     }
 
+    // --- Recall inspector replays (dashboard) ---
+    setRecallReplayer(replayRecall);
+    setImportPayloadBuilder(buildAddMessagePayload);
+
     // --- Start dashboard ---
     if (cfg.dashboardEnabled) {
       try {
-        startDashboard({ port: cfg.dashboardPort, runtimeConfig: cfg, log });
+        startDashboard({
+          port: cfg.dashboardPort,
+          host: cfg.dashboardHost,
+          token: cfg.dashboardToken,
+          log,
+        });
       } catch (err) {
         log.warn?.(`[memos-cloud] Dashboard start failed: ${err.message}`);
       }
     }
 
+    // --- Agent tools ---
+    if (cfg.agentToolsEnabled && !registerMemoryTools(api, { buildSearchPayload, buildAddMessagePayload })) {
+      log.info?.("[memos-cloud] This OpenClaw version has no registerTool(); memory tools are disabled");
+    }
+
+    // --- Chat commands (/memory, /remember) ---
+    if (cfg.chatCommandsEnabled) {
+      if (api.config?.hooks?.internal?.enabled !== true) {
+        log.warn?.("[memos-cloud] /memory and /remember commands require hooks.internal.enabled = true");
+      }
+      registerChatCommands(api, { buildSearchPayload, buildAddMessagePayload, log });
+    }
+
     if (cfg.conversationSuffixMode === "counter" && cfg.resetOnNew) {
       if (api.config?.hooks?.internal?.enabled !== true) {
         log.warn?.("[memos-cloud] command:new hook requires hooks.internal.enabled = true");
@@ -237,9 +381,13 @@ export default {
     }
 
     api.on("before_agent_start", async (event, ctx) => {
+      // Routing rules may swap user/tags/knowledge bases/switches for this agent or channel.
+      const { cfg, rule } = resolveRoute(getConfig(), ctx);
+      const record = (type, details) => recordEvent(type, { ...details, route: rule });
+
       // --- Heartbeat filter ---
       if (isHeartbeatEvent(event, ctx, cfg)) {
-        recordEvent("heartbeat_filtered", {
+        record("heartbeat_filtered", {
           promptPreview: (event?.prompt ?? "").slice(0, 60),
           debug: cfg.debugEvents ? debugEventSnapshot(event, ctx) : undefined,
         });
@@ -249,27 +397,147 @@ export default {
         return;
       }
 
-      if (!cfg.recallEnabled) return;
+      if (!cfg.recallEnabled || isMemoryPaused(ctx?.sessionKey)) return;
       if (!event?.prompt || event.prompt.length < 3) return;
-      if (!cfg.apiKey) {
+      if (!hasBackendCredentials(cfg)) {
         warnMissingApiKey(log, "recall");
         return;
       }
 
       const t0 = Date.now();
-      try {
-        const payload = buildSearchPayload(cfg, event.prompt, ctx);
-        const result = await searchMemory(cfg, payload);
-        const promptBlock = formatPromptBlock(result, {
-          wrapTagBlocks: true,
-          promptStyle: cfg.promptStyle,
-          promptTemplate: cfg.promptTemplate,
+      const { strategy, queries } = buildRecallQueries(cfg, event);
+      const payloads = queries.map((query) => buildSearchPayload(cfg, query, ctx, event));
+      const payload = payloads[0];
+      const sessionKey = recallSessionKey(ctx, payload.user_id);
+
+      // Ended by the last recordSearch, so it also covers a search that outlives the budget.
+      const span = startSpan("memos.recall", {
+        "memos.backend": getBackend(cfg).name,
+        "memos.conversation_id": resolveConversationId(cfg, ctx),
+        "memos.route": rule,
+        "memos.strategy": strategy,
+        "memos.queries": payloads.length,
+      });
+
+      // Search log entries; with the recall inspector on, also keep the full run.
+      const recordSearch = (type, details, raw, rendered) => {
+        if (type === "search_budget_exceeded") {
+          span.setAttributes({ "memos.budget_exceeded": true, "memos.fallback": details.recall });
+        } else {
+          const found = details.error ? null : countRecallItems(raw);
+          const kept = found && rendered ? countRecallItems(rendered.result) : null;
+          span.setAttributes({
+            "memos.recall": details.recall,
+            "memos.cache": details.cache,
+            "memos.result.facts": found?.fact,
+            "memos.result.preferences": found?.preference,
+            "memos.result.tool_memories": found?.tool,
+            "memos.injected": kept ? kept.fact + kept.preference + kept.tool : undefined,
+            "error.type": details.errorKind,
+          });
+          span.end(details.error);
+        }
+        const entry = record(type, {
+          ...details,
+          strategy,
+          query: payloads.map((p) => p.query).join(" | "),
+          dropped: rendered?.dropped,
+          inspected: cfg.recallInspectorEnabled,
         });
+        if (!cfg.recallInspectorEnabled) return;
+        saveInspection(
+          entry.id,
+          {
+            ctx,
+            event,
+            strategy,
+            payloads,
+            recall: details.recall,
+            result: raw ?? null,
+            dropped: rendered?.dropped,
+            prependContext: rendered?.promptBlock,
+          },
+          cfg,
+        );
+      };
+
+      // Fall back to the last good result for this session (or nothing).
+      const staleContext = () => {
+        const stale = getSessionRecall(sessionKey);
+        const rendered = stale ? renderRecall(stale.result, cfg) : { promptBlock: "" };
+        return { recall: rendered.promptBlock ? "stale" : "none", raw: stale?.result, rendered };
+      };
+
+      // The search itself: may outlive the budget and finish in the background.
+      const search = runInSpan(span, async () => {
+        const cacheKey = cfg.recallCacheEnabled
+          ? recallCacheKey({ ...payload, query: payloads.map((p) => p.query).join("\n") }, cfg)
+          : null;
+        let result = cacheKey ? getCachedRecall(cacheKey) : undefined;
+        const cacheHit = result !== undefined;
+        if (!cacheHit) {
+          // Retries must not sleep past the recall budget.
+          const searchCfg = cfg.recallBudgetMs > 0 ? { ...cfg, deadline: t0 + cfg.recallBudgetMs } : cfg;
+          result = await searchRecallPayloads(searchCfg, payloads);
+          if (cacheKey) setCachedRecall(cacheKey, payload, result, cfg);
+        }
+        rememberSessionRecall(sessionKey, result);
+        return { result, cacheHit, cache: cacheKey ? (cacheHit ? "hit" : "miss") : undefined };
+      });
 
-        recordEvent("search", {
-          promptPreview: cleanPromptPreview(event.prompt),
-          durationMs: Date.now() - t0,
-        });
+      try {
+        const outcome = await withinBudget(search, cfg.recallBudgetMs);
+
+        if (outcome === BUDGET_EXCEEDED) {
+          const { recall, raw, rendered } = staleContext();
+          const { promptBlock, result } = rendered;
+          noteInjection(ctx?.sessionKey, payload.user_id, { recall, result: promptBlock ? result : null });
+          recordSearch(
+            "search_budget_exceeded",
+            { promptPreview: cleanPromptPreview(event.prompt), durationMs: Date.now() - t0, recall },
+            raw,
+            rendered,
+          );
+          search.then(
+            ({ cache, result: late }) =>
+              recordSearch(
+                "search",
+                {
+                  promptPreview: cleanPromptPreview(event.prompt),
+                  durationMs: Date.now() - t0,
+                  cache,
+                  recall: "background",
+                },
+                late,
+              ),
+            (err) =>
+              recordSearch("search_error", {
+                promptPreview: (event?.prompt ?? "").slice(0, 60),
+                error: String(err),
+                errorKind: err?.kind,
+                durationMs: Date.now() - t0,
+                recall: "background",
+              }),
+          );
+          if (!promptBlock) return;
+          return { prependContext: promptBlock };
+        }
+
+        const rendered = renderRecall(outcome.result, cfg);
+        const { promptBlock, result } = rendered;
+        noteInjection(ctx?.sessionKey, payload.user_id, { recall: "fresh", result: promptBlock ? result : null });
+
+        recordSearch(
+          outcome.cacheHit ? "search_cache_hit" : "search",
+          {
+            promptPreview: cleanPromptPreview(event.prompt),
+            durationMs: Date.now() - t0,
+            cache: outcome.cache,
+            recall: "fresh",
+          },
+          outcome.result,
+          rendered,
+        );
 
         if (!promptBlock) return;
 
@@ -277,28 +545,44 @@ export default {
           prependContext: promptBlock,
         };
       } catch (err) {
-        recordEvent("search_error", {
-          promptPreview: (event?.prompt ?? "").slice(0, 60),
-          error: String(err),
-          durationMs: Date.now() - t0,
-        });
-        log.warn?.(`[memos-cloud] recall failed: ${String(err)}`);
+        const { recall, raw, rendered } = staleContext();
+        const { promptBlock, result } = rendered;
+        noteInjection(ctx?.sessionKey, payload.user_id, { recall, result: promptBlock ? result : null });
+        recordSearch(
+          "search_error",
+          {
+            promptPreview: (event?.prompt ?? "").slice(0, 60),
+            error: String(err),
+            errorKind: err?.kind,
+            durationMs: Date.now() - t0,
+            recall,
+          },
+          raw,
+          rendered,
+        );
+        if (err?.kind === "auth") warnRejectedApiKey(log, "recall", err);
+        else log.warn?.(`[memos-cloud] recall failed: ${String(err)}`);
+        if (promptBlock) return { prependContext: promptBlock };
       }
     });
 
     api.on("agent_end", async (event, ctx) => {
+      // Routing rules may swap user/tags/knowledge bases/switches for this agent or channel.
+      const { cfg, rule } = resolveRoute(getConfig(), ctx);
+      const record = (type, details) => recordEvent(type, { ...details, route: rule });
+
       // --- Heartbeat filter ---
       if (isHeartbeatEvent(event, ctx, cfg)) {
-        recordEvent("heartbeat_filtered", {
+        record("heartbeat_filtered", {
           promptPreview: "(agent_end)",
           debug: cfg.debugEvents ? debugEventSnapshot(event, ctx) : undefined,
         });
         return;
       }
 
-      if (!cfg.addEnabled) return;
+      if (!cfg.addEnabled || isMemoryPaused(ctx?.sessionKey)) return;
       if (!event?.success || !event?.messages?.length) return;
-      if (!cfg.apiKey) {
+      if (!hasBackendCredentials(cfg)) {
         warnMissingApiKey(log, "add");
         return;
       }
@@ -310,27 +594,95 @@ export default {
       lastCaptureTime = now;
 
       const t0 = Date.now();
+      const span = startSpan("memos.add", {
+        "memos.backend": getBackend(cfg).name,
+        "memos.route": rule,
+        "memos.capture_strategy": cfg.captureStrategy,
+      });
+      let payload;
+      let redactions;
+      let markCaptured = () => {};
       try {
-        const messages =
-          cfg.captureStrategy === "full_session"
-            ? pickFullSessionMessages(event.messages, cfg)
-            : pickLastTurnMessages(event.messages, cfg);
+        const capture = pickCaptureMessages(event.messages, cfg, ctx);
+        markCaptured = capture.markCaptured;
+        const picked = capture.picked;
+
+        // Secrets are stripped before anything leaves the machine (or hits the outbox).
+        const redacted = redactMessages(picked, cfg);
+        const { messages, dropped } = redacted;
+        redactions = redacted.counts;
+        span.setAttributes({
+          "memos.messages": messages.length,
+          "memos.redactions": Object.values(redactions).reduce((a, b) => a + b, 0),
+          "memos.dropped_messages": dropped,
+        });
+        if (dropped > 0) redactions.dropped_messages = dropped;
 
-        if (!messages.length) return;
+        if (!messages.length) {
+          if (dropped > 0) {
+            record("add_skipped", { promptPreview: `${dropped} messages dropped by redaction`, redactions });
+          }
+          markCaptured();
+          span.end();
+          return;
+        }
 
-        const payload = buildAddMessagePayload(cfg, messages, ctx);
-        await addMessage(cfg, payload);
+        payload = buildAddMessagePayload(cfg, messages, ctx, event);
+        span.setAttributes({ "memos.conversation_id": payload.conversation_id });
+
+        // Earlier adds are still queued: go behind them so MemOS gets the turns
+        // in order. Replay keeps its backoff and runs without holding up the hook.
+        if (cfg.outboxEnabled && getOutboxStatus().depth > 0) {
+          enqueueAdd(payload, null, cfg.backend);
+          markCaptured();
+          span.setAttributes({ "memos.queued": true });
+          span.end();
+          replayOutbox().catch(() => {});
+          return;
+        }
 
-        recordEvent("add", {
+        await runInSpan(span, () => getBackend(cfg).add(cfg, payload));
+        markCaptured();
+        invalidateRecallCache(payload.user_id, payload.conversation_id);
+
+        record("add", {
           promptPreview: `${messages.length} messages`,
           durationMs: Date.now() - t0,
+          redactions,
         });
+        span.end();
+
+        // The API is reachable again: flush anything queued while it was down.
+        if (getOutboxStatus().depth > 0) {
+          replayOutbox({ force: true }).catch(() => {});
+        }
       } catch (err) {
-        recordEvent("add_error", {
+        // Transient and auth failures are queued when the outbox is on. A payload
+        // that would fail again anyway (bad request, too large; auth with no
+        // outbox) would make the incremental slice grow each turn: drop it.
+        const queueable = Boolean(payload) && cfg.outboxEnabled && isRetryableAddError(err);
+        const terminal = err?.transient === false;
+        const discarded = payload && !queueable && terminal ? payload.messages.length : 0;
+        record("add_error", {
           error: String(err),
+          errorKind: err?.kind,
+          redactions,
           durationMs: Date.now() - t0,
+          ...(discarded ? { promptPreview: `${discarded} messages discarded` } : {}),
         });
-        log.warn?.(`[memos-cloud] add failed: ${String(err)}`);
+        if (err?.kind === "auth") warnRejectedApiKey(log, "add", err);
+        else log.warn?.(`[memos-cloud] add failed: ${String(err)}`);
+        if (discarded) {
+          log.warn?.(`[memos-cloud] add rejected (${err?.kind ?? "error"}): ${discarded} messages discarded, not retried`);
+          markCaptured();
+          span.setAttributes({ "memos.discarded": discarded });
+        } else if (queueable) {
+          enqueueAdd(payload, err, cfg.backend);
+          // Queued messages will be replayed: don't capture them again next turn.
+          markCaptured();
+          span.setAttributes({ "memos.queued": true });
+        }
+        span.end(err);
       }
     });
   },
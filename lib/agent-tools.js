@@ -0,0 +1,237 @@
+/**
+ * Agent-callable memory tools.
+ *
+ * - `memos_search`: search MemOS with the model's own query and limits.
+ * - `memos_remember`: store an explicit fact right away via /add/message.
+ * - `memos_forget`: delete memories by ID (IDs come from memos_search).
+ *   Registered as optional, so it must be allowlisted in the agent's tools.
+ *
+ * Tools go through the same config, routing rules, identity mapping,
+ * redaction, callApi (retries + circuit breaker) and stats as the hooks;
+ * each call is logged as `tool_<name>` / `tool_<name>_error`.
+ */
+
+import { extractResultData } from "./memos-cloud-api.js";
+import { getBackend, hasBackendCredentials } from "./backends/index.js";
+import { getConfig } from "./config-store.js";
+import { recordEvent } from "./stats.js";
+import { resolveRoute } from "./routing.js";
+import { resolveUserId } from "./identity.js";
+import { redactMessages } from "./redaction.js";
+import { invalidateRecallCache } from "./recall-cache.js";
+
+const MAX_LIMIT = 30;
+
+function textResult(text) {
+  return { content: [{ type: "text", text }] };
+}
+
+function clampLimit(value, fallback) {
+  const n = parseInt(value, 10);
+  if (isNaN(n) || n < 1) return fallback;
+  return Math.min(n, MAX_LIMIT);
+}
+
+/**
+ * Plain-text listing of a search result, with memory IDs so the model can
+ * pass them to memos_forget.
+ */
+export function formatSearchResult(result) {
+  const data = extractResultData(result) ?? {};
+  const lines = [];
+
+  const facts = data.memory_detail_list ?? [];
+  if (facts.length) {
+    lines.push("Facts:");
+    for (const item of facts) {
+      const text = item?.memory_value || item?.memory_key;
+      if (!text) continue;
+      const id = item.id ?? item.memory_id;
+      lines.push(`- ${id ? `[${id}] ` : ""}${text}`);
+    }
+  }
+
+  const prefs = data.preference_detail_list ?? [];
+  if (prefs.length) {
+    lines.push("Preferences:");
+    for (const item of prefs) {
+      if (!item?.preference) continue;
+      lines.push(`- ${item.preference_type ? `(${item.preference_type}) ` : ""}${item.preference}`);
+    }
+  }
+
+  const tools = data.tool_memory_detail_list ?? [];
+  if (tools.length) {
+    lines.push("Tool memories:");
+    for (const item of tools) {
+      const text = item?.tool_value || item?.tool_key;
+      if (text) lines.push(`- ${text}`);
+    }
+  }
+
+  return lines.length ? lines.join("\n") : "No matching memories.";
+}
+
+/**
+ * Search with an explicit query (no `queryPrefix`, no prompt truncation).
+ * Shared by memos_search and the `/memory search` chat command.
+ * @param {{query: string, limit?: number, includePreferences?: boolean, includeToolMemory?: boolean, conversationOnly?: boolean}} params
+ */
+export async function explicitSearch(cfg, ctx, params, buildSearchPayload) {
+  if (!params.query) throw new Error("query is required");
+  const searchCfg = {
+    ...cfg,
+    queryPrefix: "",
+    maxQueryChars: 0,
+    memoryLimitNumber: clampLimit(params.limit, cfg.memoryLimitNumber),
+    includePreference: params.includePreferences ?? cfg.includePreference,
+    includeToolMemory: params.includeToolMemory ?? cfg.includeToolMemory,
+    recallGlobal: params.conversationOnly ? false : cfg.recallGlobal,
+  };
+  return getBackend(searchCfg).search(searchCfg, buildSearchPayload(searchCfg, params.query, ctx));
+}
+
+/**
+ * Store one explicit fact synchronously (redaction applied).
+ * Shared by memos_remember and the `/remember` chat command.
+ * @returns {Promise<string>} the content actually stored
+ */
+export async function rememberFact(cfg, ctx, content, buildAddMessagePayload, via) {
+  const text = String(content ?? "").trim();
+  if (!text) throw new Error("content is required");
+  const { messages } = redactMessages([{ role: "user", content: text }], cfg);
+  if (!messages.length) throw new Error("content was dropped by a redaction rule");
+
+  const payload = buildAddMessagePayload(cfg, messages, ctx);
+  payload.async_mode = false; // stored before returning
+  payload.info = { ...payload.info, via };
+  await getBackend(cfg).add(cfg, payload);
+  invalidateRecallCache(payload.user_id, payload.conversation_id);
+  return messages[0].content;
+}
+
+/**
+ * Register the memory tools on the OpenClaw plugin API.
+ * @param {object} api – OpenClaw plugin API
+ * @param {{ buildSearchPayload: Function, buildAddMessagePayload: Function }} builders
+ *   payload builders shared with the lifecycle hooks (index.js)
+ */
+export function registerMemoryTools(api, { buildSearchPayload, buildAddMessagePayload }) {
+  if (typeof api.registerTool !== "function") return false;
+
+  // Wrap execute() with config/route resolution, API key check and stats.
+  const tool = (name, spec, run) => (toolCtx) => ({
+    name,
+    label: spec.label,
+    description: spec.description,
+    parameters: spec.parameters,
+    async execute(_toolCallId, params = {}) {
+      const { cfg, rule } = resolveRoute(getConfig(), toolCtx);
+      const t0 = Date.now();
+      if (!hasBackendCredentials(cfg)) throw new Error("MemOS API key is not configured (MEMOS_API_KEY).");
+      try {
+        const { preview, result } = await run(cfg, toolCtx ?? {}, params);
+        recordEvent(`tool_${name}`, { promptPreview: preview, durationMs: Date.now() - t0, route: rule });
+        return result;
+      } catch (err) {
+        recordEvent(`tool_${name}_error`, {
+          promptPreview: String(params.query ?? params.content ?? params.memory_ids ?? "").slice(0, 100),
+          error: String(err),
+          errorKind: err?.kind,
+          durationMs: Date.now() - t0,
+          route: rule,
+        });
+        throw err;
+      }
+    },
+  });
+
+  api.registerTool(
+    tool(
+      "memos_search",
+      {
+        label: "MemOS search",
+        description:
+          "Search the user's long-term memory (MemOS) for facts, preferences and past tool experience. " +
+          "Use a focused query; results include memory IDs.",
+        parameters: {
+          type: "object",
+          properties: {
+            query: { type: "string", description: "What to look for" },
+            limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT, description: "Max facts to return" },
+            includePreferences: { type: "boolean", description: "Also return preferences (default: config)" },
+            includeToolMemory: { type: "boolean", description: "Also return tool memories (default: config)" },
+            conversationOnly: { type: "boolean", description: "Only search this conversation" },
+          },
+          required: ["query"],
+          additionalProperties: false,
+        },
+      },
+      async (cfg, ctx, params) => {
+        const query = String(params.query ?? "").trim();
+        const result = await explicitSearch(cfg, ctx, { ...params, query }, buildSearchPayload);
+        return { preview: query.slice(0, 100), result: textResult(formatSearchResult(result)) };
+      },
+    ),
+    { name: "memos_search" },
+  );
+
+  api.registerTool(
+    tool(
+      "memos_remember",
+      {
+        label: "MemOS remember",
+        description:
+          "Store an explicit fact or preference in the user's long-term memory (MemOS) right now. " +
+          "Write it as a short, self-contained statement.",
+        parameters: {
+          type: "object",
+          properties: {
+            content: { type: "string", description: "The fact to remember" },
+          },
+          required: ["content"],
+          additionalProperties: false,
+        },
+      },
+      async (cfg, ctx, params) => {
+        const stored = await rememberFact(cfg, ctx, params.content, buildAddMessagePayload, "memos_remember");
+        return { preview: stored.slice(0, 100), result: textResult("Saved to memory.") };
+      },
+    ),
+    { name: "memos_remember" },
+  );
+
+  api.registerTool(
+    tool(
+      "memos_forget",
+      {
+        label: "MemOS forget",
+        description:
+          "Delete memories from the user's long-term memory (MemOS) by ID. " +
+          "Get the IDs from memos_search first; only delete what the user asked to forget.",
+        parameters: {
+          type: "object",
+          properties: {
+            memory_ids: { type: "array", items: { type: "string" }, minItems: 1, description: "IDs to delete" },
+          },
+          required: ["memory_ids"],
+          additionalProperties: false,
+        },
+      },
+      async (cfg, ctx, params) => {
+        const ids = (Array.isArray(params.memory_ids) ? params.memory_ids : [params.memory_ids])
+          .map((id) => String(id ?? "").trim())
+          .filter(Boolean);
+        if (!ids.length) throw new Error("memory_ids is required");
+
+        const userId = resolveUserId(cfg, ctx).userId;
+        await getBackend(cfg).delete(cfg, { user_id: userId, memory_ids: ids });
+        invalidateRecallCache(userId);
+        return { preview: ids.join(", ").slice(0, 100), result: textResult(`Deleted ${ids.length} memories.`) };
+      },
+    ),
+    { name: "memos_forget", optional: true },
+  );
+
+  return true;
+}
@@ -0,0 +1,35 @@
+/**
+ * HTTP backends speaking the MemOS OpenMem API.
+ *
+ * - `cloud`: MemOS Cloud (`baseUrl` + `apiKey`).
+ * - `self_hosted`: the same client against your own MemOS server
+ *   (`selfHostedUrl`, optional `selfHostedApiKey`).
+ *
+ * Both go through callApi: retries, typed errors, per-endpoint breakers.
+ */
+
+import { searchMemory, addMessage, getMemories, deleteMemory } from "../memos-cloud-api.js";
+
+/** @type {import("./index.js").MemoryBackend} */
+export const cloudBackend = {
+  name: "cloud",
+  needsApiKey: true,
+  search: searchMemory,
+  add: addMessage,
+  list: getMemories,
+  delete: deleteMemory,
+};
+
+function selfHostedCfg(cfg) {
+  return { ...cfg, baseUrl: cfg.selfHostedUrl, apiKey: cfg.selfHostedApiKey, apiKeyOptional: true };
+}
+
+/** @type {import("./index.js").MemoryBackend} */
+export const selfHostedBackend = {
+  name: "self_hosted",
+  needsApiKey: false,
+  search: (cfg, payload) => searchMemory(selfHostedCfg(cfg), payload),
+  add: (cfg, payload) => addMessage(selfHostedCfg(cfg), payload),
+  list: (cfg, payload) => getMemories(selfHostedCfg(cfg), payload),
+  delete: (cfg, payload) => deleteMemory(selfHostedCfg(cfg), payload),
+};
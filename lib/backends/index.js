@@ -0,0 +1,39 @@
+/**
+ * Memory backend registry.
+ *
+ * Everything that reads or writes memories (recall, capture, outbox replay,
+ * agent tools, chat commands, dashboard browser) goes through the backend
+ * picked by `cfg.backend`, so the rest of the plugin does not care where
+ * memories live. Every backend answers in the MemOS response shapes.
+ */
+
+import { cloudBackend, selfHostedBackend } from "./cloud.js";
+import { localBackend } from "./local.js";
+
+/**
+ * @typedef {object} MemoryBackend
+ * @property {string} name
+ * @property {boolean} needsApiKey – true when `cfg.apiKey` is required
+ * @property {(cfg: object, payload: object) => Promise<object>} search – /search/memory
+ * @property {(cfg: object, payload: object) => Promise<object>} add – /add/message
+ * @property {(cfg: object, payload: object) => Promise<object>} list – /get/memory
+ * @property {(cfg: object, payload: object) => Promise<object>} delete – /delete/memory
+ */
+
+const BACKENDS = {
+  cloud: cloudBackend,
+  self_hosted: selfHostedBackend,
+  local: localBackend,
+};
+
+export const BACKEND_NAMES = Object.keys(BACKENDS);
+
+/** @returns {MemoryBackend} the configured backend (cloud when unknown). */
+export function getBackend(cfg) {
+  return BACKENDS[cfg?.backend] ?? cloudBackend;
+}
+
+/** Whether the configured backend has what it needs to be called. */
+export function hasBackendCredentials(cfg) {
+  return !getBackend(cfg).needsApiKey || Boolean(cfg?.apiKey);
+}
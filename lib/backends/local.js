@@ -0,0 +1,304 @@
+/**
+ * Fully local memory backend: no API key, no network.
+ *
+ * - /add/message: each message becomes one memory in a JSON file
+ *   (`localStorePath`, default ~/.openclaw/memos-local-store.json). User
+ *   messages are facts, assistant messages are facts tagged
+ *   `[assistant观点]` (so the prompt treats them as AI inference), role
+ *   `tool` messages are tool memories. Re-sent text refreshes the existing
+ *   memory instead of duplicating it.
+ * - /search/memory: BM25 keyword ranking over the user's memories (words,
+ *   CJK bigrams). `relativity` is the absolute BM25 score s mapped to 0–1 as
+ *   s / (s + 2): one good term match is about 0.4–0.5, several are 0.7+, so
+ *   `recallMinScore` still drops a weak best match.
+ * - The store keeps at most `localMaxMemories` (least recently updated go).
+ * - Adds are written to disk at most once per SAVE_DELAY_MS (and on
+ *   shutdown); deletes are written right away.
+ *
+ * Responses use the MemOS shapes, so formatPromptBlock and the rest of the
+ * plugin work unchanged.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { homedir } from "node:os";
+
+import { extractText } from "../memos-cloud-api.js";
+
+const DEFAULT_STORE_FILE = join(homedir(), ".openclaw", "memos-local-store.json");
+const ASSISTANT_TAG = "[assistant观点]";
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+/** BM25 score that maps to a relativity of 0.5. */
+const SCORE_HALF = 2;
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * path → store. `byValue` maps dedupeKey() to the memory; `saveTimer` is set
+ * while an add is waiting to be written.
+ * @type {Map<string, {path: string, memories: object[], nextId: number, tokens: Map<string, string[]>, byValue: Map<string, object>, saveTimer: any}>}
+ */
+const stores = new Map();
+let exitHooked = false;
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+function storePath(cfg) {
+  return cfg.localStorePath || DEFAULT_STORE_FILE;
+}
+
+/** Identity of a memory for dedupe: same user, same kind, same text. */
+function dedupeKey(userId, field, value) {
+  return `${userId}\n${field}\n${value}`;
+}
+
+function memoryKey(m) {
+  return m.tool_value ? dedupeKey(m.user_id, "tool_value", m.tool_value) : dedupeKey(m.user_id, "memory_value", m.memory_value);
+}
+
+function openStore(cfg) {
+  const path = storePath(cfg);
+  let store = stores.get(path);
+  if (store) return store;
+  store = { path, memories: [], nextId: 1, tokens: new Map(), byValue: new Map(), saveTimer: null };
+  try {
+    const saved = JSON.parse(readFileSync(path, "utf-8"));
+    if (Array.isArray(saved?.memories)) store.memories = saved.memories;
+    store.nextId = saved?.nextId ?? store.memories.length + 1;
+  } catch { /* missing or unreadable: start empty */ }
+  for (const m of store.memories) store.byValue.set(memoryKey(m), m);
+  stores.set(path, store);
+  return store;
+}
+
+function saveStore(store) {
+  if (store.saveTimer) clearTimeout(store.saveTimer);
+  store.saveTimer = null;
+  const json = JSON.stringify({ version: 1, nextId: store.nextId, memories: store.memories });
+  mkdirSync(dirname(store.path), { recursive: true });
+  const tmp = store.path + ".tmp";
+  writeFileSync(tmp, json, { encoding: "utf-8", mode: 0o600 });
+  renameSync(tmp, store.path);
+}
+
+/** Write the store within SAVE_DELAY_MS, batching the adds made meanwhile. */
+function scheduleSave(store) {
+  if (store.saveTimer) return;
+  store.saveTimer = setTimeout(() => {
+    try {
+      saveStore(store);
+    } catch { /* retried by the next add or on shutdown */ }
+  }, SAVE_DELAY_MS);
+  if (store.saveTimer.unref) store.saveTimer.unref();
+  if (!exitHooked) {
+    exitHooked = true;
+    process.on("exit", flushLocalStores);
+    process.on("SIGTERM", flushLocalStores);
+    process.on("SIGINT", flushLocalStores);
+  }
+}
+
+/** Write every store that has unsaved adds. */
+export function flushLocalStores() {
+  for (const store of stores.values()) {
+    if (!store.saveTimer) continue;
+    try {
+      saveStore(store);
+    } catch { /* best effort */ }
+  }
+}
+
+/** Forget the in-memory copies (tests, or after editing the file by hand); unsaved adds are written first. */
+export function resetLocalStores() {
+  flushLocalStores();
+  stores.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Text
+// ---------------------------------------------------------------------------
+
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/** Lower-cased words; CJK runs become character bigrams. */
+export function tokenize(text) {
+  const tokens = [];
+  const words = String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u);
+  for (const word of words) {
+    if (!word) continue;
+    if (CJK_RE.test(word)) {
+      if (word.length === 1) tokens.push(word);
+      for (let i = 0; i < word.length - 1; i += 1) tokens.push(word.slice(i, i + 2));
+    } else if (word.length > 1) {
+      tokens.push(word);
+    }
+  }
+  return tokens;
+}
+
+function memoryTokens(store, memory) {
+  let tokens = store.tokens.get(memory.id);
+  if (!tokens) {
+    tokens = tokenize(memory.memory_value ?? memory.tool_value);
+    store.tokens.set(memory.id, tokens);
+  }
+  return tokens;
+}
+
+/**
+ * BM25 scores of `docs` for `query`, best first; zero scores are left out.
+ * @returns {Array<{doc: object, score: number}>}
+ */
+function rankBm25(store, docs, query) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !docs.length) return [];
+
+  const lengths = docs.map((d) => memoryTokens(store, d).length);
+  const avgLen = lengths.reduce((a, b) => a + b, 0) / docs.length || 1;
+  const df = new Map(terms.map((t) => [t, 0]));
+  const tfs = docs.map((d) => {
+    const tf = new Map();
+    for (const tok of memoryTokens(store, d)) if (df.has(tok)) tf.set(tok, (tf.get(tok) ?? 0) + 1);
+    for (const t of tf.keys()) df.set(t, df.get(t) + 1);
+    return tf;
+  });
+
+  const ranked = [];
+  docs.forEach((doc, i) => {
+    let score = 0;
+    for (const [term, tf] of tfs[i]) {
+      const idf = Math.log(1 + (docs.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+      score += (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + (BM25_B * lengths[i]) / avgLen));
+    }
+    if (score > 0) ranked.push({ doc, score });
+  });
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+function ok(data) {
+  return { code: 0, message: "ok", data };
+}
+
+function ownedBy(payload) {
+  return (m) =>
+    m.user_id === payload.user_id && (!payload.conversation_id || m.conversation_id === payload.conversation_id);
+}
+
+// ---------------------------------------------------------------------------
+// Backend
+// ---------------------------------------------------------------------------
+
+async function add(cfg, payload) {
+  const store = openStore(cfg);
+  const now = Date.now();
+  let added = 0;
+
+  for (const msg of payload.messages ?? []) {
+    const text = extractText(msg?.content).trim();
+    if (!text) continue;
+    const isTool = msg.role === "tool";
+    const value = msg.role === "assistant" ? `${ASSISTANT_TAG} ${text}` : text;
+    const field = isTool ? "tool_value" : "memory_value";
+
+    const key = dedupeKey(payload.user_id, field, value);
+    const existing = store.byValue.get(key);
+    if (existing) {
+      existing.update_time = now;
+      continue;
+    }
+    const memory = {
+      id: `local-${store.nextId++}`,
+      [field]: value,
+      memory_type: isTool ? "ToolMemory" : msg.role === "assistant" ? "AssistantMemory" : "UserMemory",
+      role: msg.role,
+      user_id: payload.user_id,
+      conversation_id: payload.conversation_id ?? null,
+      tags: payload.tags ?? [],
+      info: payload.info ?? {},
+      agent_id: payload.agent_id ?? null,
+      app_id: payload.app_id ?? null,
+      create_time: now,
+      update_time: now,
+    };
+    store.memories.push(memory);
+    store.byValue.set(key, memory);
+    added += 1;
+  }
+
+  const max = cfg.localMaxMemories ?? 10000;
+  if (store.memories.length > max) {
+    store.memories.sort((a, b) => (a.update_time ?? 0) - (b.update_time ?? 0));
+    for (const gone of store.memories.splice(0, store.memories.length - max)) {
+      store.tokens.delete(gone.id);
+      store.byValue.delete(memoryKey(gone));
+    }
+  }
+
+  scheduleSave(store);
+  return ok({ success: true, added });
+}
+
+async function search(cfg, payload) {
+  const store = openStore(cfg);
+  const mine = store.memories.filter(ownedBy(payload));
+  const top = (docs, limit) => {
+    const ranked = rankBm25(store, docs, payload.query).slice(0, limit ?? 6);
+    return ranked.map(({ doc, score }) => ({ ...doc, relativity: Math.round((score / (score + SCORE_HALF)) * 1000) / 1000 }));
+  };
+
+  return ok({
+    memory_detail_list: top(
+      mine.filter((m) => m.memory_value),
+      payload.memory_limit_number,
+    ),
+    preference_detail_list: [],
+    tool_memory_detail_list: payload.include_tool_memory
+      ? top(
+          mine.filter((m) => m.tool_value),
+          payload.tool_memory_limit_number,
+        )
+      : [],
+  });
+}
+
+async function list(cfg, payload) {
+  const store = openStore(cfg);
+  const mine = store.memories.filter(ownedBy(payload)).sort((a, b) => (b.create_time ?? 0) - (a.create_time ?? 0));
+  const size = payload.page_size ?? 20;
+  const start = ((payload.page ?? 1) - 1) * size;
+  return ok({ memory_detail_list: mine.slice(start, start + size), total: mine.length });
+}
+
+async function remove(cfg, payload) {
+  const store = openStore(cfg);
+  const ids = new Set(payload.memory_ids ?? []);
+  const kept = [];
+  let deleted = 0;
+  for (const m of store.memories) {
+    if (ids.has(m.id) && m.user_id === payload.user_id) {
+      store.tokens.delete(m.id);
+      store.byValue.delete(memoryKey(m));
+      deleted += 1;
+    } else {
+      kept.push(m);
+    }
+  }
+  store.memories = kept;
+  saveStore(store);
+  return ok({ success: true, deleted });
+}
+
+/** @type {import("./index.js").MemoryBackend} */
+export const localBackend = {
+  name: "local",
+  needsApiKey: false,
+  search,
+  add,
+  list,
+  delete: remove,
+};
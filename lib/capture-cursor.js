@@ -0,0 +1,85 @@
+/**
+ * Capture cursors for the "incremental" capture strategy.
+ *
+ * - Per conversation ID, remembers the last raw message that was captured
+ *   (its index in `event.messages` plus a content hash).
+ * - The next capture only sends what comes after it, so turns skipped by
+ *   `throttleMs` or a failed add are caught up instead of lost.
+ * - Cursors are persisted in the stats state file and survive restarts.
+ * - If the history was rewritten (e.g. compaction), the cursor is looked up
+ *   by hash; when it can't be found, callers fall back to the last turn.
+ */
+
+import { createHash } from "node:crypto";
+import { getCaptureCursors, setCaptureCursors } from "./stats.js";
+
+const MAX_CURSORS = 500;
+
+/** @type {Map<string, {index: number, hash: string, updatedAt: number}> | null} */
+let cursors = null;
+
+function loadCursors() {
+  if (!cursors) {
+    const saved = Object.entries(getCaptureCursors()).sort(([, a], [, b]) => (a.updatedAt ?? 0) - (b.updatedAt ?? 0));
+    cursors = new Map(saved);
+  }
+  return cursors;
+}
+
+/**
+ * Stable hash of a raw OpenClaw message (role + full content, including non-text blocks).
+ */
+export function messageHash(msg) {
+  const content = typeof msg?.content === "string" ? msg.content : JSON.stringify(msg?.content ?? "");
+  return createHash("sha256").update(`${msg?.role ?? ""}\n${content}`).digest("hex").slice(0, 16);
+}
+
+/**
+ * Locate the first message not yet captured.
+ * @param {Array<object>} messages – raw `event.messages`
+ * @param {{index: number, hash: string} | undefined} cursor
+ * @returns {{ start: number | null, mode: "new"|"cursor"|"relocated"|"rewritten" }}
+ *   `start` is null when the cursor no longer matches anything in the history.
+ */
+export function findCaptureStart(messages, cursor) {
+  if (!cursor) return { start: 0, mode: "new" };
+
+  const { index, hash } = cursor;
+  if (index < messages.length && messageHash(messages[index]) === hash) {
+    return { start: index + 1, mode: "cursor" };
+  }
+
+  // History shrank or shifted: the nearest earlier match is the captured message.
+  for (let i = Math.min(index, messages.length - 1); i >= 0; i -= 1) {
+    if (messageHash(messages[i]) === hash) return { start: i + 1, mode: "relocated" };
+  }
+
+  return { start: null, mode: "rewritten" };
+}
+
+export function getCaptureCursor(conversationId) {
+  return loadCursors().get(conversationId);
+}
+
+/**
+ * Mark every message in `messages` as captured for this conversation.
+ */
+export function advanceCaptureCursor(conversationId, messages) {
+  if (!conversationId || !messages?.length) return;
+  const map = loadCursors();
+  const index = messages.length - 1;
+
+  map.delete(conversationId);
+  map.set(conversationId, { index, hash: messageHash(messages[index]), updatedAt: Date.now() });
+  // Map keeps insertion order: the first keys are the least recently captured.
+  while (map.size > MAX_CURSORS) {
+    map.delete(map.keys().next().value);
+  }
+
+  setCaptureCursors(Object.fromEntries(map));
+}
+
+export function clearCaptureCursors() {
+  loadCursors().clear();
+  setCaptureCursors({});
+}
@@ -0,0 +1,288 @@
+/**
+ * Chat slash commands for memory control.
+ *
+ * Registered as internal hooks (`command:memory`, `command:remember`), the
+ * same way as the `/new` conversation counter:
+ *
+ *   /memory off | on      pause / resume recall and capture for this session
+ *   /memory show          what was injected into the last turn
+ *   /memory search <q>    search MemOS
+ *   /memory stats         plugin counters and this session's status
+ *   /memory import [run]  preview / upload MEMORY.md and memory/* notes
+ *   /memory export        write the owner's memories to JSONL + Markdown
+ *   /remember <text>      store a fact right away
+ *
+ * import and export touch the host's files and the owner's memories, so
+ * they only answer the owner: a sender who resolves to the static `userId`.
+ *
+ * Per-session state (pause flag, last injection) lives in memory only.
+ * Replies go to `event.messages`; every command is recorded in stats.
+ */
+
+import { formatContextBlock } from "./memos-cloud-api.js";
+import { getConfig } from "./config-store.js";
+import { recordEvent, getStats } from "./stats.js";
+import { resolveRoute } from "./routing.js";
+import { getOutboxStatus } from "./outbox.js";
+import { getBreakerStates } from "./circuit-breaker.js";
+import { hasBackendCredentials } from "./backends/index.js";
+import { explicitSearch, rememberFact, formatSearchResult } from "./agent-tools.js";
+import { previewImport, startImport, getImportStatus } from "./memory-import.js";
+import { exportMemories } from "./memory-export.js";
+import { extractSender, resolveUserId } from "./identity.js";
+
+const MAX_SESSIONS = 200;
+const MEMORY_USAGE = "Usage: /memory on | off | show | search <query> | stats | import [run] | export";
+const OWNER_ONLY = "Only the owner can do this here (see ownerIds); use the dashboard.";
+
+/** @type {Map<string, {paused: boolean}>} */
+const sessions = new Map();
+
+/**
+ * Last recall injection per session and user: in a shared chat with sender
+ * identities, `/memory show` must not print another member's memories.
+ * @type {Map<string, {recall: string, result: object|null, at: number}>}
+ */
+const injections = new Map();
+
+function injectionKey(sessionKey, userId) {
+  return `${sessionKey}\n${userId ?? ""}`;
+}
+
+function sessionState(sessionKey) {
+  let state = sessions.get(sessionKey);
+  if (!state) {
+    state = { paused: false };
+    sessions.set(sessionKey, state);
+    if (sessions.size > MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+  }
+  return state;
+}
+
+// ---------------------------------------------------------------------------
+// Session state (read by the lifecycle hooks)
+// ---------------------------------------------------------------------------
+
+export function isMemoryPaused(sessionKey) {
+  return Boolean(sessionKey && sessions.get(sessionKey)?.paused);
+}
+
+/**
+ * Remember what before_agent_start injected, for `/memory show`.
+ * @param {string} sessionKey
+ * @param {string} userId – user the recall ran for
+ * @param {{recall: string, result: object|null}} injection
+ */
+export function noteInjection(sessionKey, userId, { recall, result }) {
+  if (!sessionKey) return;
+  const key = injectionKey(sessionKey, userId);
+  injections.delete(key);
+  injections.set(key, { recall, result: result ?? null, at: Date.now() });
+  if (injections.size > MAX_SESSIONS) injections.delete(injections.keys().next().value);
+}
+
+export function resetChatSessions() {
+  sessions.clear();
+  injections.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Command handling
+// ---------------------------------------------------------------------------
+
+/**
+ * Command arguments: explicit `args`, or the command body without `/name`.
+ */
+function commandArgs(event) {
+  const explicit = event?.args ?? event?.context?.args;
+  if (typeof explicit === "string") return explicit.trim();
+  const body = event?.context?.commandBody ?? event?.context?.body ?? event?.context?.content ?? "";
+  return String(body).replace(/^\s*\/\S+\s*/, "").trim();
+}
+
+function commandCtx(event) {
+  const c = event?.context ?? {};
+  return {
+    sessionKey: event?.sessionKey,
+    agentId: c.agentId,
+    messageProvider: c.messageProvider ?? c.channel ?? c.commandSource,
+    senderId: c.senderId,
+  };
+}
+
+function describeInjection(injection) {
+  if (!injection) return "No recall has run in this session yet.";
+  const when = new Date(injection.at).toLocaleTimeString();
+  const block = injection.result ? formatContextBlock(injection.result, { maxItemChars: 300 }) : "";
+  if (!block) return `Nothing was injected last turn (${when}, recall: ${injection.recall}).`;
+  return `Injected at ${when} (recall: ${injection.recall}):\n${block}`;
+}
+
+function describeStats(sessionKey) {
+  const s = getStats();
+  const hitRate = s.cacheHits + s.cacheMisses ? Math.round((s.cacheHits / (s.cacheHits + s.cacheMisses)) * 100) : 0;
+  const open = Object.entries(getBreakerStates())
+    .filter(([, b]) => b.state !== "closed")
+    .map(([path, b]) => `${path} (${b.state})`);
+  return [
+    `Memory for this session: ${isMemoryPaused(sessionKey) ? "paused" : "on"}`,
+    `Searches: ${s.searchCalls} (cache hits: ${s.cacheHits}, ${hitRate}%)`,
+    `Adds: ${s.addCalls} · Tool calls: ${s.toolCalls} · Errors: ${s.errors}`,
+    `Outbox: ${getOutboxStatus().depth} queued`,
+    `Circuit breakers: ${open.length ? open.join(", ") : "all closed"}`,
+  ].join("\n");
+}
+
+function describeImportPreview(p) {
+  if (!p.files.length) return `No MEMORY.md or memory/*.md found in ${p.root}.`;
+  const files = p.files.map((f) => `- ${f.file}: ${f.facts} facts`).join("\n");
+  const sample = p.facts
+    .filter((f) => !f.imported)
+    .slice(0, 5)
+    .map((f) => `  · ${f.content.slice(0, 120)}`)
+    .join("\n");
+  return [
+    `Import preview for ${p.userId} from ${p.root}:`,
+    files,
+    `${p.total} facts, ${p.total - p.pending} already imported, ${p.pending} to upload.`,
+    sample,
+    p.pending ? "Run `/memory import run` to upload them." : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * The sender may run owner commands (import, export): listed in `ownerIds`
+ * ("provider:senderId" or a bare sender ID). The identity mode plays no part,
+ * since in static mode every group member resolves to `userId`. Without a
+ * sender, only outside chat channels (CLI, local runs).
+ */
+function isOwner(cfg, ctx) {
+  const sender = extractSender(ctx);
+  if (!sender) return !ctx.messageProvider;
+  const owners = cfg.ownerIds ?? [];
+  return owners.includes(`${sender.provider}:${sender.senderId}`) || owners.includes(sender.senderId);
+}
+
+function runImportCommand(cfg, ctx, arg) {
+  if (!isOwner(cfg, ctx)) return { action: "memory_import", text: OWNER_ONLY };
+  if (!hasBackendCredentials(cfg)) return { action: "memory_import", text: "MemOS API key is not configured." };
+  const status = getImportStatus();
+  if (status.status === "running") {
+    return { action: "memory_import", text: `Import running: ${status.sent} sent, ${status.skipped} skipped, ${status.total} facts.` };
+  }
+  if (arg.toLowerCase() !== "run") {
+    return { action: "memory_import", preview: "preview", text: describeImportPreview(previewImport(cfg)) };
+  }
+  const started = startImport(cfg, { via: "chat_command" });
+  return {
+    action: "memory_import",
+    preview: "run",
+    text: `Import started (${started.total - started.skipped} facts to upload). Check progress with /memory import.`,
+  };
+}
+
+/**
+ * Run one command.
+ * @param {"memory"|"remember"} name
+ * @returns {Promise<{action: string, text: string, preview?: string}>} stats action and reply text
+ */
+export async function runChatCommand(name, args, ctx, builders) {
+  const { cfg } = resolveRoute(getConfig(), ctx);
+  const sessionKey = ctx.sessionKey;
+
+  if (name === "remember") {
+    if (!args) return { action: "remember", text: "Usage: /remember <text>" };
+    if (!hasBackendCredentials(cfg)) return { action: "remember", text: "MemOS API key is not configured." };
+    const stored = await rememberFact(cfg, ctx, args, builders.buildAddMessagePayload, "chat_command");
+    return { action: "remember", preview: stored, text: "Saved to memory." };
+  }
+
+  const [first = "", ...rest] = args.split(/\s+/);
+  const sub = first.toLowerCase();
+  const query = rest.join(" ").trim();
+  switch (sub) {
+    case "off":
+    case "on":
+      if (!sessionKey) return { action: `memory_${sub}`, text: "No session to apply this to." };
+      sessionState(sessionKey).paused = sub === "off";
+      return {
+        action: `memory_${sub}`,
+        text: sub === "off" ? "Memory paused for this session: no recall, no capture." : "Memory resumed for this session.",
+      };
+    case "show":
+      return {
+        action: "memory_show",
+        text: describeInjection(injections.get(injectionKey(sessionKey, resolveUserId(cfg, ctx).userId))),
+      };
+    case "search": {
+      if (!query) return { action: "memory_search", text: "Usage: /memory search <query>" };
+      if (!hasBackendCredentials(cfg)) return { action: "memory_search", text: "MemOS API key is not configured." };
+      const result = await explicitSearch(cfg, ctx, { query }, builders.buildSearchPayload);
+      return { action: "memory_search", preview: query, text: formatSearchResult(result) };
+    }
+    case "stats":
+      return { action: "memory_stats", text: describeStats(sessionKey) };
+    case "import":
+      return runImportCommand(cfg, ctx, query);
+    case "export": {
+      if (!isOwner(cfg, ctx)) return { action: "memory_export", text: OWNER_ONLY };
+      if (!hasBackendCredentials(cfg)) return { action: "memory_export", text: "MemOS API key is not configured." };
+      const out = await exportMemories(cfg, { userId: cfg.userId, via: "chat_command" });
+      return {
+        action: "memory_export",
+        preview: out.userId,
+        text: `Exported ${out.counts.memories} facts and ${out.counts.preferences} preferences for ${out.userId}:\n- ${out.jsonl}\n- ${out.markdown}`,
+      };
+    }
+    default:
+      return { action: "memory_help", text: MEMORY_USAGE };
+  }
+}
+
+/**
+ * Register `/memory` and `/remember` as internal command hooks.
+ * @param {object} api – OpenClaw plugin API
+ * @param {{ buildSearchPayload: Function, buildAddMessagePayload: Function, log: object }} deps
+ */
+export function registerChatCommands(api, { buildSearchPayload, buildAddMessagePayload, log }) {
+  const builders = { buildSearchPayload, buildAddMessagePayload };
+
+  api.registerHook(
+    ["command:memory", "command:remember"],
+    async (event) => {
+      if (event?.type !== "command") return;
+      const name = event.action === "remember" ? "remember" : "memory";
+      const ctx = commandCtx(event);
+      const { rule } = resolveRoute(getConfig(), ctx);
+      const t0 = Date.now();
+      let reply;
+      try {
+        const out = await runChatCommand(name, commandArgs(event), ctx, builders);
+        recordEvent("command", {
+          action: out.action,
+          promptPreview: `/${name} ${out.preview ?? ""}`.trim().slice(0, 100),
+          durationMs: Date.now() - t0,
+          route: rule,
+        });
+        reply = out.text;
+      } catch (err) {
+        recordEvent("command_error", {
+          promptPreview: `/${name}`,
+          error: String(err),
+          errorKind: err?.kind,
+          durationMs: Date.now() - t0,
+          route: rule,
+        });
+        reply = `Memory command failed: ${err?.message ?? err}`;
+      }
+      if (Array.isArray(event.messages)) event.messages.push(reply);
+      else log.info?.(`[memos-cloud] ${reply}`);
+    },
+    {
+      name: "memos-cloud-chat-commands",
+      description: "MemOS memory control: /memory on|off|show|search|stats|import|export, /remember",
+    },
+  );
+}
@@ -0,0 +1,122 @@
+/**
+ * Circuit breakers for the MemOS Cloud API, one per server and endpoint
+ * path (`${baseUrl}${path}`), so an outage of one server (e.g. a routed
+ * self-hosted one) does not block calls to another.
+ *
+ * - closed:    calls go through; consecutive transient failures are counted.
+ * - open:      after `threshold` failures, calls fail fast until the cooldown ends.
+ * - half_open: after the cooldown a single probe call is let through;
+ *              success closes the breaker, failure re-opens it.
+ *
+ * State changes are recorded in the stats log.
+ */
+
+import { recordEvent } from "./stats.js";
+
+/** @type {Map<string, {baseUrl: string, path: string, state: "closed"|"open"|"half_open", failures: number, openedAt: number|null, probeInFlight: boolean, lastError: string|null}>} */
+const breakers = new Map();
+
+function getBreaker(path, cfg) {
+  const baseUrl = cfg?.baseUrl ?? "";
+  const key = `${baseUrl}${path}`;
+  let breaker = breakers.get(key);
+  if (!breaker) {
+    breaker = { baseUrl, path, state: "closed", failures: 0, openedAt: null, probeInFlight: false, lastError: null };
+    breakers.set(key, breaker);
+  }
+  return breaker;
+}
+
+function transition(breaker, state, reason) {
+  if (breaker.state === state) return;
+  const from = breaker.state;
+  breaker.state = state;
+  recordEvent("breaker_state", {
+    promptPreview: `${breaker.baseUrl}${breaker.path}: ${from} → ${state}${reason ? ` (${reason})` : ""}`,
+    action: `breaker_${state}`,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask permission to call `path` on `cfg.baseUrl`. Returns false while the
+ * breaker is open (or while a half-open probe is already in flight).
+ * @param {string} path
+ * @param {{ baseUrl?: string, breakerCooldownMs?: number }} cfg
+ * @returns {boolean}
+ */
+export function breakerAllows(path, cfg) {
+  const breaker = getBreaker(path, cfg);
+  if (breaker.state === "closed") return true;
+
+  if (breaker.state === "open") {
+    const cooldown = cfg.breakerCooldownMs ?? 30_000;
+    if (Date.now() - breaker.openedAt < cooldown) return false;
+    transition(breaker, "half_open", "cooldown elapsed");
+  }
+
+  // half_open: one probe at a time
+  if (breaker.probeInFlight) return false;
+  breaker.probeInFlight = true;
+  return true;
+}
+
+/**
+ * @param {string} path
+ * @param {{ baseUrl?: string }} cfg
+ */
+export function recordBreakerSuccess(path, cfg) {
+  const breaker = getBreaker(path, cfg);
+  breaker.failures = 0;
+  breaker.probeInFlight = false;
+  breaker.lastError = null;
+  transition(breaker, "closed", breaker.state === "half_open" ? "probe succeeded" : "");
+}
+
+/**
+ * @param {string} path
+ * @param {unknown} err
+ * @param {{ baseUrl?: string, breakerFailureThreshold?: number }} cfg
+ */
+export function recordBreakerFailure(path, err, cfg) {
+  const breaker = getBreaker(path, cfg);
+  const threshold = cfg.breakerFailureThreshold ?? 5;
+  breaker.failures += 1;
+  breaker.lastError = String(err);
+
+  if (breaker.state === "half_open") {
+    breaker.probeInFlight = false;
+    breaker.openedAt = Date.now();
+    transition(breaker, "open", "probe failed");
+    return;
+  }
+  if (breaker.state === "closed" && breaker.failures >= threshold) {
+    breaker.openedAt = Date.now();
+    transition(breaker, "open", `${breaker.failures} consecutive failures`);
+  }
+}
+
+/**
+ * @returns {Record<string, {baseUrl: string, path: string, state: string, failures: number, openedAt: string|null, lastError: string|null}>} keyed by `${baseUrl}${path}`
+ */
+export function getBreakerStates() {
+  const states = {};
+  for (const [key, b] of breakers) {
+    states[key] = {
+      baseUrl: b.baseUrl,
+      path: b.path,
+      state: b.state,
+      failures: b.failures,
+      openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+      lastError: b.lastError,
+    };
+  }
+  return states;
+}
+
+export function resetBreakers() {
+  breakers.clear();
+}
@@ -0,0 +1,90 @@
+/**
+ * Live configuration store for the MemOS plugin.
+ *
+ * - Holds the effective config (plugin config / env merged with dashboard overrides).
+ * - Lifecycle handlers read getConfig() on every event, so dashboard saves
+ *   apply immediately without a gateway restart.
+ * - A few keys are only read once at register() time (dashboard server,
+ *   command:new hook); changes to those are reported as "restart required".
+ */
+
+/** Keys only consulted at plugin start-up. */
+export const RESTART_REQUIRED_KEYS = [
+  "dashboardEnabled",
+  "dashboardPort",
+  "dashboardHost",
+  "dashboardToken",
+  "conversationSuffixMode",
+  "resetOnNew",
+  "agentToolsEnabled",
+  "chatCommandsEnabled",
+  "historyEnabled",
+  "historyRetentionDays",
+  "historyMaxFileMb",
+  "otlpEndpoint",
+  "otlpHeaders",
+  "otlpServiceName",
+];
+
+let baseConfig = {};
+let currentConfig = {};
+let startupConfig = {};
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergeConfig(overrides = {}) {
+  return { ...baseConfig, ...overrides };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Initialise the store (call once at plugin register).
+ * @param {object} base       – output of buildConfig()
+ * @param {object} [overrides] – persisted dashboard overrides
+ * @returns {object} effective config
+ */
+export function initConfigStore(base, overrides = {}) {
+  baseConfig = { ...base };
+  currentConfig = mergeConfig(overrides);
+  startupConfig = { ...currentConfig };
+  return currentConfig;
+}
+
+/**
+ * @returns {object} the current effective config (do not mutate)
+ */
+export function getConfig() {
+  return currentConfig;
+}
+
+/**
+ * Replace the dashboard overrides and recompute the effective config.
+ * @param {object} overrides
+ * @returns {{ applied: string[], restartRequired: string[] }}
+ */
+export function applyConfigOverrides(overrides = {}) {
+  const previous = currentConfig;
+  currentConfig = mergeConfig(overrides);
+
+  const changed = Object.keys({ ...previous, ...currentConfig }).filter(
+    (key) => !sameValue(previous[key], currentConfig[key]),
+  );
+  const applied = changed.filter((key) => !RESTART_REQUIRED_KEYS.includes(key));
+
+  return { applied, restartRequired: getPendingRestartKeys() };
+}
+
+/**
+ * Keys whose effective value differs from the one the plugin started with.
+ * @returns {string[]}
+ */
+export function getPendingRestartKeys() {
+  return RESTART_REQUIRED_KEYS.filter(
+    (key) => !sameValue(startupConfig[key], currentConfig[key]),
+  );
+}
@@ -0,0 +1,237 @@
+/**
+ * Access control for the dashboard server.
+ *
+ * - A single shared token doubles as the login password for the UI.
+ * - If none is configured, one is generated and stored in
+ *   ~/.openclaw/memos-dashboard-token (mode 0600) so it survives restarts.
+ * - Browsers authenticate through an HttpOnly session cookie obtained from
+ *   POST /api/login: a random session id, valid until logout or expiry and
+ *   held in memory only (a restart logs everyone out). Scripts can send
+ *   `Authorization: Bearer <token>`.
+ * - After LOGIN_FREE_ATTEMPTS failed logins from one address, further
+ *   attempts are refused for a delay that doubles with each failure.
+ * - Secret config fields are masked before leaving the server.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+
+const OPENCLAW_DIR = join(homedir(), ".openclaw");
+export const TOKEN_FILE = join(OPENCLAW_DIR, "memos-dashboard-token");
+const COOKIE_NAME = "memos_dashboard";
+const COOKIE_MAX_AGE_S = 30 * 24 * 3600;
+const MAX_SESSIONS = 100;
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_BACKOFF_BASE_MS = 1000;
+const LOGIN_BACKOFF_MAX_MS = 5 * 60_000;
+const MAX_TRACKED_CLIENTS = 1000;
+
+/** Config keys that must never be returned in clear text. */
+export const SECRET_KEYS = ["apiKey", "selfHostedApiKey", "dashboardToken", "otlpHeaders"];
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
+/** @type {Map<string, number>} session id → expiry (ms) */
+const sessions = new Map();
+/** @type {Map<string, {failures: number, blockedUntil: number}>} client address → failed logins */
+const loginFailures = new Map();
+
+function sha256(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+function safeEqual(a, b) {
+  const da = sha256(a);
+  const db = sha256(b);
+  return timingSafeEqual(da, db);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(";")) {
+    const idx = part.indexOf("=");
+    if (idx <= 0) continue;
+    cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return cookies;
+}
+
+// ---------------------------------------------------------------------------
+// Token
+// ---------------------------------------------------------------------------
+
+/**
+ * Return the configured token, or read/generate the persisted one.
+ * @param {string} [configured]
+ * @returns {{ token: string, source: "config"|"file"|"generated" }}
+ */
+export function resolveDashboardToken(configured) {
+  if (configured) return { token: configured, source: "config" };
+
+  try {
+    const saved = readFileSync(TOKEN_FILE, "utf-8").trim();
+    if (saved) return { token: saved, source: "file" };
+  } catch { /* not created yet */ }
+
+  const token = randomBytes(24).toString("base64url");
+  try {
+    mkdirSync(OPENCLAW_DIR, { recursive: true });
+    writeFileSync(TOKEN_FILE, `${token}\n`, { encoding: "utf-8", mode: 0o600 });
+  } catch { /* token still valid for this process */ }
+  return { token, source: "generated" };
+}
+
+export function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host);
+}
+
+// ---------------------------------------------------------------------------
+// Request checks
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {import("http").IncomingMessage} req
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isAuthenticated(req, token) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ") && safeEqual(auth.slice(7).trim(), token)) return true;
+
+  const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  const expiresAt = id ? sessions.get(id) : undefined;
+  if (expiresAt === undefined) return false;
+  if (expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Same-origin policy: reject requests whose Origin header does not match
+ * the Host they were sent to. Requests without Origin (curl, same-origin
+ * GETs in some browsers) are allowed.
+ */
+export function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+export function checkLoginToken(candidate, token) {
+  return typeof candidate === "string" && candidate.length > 0 && safeEqual(candidate, token);
+}
+
+// ---------------------------------------------------------------------------
+// Sessions
+// ---------------------------------------------------------------------------
+
+/**
+ * Open a session after a successful login (the oldest one goes past MAX_SESSIONS).
+ * @returns {string} session id for sessionCookie()
+ */
+export function createSession() {
+  const id = randomBytes(32).toString("base64url");
+  sessions.set(id, Date.now() + COOKIE_MAX_AGE_S * 1000);
+  while (sessions.size > MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+  return id;
+}
+
+/** Forget the session the request's cookie refers to (logout). */
+export function endSession(req) {
+  const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (id) sessions.delete(id);
+}
+
+export function sessionCookie(sessionId) {
+  return `${COOKIE_NAME}=${sessionId}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${COOKIE_MAX_AGE_S}`;
+}
+
+export function clearSessionCookie() {
+  return `${COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+}
+
+// ---------------------------------------------------------------------------
+// Login backoff
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} client – remote address
+ * @returns {number} ms before `client` may try to log in again (0 = now)
+ */
+export function loginRetryAfterMs(client) {
+  const entry = loginFailures.get(client);
+  return entry ? Math.max(0, entry.blockedUntil - Date.now()) : 0;
+}
+
+export function recordLoginFailure(client) {
+  const entry = loginFailures.get(client) ?? { failures: 0, blockedUntil: 0 };
+  entry.failures += 1;
+  const over = entry.failures - LOGIN_FREE_ATTEMPTS;
+  if (over >= 0) {
+    entry.blockedUntil = Date.now() + Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** over, LOGIN_BACKOFF_MAX_MS);
+  }
+  loginFailures.delete(client);
+  loginFailures.set(client, entry);
+  while (loginFailures.size > MAX_TRACKED_CLIENTS) loginFailures.delete(loginFailures.keys().next().value);
+}
+
+export function recordLoginSuccess(client) {
+  loginFailures.delete(client);
+}
+
+/** Drop every session and login failure (tests). */
+export function resetAuthState() {
+  sessions.clear();
+  loginFailures.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Secret masking
+// ---------------------------------------------------------------------------
+
+export function maskSecret(value) {
+  if (!value || typeof value !== "string") return value;
+  if (value.length <= 8) return "********";
+  return `${value.slice(0, 4)}…${value.slice(-4)}`;
+}
+
+/**
+ * Shallow copy of a config object with SECRET_KEYS masked.
+ */
+export function maskConfig(config) {
+  if (!config || typeof config !== "object") return config;
+  const masked = { ...config };
+  for (const key of SECRET_KEYS) {
+    if (masked[key]) masked[key] = maskSecret(masked[key]);
+  }
+  return masked;
+}
+
+/**
+ * The UI posts back the overrides it received, so masked secrets come back
+ * verbatim. Swap them for the real value instead of saving the mask.
+ * @param {object} incoming  – body of POST /api/config
+ * @param {object} previous  – overrides currently saved
+ * @param {object} effective – current effective config
+ */
+export function restoreMaskedSecrets(incoming, previous = {}, effective = {}) {
+  const restored = { ...incoming };
+  for (const key of SECRET_KEYS) {
+    if (restored[key] === undefined) continue;
+    if (previous[key] && restored[key] === maskSecret(previous[key])) {
+      restored[key] = previous[key];
+    } else if (effective[key] && restored[key] === maskSecret(effective[key])) {
+      delete restored[key];
+    }
+  }
+  return restored;
+}
@@ -0,0 +1,137 @@
+/**
+ * Memory browser for the dashboard "Mémoires" tab.
+ *
+ * Proxies the configured memory backend for one user (the configured `userId` unless another is
+ * given):
+ * - without a query, lists memories page by page via /get/memory;
+ * - with a query, ranks them via /search/memory (facts only);
+ * - deletes by ID via /delete/memory and drops the user's cached recalls.
+ *
+ * Tag and date-range filters are applied here on the returned page, since
+ * MemOS does not filter on them server-side.
+ */
+
+import { extractResultData } from "../memos-cloud-api.js";
+import { getBackend } from "../backends/index.js";
+import { invalidateRecallCache } from "../recall-cache.js";
+import { recordEvent } from "../stats.js";
+
+export const MAX_PAGE_SIZE = 50;
+
+function toMs(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const s = String(value).trim();
+  const n = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  if (!Number.isFinite(n)) return null;
+  return n < 1e12 ? n * 1000 : n; // seconds → ms
+}
+
+/** One flat shape for list and search items. */
+export function normalizeMemory(item) {
+  return {
+    id: item?.id ?? item?.memory_id ?? null,
+    text: item?.memory_value || item?.memory || item?.memory_key || "",
+    key: item?.memory_key ?? null,
+    type: item?.memory_type ?? null,
+    tags: Array.isArray(item?.tags) ? item.tags : [],
+    conversationId: item?.conversation_id ?? null,
+    createTime: item?.create_time ?? null,
+    updateTime: item?.update_time ?? null,
+    score: item?.relativity ?? item?.score ?? null,
+    raw: item,
+  };
+}
+
+function listFrom(result) {
+  const data = extractResultData(result) ?? {};
+  if (Array.isArray(data)) return { items: data, total: null };
+  const items = data.memory_detail_list ?? data.memory_list ?? data.memories ?? data.list ?? [];
+  return { items, total: data.total ?? data.total_count ?? null };
+}
+
+/**
+ * Keep memories that have every tag in `tags` and a creation time inside
+ * [from, to] (dates or timestamps; `to` as a bare date covers that day).
+ */
+export function filterMemories(memories, { tags = [], from, to } = {}) {
+  const fromMs = toMs(from);
+  let toMsValue = toMs(to);
+  if (toMsValue !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(to).trim())) toMsValue += 86_400_000 - 1;
+  const wanted = tags.map((t) => t.toLowerCase());
+
+  return memories.filter((m) => {
+    if (wanted.length) {
+      const have = m.tags.map((t) => String(t).toLowerCase());
+      if (!wanted.every((t) => have.includes(t))) return false;
+    }
+    if (fromMs !== null || toMsValue !== null) {
+      const t = toMs(m.createTime);
+      if (t === null) return false;
+      if (fromMs !== null && t < fromMs) return false;
+      if (toMsValue !== null && t > toMsValue) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * @param {object} cfg – live config
+ * @param {{ query?: string, userId?: string, conversationId?: string, tags?: string[], from?: string, to?: string, page?: number, pageSize?: number }} params
+ * @returns {Promise<{ userId: string, mode: "list"|"search", page: number, pageSize: number, total: number|null, memories: object[] }>}
+ */
+export async function browseMemories(cfg, params = {}) {
+  const userId = params.userId || cfg.userId;
+  const pageSize = Math.min(Math.max(parseInt(params.pageSize, 10) || 20, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const query = String(params.query ?? "").trim();
+
+  let found;
+  if (query) {
+    const payload = {
+      user_id: userId,
+      query,
+      source: "openclaw",
+      memory_limit_number: pageSize,
+      include_preference: false,
+      include_tool_memory: false,
+    };
+    if (params.conversationId) payload.conversation_id = params.conversationId;
+    found = listFrom(await getBackend(cfg).search(cfg, payload));
+  } else {
+    const payload = { user_id: userId, page, page_size: pageSize };
+    if (params.conversationId) payload.conversation_id = params.conversationId;
+    found = listFrom(await getBackend(cfg).list(cfg, payload));
+  }
+
+  const memories = filterMemories(found.items.map(normalizeMemory), params);
+  return { userId, mode: query ? "search" : "list", page: query ? 1 : page, pageSize, total: found.total, memories };
+}
+
+/**
+ * Delete memories by ID for one user.
+ * @returns {Promise<{ userId: string, deleted: number }>}
+ */
+export async function deleteMemories(cfg, { ids, userId } = {}) {
+  const memoryIds = (Array.isArray(ids) ? ids : [ids]).map((id) => String(id ?? "").trim()).filter(Boolean);
+  if (!memoryIds.length) throw new Error("ids is required");
+  const user = userId || cfg.userId;
+  const t0 = Date.now();
+  try {
+    await getBackend(cfg).delete(cfg, { user_id: user, memory_ids: memoryIds });
+  } catch (err) {
+    recordEvent("memory_delete_error", {
+      promptPreview: memoryIds.join(", ").slice(0, 100),
+      error: String(err),
+      errorKind: err?.kind,
+      durationMs: Date.now() - t0,
+    });
+    throw err;
+  }
+  invalidateRecallCache(user);
+  recordEvent("memory_delete", {
+    promptPreview: memoryIds.join(", ").slice(0, 100),
+    action: "dashboard",
+    durationMs: Date.now() - t0,
+  });
+  return { userId: user, deleted: memoryIds.length };
+}
@@ -2,11 +2,12 @@
  * Lightweight HTTP dashboard server for the MemOS plugin.
  *
  * Uses Node.js built-in `http` module — zero external dependencies.
- * Serves a single-page dashboard UI and a small JSON REST API.
+ * Serves a single-page dashboard UI, a small JSON REST API and Prometheus
+ * metrics at /metrics.
  */
 
 import { createServer } from "node:http";
-import { readFileSync } from "node:fs";
+import { readFileSync, createReadStream } from "node:fs";
 import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 
@@ -20,6 +21,38 @@ import {
 } from "../stats.js";
 
 import { getPromptPreview, validateConfig } from "../memos-cloud-api.js";
+import {
+  getConfig,
+  applyConfigOverrides,
+  getPendingRestartKeys,
+  RESTART_REQUIRED_KEYS,
+} from "../config-store.js";
+import {
+  resolveDashboardToken,
+  isAuthenticated,
+  isSameOrigin,
+  isLoopbackHost,
+  checkLoginToken,
+  sessionCookie,
+  clearSessionCookie,
+  createSession,
+  endSession,
+  loginRetryAfterMs,
+  recordLoginFailure,
+  recordLoginSuccess,
+  maskConfig,
+  restoreMaskedSecrets,
+  TOKEN_FILE,
+} from "./auth.js";
+import { getOutboxStatus, replayOutbox, dropOutbox } from "../outbox.js";
+import { getBreakerStates } from "../circuit-breaker.js";
+import { getInspection, replayInspection } from "../recall-inspector.js";
+import { browseMemories, deleteMemories } from "./memory-browser.js";
+import { hasBackendCredentials } from "../backends/index.js";
+import { previewImport, startImport, getImportStatus } from "../memory-import.js";
+import { exportMemories, listExports, exportFilePath, exportDir } from "../memory-export.js";
+import { getHistory } from "../event-history.js";
+import { renderMetrics, METRICS_CONTENT_TYPE } from "../metrics.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 let uiHtml = null;
@@ -31,12 +64,11 @@ function loadUiHtml() {
   return uiHtml;
 }
 
-function jsonResponse(res, data, status = 200) {
+function jsonResponse(res, data, status = 200, headers = {}) {
   res.writeHead(status, {
     "Content-Type": "application/json",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    "Cache-Control": "no-store",
+    ...headers,
   });
   res.end(JSON.stringify(data));
 }
@@ -66,36 +98,87 @@ function readBody(req) {
  *
  * @param {object} opts
  * @param {number} opts.port
- * @param {object} opts.runtimeConfig – reference to the live merged config
+ * @param {string} [opts.host]  – bind address (default loopback only)
+ * @param {string} [opts.token] – access token; generated if empty
  * @param {object} opts.log           – logger (api.logger)
  * @returns {import("http").Server}
  */
-export function startDashboard({ port = 9898, runtimeConfig = {}, log = console } = {}) {
+export function startDashboard({ port = 9898, host = "127.0.0.1", token, log = console } = {}) {
+  const auth = resolveDashboardToken(token);
+
   const server = createServer(async (req, res) => {
-    // CORS preflight
-    if (req.method === "OPTIONS") {
-      res.writeHead(204, {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type",
-      });
-      res.end();
+    // Same-origin only: no CORS headers are ever sent, and preflights are refused.
+    if (req.method === "OPTIONS" || !isSameOrigin(req)) {
+      jsonResponse(res, { error: "Cross-origin requests are not allowed" }, 403);
       return;
     }
 
-    const url = new URL(req.url, `http://${req.headers.host}`);
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
     const path = url.pathname;
 
     try {
-      // --- UI ---
+      // --- UI (static, holds no data; the API below is authenticated) ---
       if (path === "/" && req.method === "GET") {
         htmlResponse(res, loadUiHtml());
         return;
       }
 
+      // --- Login / logout ---
+      if (path === "/api/login" && req.method === "POST") {
+        const client = req.socket.remoteAddress ?? "";
+        const waitMs = loginRetryAfterMs(client);
+        if (waitMs > 0) {
+          const retryAfter = Math.ceil(waitMs / 1000);
+          jsonResponse(res, { error: "Too many failed logins", retryAfter }, 429, { "Retry-After": String(retryAfter) });
+          return;
+        }
+        const body = await readBody(req);
+        if (!checkLoginToken(body?.token, auth.token)) {
+          recordLoginFailure(client);
+          jsonResponse(res, { error: "Invalid token" }, 401);
+          return;
+        }
+        recordLoginSuccess(client);
+        jsonResponse(res, { authenticated: true }, 200, { "Set-Cookie": sessionCookie(createSession()) });
+        return;
+      }
+
+      if (path === "/api/logout" && req.method === "POST") {
+        endSession(req);
+        jsonResponse(res, { authenticated: false }, 200, { "Set-Cookie": clearSessionCookie() });
+        return;
+      }
+
+      // --- Prometheus (same token; scrape with `authorization: credentials`) ---
+      if (path === "/metrics" && req.method === "GET") {
+        if (!isAuthenticated(req, auth.token)) {
+          jsonResponse(res, { error: "Unauthorized" }, 401);
+          return;
+        }
+        res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE, "Cache-Control": "no-store" });
+        res.end(renderMetrics({ stats: getStats(), breakers: getBreakerStates(), outbox: getOutboxStatus() }));
+        return;
+      }
+
+      if (path.startsWith("/api/") && !isAuthenticated(req, auth.token)) {
+        jsonResponse(res, { error: "Unauthorized" }, 401);
+        return;
+      }
+
       // --- Stats ---
       if (path === "/api/stats" && req.method === "GET") {
-        jsonResponse(res, { stats: getStats(), logs: getLogs("all", 20) });
+        jsonResponse(res, {
+          stats: getStats(),
+          logs: getLogs("all", 20),
+          outbox: getOutboxStatus(),
+          breakers: getBreakerStates(),
+        });
+        return;
+      }
+
+      // --- History (charts) ---
+      if (path === "/api/history" && req.method === "GET") {
+        jsonResponse(res, getHistory(url.searchParams.get("range") || "24h"));
         return;
       }
 
@@ -107,26 +190,139 @@ export function startDashboard({ port = 9898, runtimeConfig = {}, log = console
         return;
       }
 
+      // --- Recall inspector ---
+      const inspectMatch = path.match(/^\/api\/recall\/(\d+)(\/replay)?$/);
+      if (inspectMatch && req.method === (inspectMatch[2] ? "POST" : "GET")) {
+        const logId = parseInt(inspectMatch[1], 10);
+        const data = inspectMatch[2] ? await replayInspection(logId, getConfig()) : getInspection(logId, getConfig());
+        if (!data) {
+          jsonResponse(res, { error: "No recall details for this entry" }, 404);
+          return;
+        }
+        jsonResponse(res, data);
+        return;
+      }
+
+      // --- Memory browser ---
+      if (path === "/api/memories" && req.method === "GET") {
+        const cfg = getConfig();
+        if (!hasBackendCredentials(cfg)) {
+          jsonResponse(res, { error: "MemOS API key is not configured" }, 400);
+          return;
+        }
+        const q = url.searchParams;
+        const tags = (q.get("tags") || "").split(",").map((t) => t.trim()).filter(Boolean);
+        const data = await browseMemories(cfg, {
+          query: q.get("q"),
+          userId: q.get("user"),
+          conversationId: q.get("conversation"),
+          tags,
+          from: q.get("from"),
+          to: q.get("to"),
+          page: q.get("page"),
+          pageSize: q.get("size"),
+        });
+        jsonResponse(res, data);
+        return;
+      }
+
+      if (path === "/api/memories/delete" && req.method === "POST") {
+        const cfg = getConfig();
+        const body = await readBody(req);
+        const ready = hasBackendCredentials(cfg);
+        if (!ready || !Array.isArray(body?.ids) || !body.ids.length) {
+          jsonResponse(res, { error: ready ? "ids must be a non-empty list" : "MemOS API key is not configured" }, 400);
+          return;
+        }
+        jsonResponse(res, await deleteMemories(cfg, { ids: body.ids, userId: body.userId }));
+        return;
+      }
+
+      // --- MEMORY.md importer ---
+      if (path === "/api/import/preview" && req.method === "GET") {
+        const q = url.searchParams;
+        try {
+          jsonResponse(res, previewImport(getConfig(), { path: q.get("path"), userId: q.get("user") }));
+        } catch (err) {
+          jsonResponse(res, { error: err.message }, 400);
+        }
+        return;
+      }
+
+      if (path === "/api/import/status" && req.method === "GET") {
+        jsonResponse(res, getImportStatus());
+        return;
+      }
+
+      // --- Export / backups ---
+      if (path === "/api/exports" && req.method === "GET") {
+        const cfg = getConfig();
+        jsonResponse(res, { dir: exportDir(cfg), backupIntervalHours: cfg.backupIntervalHours, files: listExports(cfg) });
+        return;
+      }
+
+      if (path === "/api/export" && req.method === "POST") {
+        const cfg = getConfig();
+        if (!hasBackendCredentials(cfg)) {
+          jsonResponse(res, { error: "MemOS API key is not configured" }, 400);
+          return;
+        }
+        const body = await readBody(req);
+        jsonResponse(res, await exportMemories(cfg, { userId: body?.userId }));
+        return;
+      }
+
+      if (path === "/api/exports/download" && req.method === "GET") {
+        const name = url.searchParams.get("name");
+        const file = exportFilePath(getConfig(), name);
+        if (!file) {
+          jsonResponse(res, { error: "Unknown export file" }, 404);
+          return;
+        }
+        res.writeHead(200, {
+          "Content-Type": name.endsWith(".md") ? "text/markdown; charset=utf-8" : "application/x-ndjson",
+          "Content-Disposition": `attachment; filename="${name}"`,
+          "Cache-Control": "no-store",
+        });
+        createReadStream(file).pipe(res);
+        return;
+      }
+
+      if (path === "/api/import" && req.method === "POST") {
+        const cfg = getConfig();
+        const body = await readBody(req);
+        try {
+          jsonResponse(res, startImport(cfg, { path: body?.path, userId: body?.userId }));
+        } catch (err) {
+          jsonResponse(res, { error: err.message }, 409);
+        }
+        return;
+      }
+
       // --- Config GET ---
       if (path === "/api/config" && req.method === "GET") {
         jsonResponse(res, {
-          runtime: runtimeConfig,
-          overrides: getConfigOverrides(),
+          runtime: maskConfig(getConfig()),
+          overrides: maskConfig(getConfigOverrides()),
+          restartRequiredKeys: RESTART_REQUIRED_KEYS,
+          pendingRestart: getPendingRestartKeys(),
         });
         return;
       }
 
       // --- Config POST ---
       if (path === "/api/config" && req.method === "POST") {
-        const body = await readBody(req);
-        if (body && typeof body === "object") {
+        const raw = await readBody(req);
+        if (raw && typeof raw === "object") {
+          const body = restoreMaskedSecrets(raw, getConfigOverrides(), getConfig());
           const { valid, errors } = validateConfig(body);
           if (!valid) {
             jsonResponse(res, { error: errors.join(" ") }, 400);
             return;
           }
           setConfigOverrides(body);
-          jsonResponse(res, { saved: true });
+          const { applied, restartRequired } = applyConfigOverrides(body);
+          jsonResponse(res, { saved: true, applied, restartRequired });
         } else {
           jsonResponse(res, { error: "Invalid body" }, 400);
         }
@@ -136,7 +332,27 @@ export function startDashboard({ port = 9898, runtimeConfig = {}, log = console
       // --- Config DELETE (reset) ---
       if (path === "/api/config" && req.method === "DELETE") {
         clearConfigOverrides();
-        jsonResponse(res, { cleared: true });
+        const { applied, restartRequired } = applyConfigOverrides({});
+        jsonResponse(res, { cleared: true, applied, restartRequired });
+        return;
+      }
+
+      // --- Outbox ---
+      if (path === "/api/outbox" && req.method === "GET") {
+        jsonResponse(res, getOutboxStatus());
+        return;
+      }
+
+      if (path === "/api/outbox/retry" && req.method === "POST") {
+        const result = await replayOutbox({ force: true });
+        jsonResponse(res, result);
+        return;
+      }
+
+      if (path === "/api/outbox" && req.method === "DELETE") {
+        const idParam = url.searchParams.get("id");
+        const removed = dropOutbox(idParam ? parseInt(idParam, 10) : undefined);
+        jsonResponse(res, { removed });
         return;
       }
 
@@ -165,8 +381,15 @@ export function startDashboard({ port = 9898, runtimeConfig = {}, log = console
     }
   });
 
-  server.listen(port, "0.0.0.0", () => {
-    log.info?.(`[memos-cloud] Dashboard running at http://0.0.0.0:${port}`);
+  server.listen(port, host, () => {
+    const shownHost = host.includes(":") ? `[${host}]` : host;
+    log.info?.(`[memos-cloud] Dashboard running at http://${shownHost}:${port}`);
+    if (auth.source !== "config") {
+      log.info?.(`[memos-cloud] Dashboard token ${auth.source === "generated" ? "written to" : "read from"} ${TOKEN_FILE}`);
+    }
+    if (!isLoopbackHost(host)) {
+      log.warn?.(`[memos-cloud] Dashboard is reachable from the network (${host}); keep the token secret.`);
+    }
   });
 
   server.on("error", (err) => {
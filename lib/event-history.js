@@ -0,0 +1,298 @@
+/**
+ * Persistent event history and hourly / daily roll-ups.
+ *
+ * - Every recorded event is appended to ~/.openclaw/memos-cloud-events.jsonl,
+ *   reduced to what the charts use (type, time, duration, error kind): no
+ *   prompt, query or memory text ever reaches the disk. Files are 0600.
+ *   Past `historyMaxFileMb` the file is rotated to
+ *   memos-cloud-events.<time>.jsonl; rotated files older than
+ *   `historyRetentionDays` are deleted.
+ * - Events are also rolled up per UTC hour and per UTC day: total calls,
+ *   errors, heartbeats filtered, and per operation (search, add, tool_…)
+ *   calls, errors and a latency histogram from which p50 / p95 are read.
+ *   Hourly buckets are kept for 8 days, daily ones for the retention period.
+ * - Roll-ups are saved to ~/.openclaw/memos-cloud-rollups.json every minute
+ *   and on flush; when that file is missing they are rebuilt from the logs.
+ *
+ * stats.js feeds events in; nothing is written before initHistory().
+ */
+
+import { appendFileSync, readFileSync, writeFileSync, renameSync, readdirSync, statSync, unlinkSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+
+const OPENCLAW_DIR = join(homedir(), ".openclaw");
+const EVENTS_FILE = join(OPENCLAW_DIR, "memos-cloud-events.jsonl");
+const ROLLUPS_FILE = join(OPENCLAW_DIR, "memos-cloud-rollups.json");
+const ROTATED_RE = /^memos-cloud-events\.[\w-]+\.jsonl$/;
+const HOUR_MS = 3_600_000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURLY_KEEP_MS = 8 * DAY_MS;
+const PERSIST_INTERVAL_MS = 60_000;
+
+/** Latency histogram upper bounds (ms); the last bin is open-ended. */
+export const LATENCY_BINS = [50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 7500, 10000, 20000, 30000];
+
+export const HISTORY_RANGES = {
+  "24h": { bucket: "hour", points: 24 },
+  "7d": { bucket: "hour", points: 168 },
+  "30d": { bucket: "day", points: 30 },
+};
+
+let enabled = false;
+let options = { retentionDays: 30, maxFileBytes: 10 * 1024 * 1024 };
+let fileSize = 0;
+let rotations = 0;
+let persistTimer = null;
+/** @type {{ hour: Record<string, object>, day: Record<string, object> }} */
+let rollups = { hour: {}, day: {} };
+
+// ---------------------------------------------------------------------------
+// Roll-ups
+// ---------------------------------------------------------------------------
+
+/**
+ * Operation an event type counts under (null: not an operation).
+ * `search_error` → search, cache hits are searches, outbox replays are adds.
+ */
+export function operationOf(type) {
+  if (!type || type === "heartbeat_filtered" || type === "breaker_state") return null;
+  const base = type.replace(/_error$/, "");
+  if (base === "search_cache_hit" || base === "search_budget_exceeded") return "search";
+  if (base === "outbox_replayed" || base === "add_skipped") return "add";
+  return base;
+}
+
+function isError(type) {
+  return type === "error" || type.endsWith("_error");
+}
+
+function emptyBucket() {
+  return { calls: 0, errors: 0, heartbeats: 0, ops: {} };
+}
+
+function binIndex(ms) {
+  const i = LATENCY_BINS.findIndex((upper) => ms <= upper);
+  return i === -1 ? LATENCY_BINS.length : i;
+}
+
+function addToBucket(bucket, entry) {
+  if (entry.type === "heartbeat_filtered") {
+    bucket.heartbeats += 1;
+    return;
+  }
+  const op = operationOf(entry.type);
+  if (!op) return;
+  const err = isError(entry.type);
+  bucket.calls += 1;
+  if (err) bucket.errors += 1;
+  const stats = (bucket.ops[op] ??= { calls: 0, errors: 0, latency: [] });
+  stats.calls += 1;
+  if (err) stats.errors += 1;
+  if (typeof entry.durationMs === "number" && entry.durationMs >= 0) {
+    const i = binIndex(entry.durationMs);
+    while (stats.latency.length <= i) stats.latency.push(0);
+    stats.latency[i] += 1;
+  }
+}
+
+/** Percentile (0–1) from a latency histogram, as the bin's upper bound. */
+export function histogramPercentile(latency, p) {
+  const total = latency.reduce((a, b) => a + b, 0);
+  if (!total) return null;
+  let seen = 0;
+  for (let i = 0; i < latency.length; i += 1) {
+    seen += latency[i];
+    if (seen >= total * p) return LATENCY_BINS[i] ?? LATENCY_BINS[LATENCY_BINS.length - 1] * 2;
+  }
+  return null;
+}
+
+function hourKey(ms) {
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function rollUp(entry) {
+  const t = Date.parse(entry.timestamp);
+  if (!Number.isFinite(t)) return;
+  addToBucket((rollups.hour[hourKey(t)] ??= emptyBucket()), entry);
+  addToBucket((rollups.day[dayKey(t)] ??= emptyBucket()), entry);
+}
+
+function pruneRollups(now = Date.now()) {
+  const hourCut = hourKey(now - HOURLY_KEEP_MS);
+  const dayCut = dayKey(now - options.retentionDays * DAY_MS);
+  for (const key of Object.keys(rollups.hour)) if (key < hourCut) delete rollups.hour[key];
+  for (const key of Object.keys(rollups.day)) if (key < dayCut) delete rollups.day[key];
+}
+
+// ---------------------------------------------------------------------------
+// Files
+// ---------------------------------------------------------------------------
+
+function rotatedFiles() {
+  try {
+    return readdirSync(OPENCLAW_DIR)
+      .filter((n) => ROTATED_RE.test(n))
+      .sort()
+      .map((n) => join(OPENCLAW_DIR, n));
+  } catch {
+    return [];
+  }
+}
+
+function rotate() {
+  try {
+    // The sequence number keeps two rotations in the same millisecond apart.
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    rotations += 1;
+    renameSync(EVENTS_FILE, join(OPENCLAW_DIR, `memos-cloud-events.${stamp}-${String(rotations).padStart(4, "0")}.jsonl`));
+  } catch { /* nothing to rotate */ }
+  fileSize = 0;
+  pruneFiles();
+}
+
+function pruneFiles(now = Date.now()) {
+  const cut = now - options.retentionDays * DAY_MS;
+  for (const file of rotatedFiles()) {
+    try {
+      if (statSync(file).mtimeMs < cut) unlinkSync(file);
+    } catch { /* ignore */ }
+  }
+}
+
+function rebuildFromLogs() {
+  for (const file of [...rotatedFiles(), EVENTS_FILE]) {
+    let text;
+    try {
+      text = readFileSync(file, "utf-8");
+    } catch {
+      continue;
+    }
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        rollUp(JSON.parse(line));
+      } catch { /* skip a torn line */ }
+    }
+  }
+}
+
+function saveRollups() {
+  if (!enabled) return;
+  pruneRollups();
+  const json = JSON.stringify(rollups);
+  try {
+    const tmp = ROLLUPS_FILE + ".tmp";
+    writeFileSync(tmp, json, { encoding: "utf-8", mode: 0o600 });
+    renameSync(tmp, ROLLUPS_FILE);
+  } catch {
+    try {
+      writeFileSync(ROLLUPS_FILE, json, { encoding: "utf-8", mode: 0o600 });
+    } catch { /* ignore */ }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Start recording (call once at plugin register).
+ * @param {{ historyEnabled?: boolean, historyRetentionDays?: number, historyMaxFileMb?: number }} cfg
+ */
+export function initHistory(cfg = {}) {
+  enabled = cfg.historyEnabled !== false;
+  options = {
+    retentionDays: cfg.historyRetentionDays ?? 30,
+    maxFileBytes: (cfg.historyMaxFileMb ?? 10) * 1024 * 1024,
+  };
+  if (persistTimer) clearInterval(persistTimer);
+  persistTimer = null;
+  if (!enabled) return;
+
+  rollups = { hour: {}, day: {} };
+  try {
+    const saved = JSON.parse(readFileSync(ROLLUPS_FILE, "utf-8"));
+    rollups = { hour: saved?.hour ?? {}, day: saved?.day ?? {} };
+  } catch {
+    rebuildFromLogs();
+  }
+  try {
+    fileSize = statSync(EVENTS_FILE).size;
+  } catch {
+    fileSize = 0;
+  }
+  pruneFiles();
+  pruneRollups();
+
+  persistTimer = setInterval(saveRollups, PERSIST_INTERVAL_MS);
+  if (persistTimer.unref) persistTimer.unref();
+}
+
+/** The part of a log entry that is kept on disk. */
+function historyRecord(entry) {
+  const record = { timestamp: entry.timestamp, type: entry.type };
+  if (typeof entry.durationMs === "number") record.durationMs = entry.durationMs;
+  if (entry.errorKind) record.errorKind = entry.errorKind;
+  return record;
+}
+
+/** Append one log entry (called by stats.recordEvent). */
+export function appendHistory(entry) {
+  if (!enabled) return;
+  const record = historyRecord(entry);
+  rollUp(record);
+  const line = JSON.stringify(record) + "\n";
+  const bytes = Buffer.byteLength(line);
+  if (fileSize && fileSize + bytes > options.maxFileBytes) rotate();
+  try {
+    appendFileSync(EVENTS_FILE, line, { encoding: "utf-8", mode: 0o600 });
+    fileSize += bytes;
+  } catch { /* best effort */ }
+}
+
+export function flushHistory() {
+  saveRollups();
+}
+
+/** Stop recording and forget the roll-ups in memory (tests). */
+export function resetHistory() {
+  enabled = false;
+  rollups = { hour: {}, day: {} };
+  if (persistTimer) clearInterval(persistTimer);
+  persistTimer = null;
+}
+
+/**
+ * Time series for the dashboard charts, oldest first, empty buckets included.
+ * @param {"24h"|"7d"|"30d"} range
+ * @returns {{ range: string, bucket: "hour"|"day", points: Array<{ t: string, calls: number, errors: number, heartbeats: number, ops: Record<string, {calls: number, errors: number, p50: number|null, p95: number|null}> }> }}
+ */
+export function getHistory(range = "24h", now = Date.now()) {
+  const spec = HISTORY_RANGES[range] ?? HISTORY_RANGES["24h"];
+  const step = spec.bucket === "hour" ? HOUR_MS : DAY_MS;
+  const keyOf = spec.bucket === "hour" ? hourKey : dayKey;
+  const store = rollups[spec.bucket];
+
+  const points = [];
+  for (let i = spec.points - 1; i >= 0; i -= 1) {
+    const key = keyOf(now - i * step);
+    const b = store[key] ?? emptyBucket();
+    const ops = {};
+    for (const [op, s] of Object.entries(b.ops)) {
+      ops[op] = {
+        calls: s.calls,
+        errors: s.errors,
+        p50: histogramPercentile(s.latency, 0.5),
+        p95: histogramPercentile(s.latency, 0.95),
+      };
+    }
+    points.push({ t: key, calls: b.calls, errors: b.errors, heartbeats: b.heartbeats, ops });
+  }
+  return { range: HISTORY_RANGES[range] ? range : "24h", bucket: spec.bucket, points };
+}
@@ -0,0 +1,26 @@
+/**
+ * Minimal `*` wildcard matching for names and keys in config
+ * (tool names, agent IDs, session keys). Case-insensitive.
+ */
+
+const cache = new Map();
+
+function globToRegExp(pattern) {
+  let re = cache.get(pattern);
+  if (!re) {
+    const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    re = new RegExp(`^${escaped}$`, "i");
+    cache.set(pattern, re);
+  }
+  return re;
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {string | string[]} patterns
+ */
+export function matchesGlob(value, patterns) {
+  if (value === undefined || value === null) return false;
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.some((p) => globToRegExp(p).test(String(value)));
+}
@@ -0,0 +1,107 @@
+/**
+ * Sender identity → MemOS user_id.
+ *
+ * With `identityMode: "sender"`, each person talking to a shared gateway
+ * (Telegram group, Discord bot, …) gets their own `user_id`, built from
+ * `userIdTemplate` (default `{provider}:{senderId}`).
+ *
+ * - The sender is read from explicit ctx/event fields when OpenClaw provides
+ *   them, otherwise from the "(untrusted metadata)" JSON block OpenClaw prepends
+ *   to inbound messages. Only that first block counts: any block after it,
+ *   even right after, may have been typed by the user and is ignored.
+ * - `identityAliases` merges one person's identities across channels:
+ *   `{ "telegram:12345": "alice", "discord:98765": "alice" }`.
+ * - Without a sender (CLI, cron, unknown shape) the static `userId` is used.
+ */
+
+import { extractText } from "./memos-cloud-api.js";
+
+// Anchored: only the block OpenClaw puts at the very start of the text.
+const METADATA_BLOCK_RE = /^\s*([A-Za-z ]+)\(untrusted metadata\):[ \t]*\r?\n```json\s*([\s\S]*?)```/i;
+const SENDER_ID_KEYS = ["sender_id", "senderId", "requesterSenderId", "from_id", "fromId", "sender_e164"];
+const PROVIDER_KEYS = ["provider", "channel", "surface"];
+
+function firstValue(obj, keys) {
+  for (const key of keys) {
+    const v = obj?.[key];
+    if (v !== undefined && v !== null && v !== "") return String(v);
+  }
+  return "";
+}
+
+/**
+ * Parse the "(untrusted metadata)" block at the start of a message into a
+ * flat object. Later blocks are never read. A `Sender` block contributes its
+ * `id` as `sender_id`.
+ */
+export function parseUntrustedMetadata(text) {
+  const meta = {};
+  if (typeof text !== "string" || !text.includes("untrusted metadata")) return meta;
+  const m = METADATA_BLOCK_RE.exec(text);
+  if (!m) return meta;
+  const [, label, json] = m;
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return meta;
+  }
+  if (!data || typeof data !== "object") return meta;
+  if (/^\s*sender\s*$/i.test(label) && data.id !== undefined) meta.sender_id = data.id;
+  for (const [k, v] of Object.entries(data)) meta[k] ??= v;
+  return meta;
+}
+
+function lastUserText(messages) {
+  for (let i = (messages?.length ?? 0) - 1; i >= 0; i -= 1) {
+    const msg = messages[i];
+    if (msg?.role !== "user") continue;
+    const text = extractText(msg.content);
+    if (text) return text;
+  }
+  return "";
+}
+
+/**
+ * Find who sent the current message.
+ * @param {object} ctx – OpenClaw hook context
+ * @param {object} [event] – hook event (`prompt` for recall, `messages` for capture)
+ * @returns {{ provider: string, senderId: string } | null}
+ */
+export function extractSender(ctx, event) {
+  const meta = parseUntrustedMetadata(event?.prompt ?? lastUserText(event?.messages));
+  const senderId =
+    firstValue(ctx, SENDER_ID_KEYS) ||
+    firstValue(event, SENDER_ID_KEYS) ||
+    firstValue(event?.metadata, SENDER_ID_KEYS) ||
+    firstValue(meta, SENDER_ID_KEYS);
+  if (!senderId) return null;
+
+  const provider =
+    ctx?.messageProvider || firstValue(event?.metadata, PROVIDER_KEYS) || firstValue(meta, PROVIDER_KEYS);
+  return { provider: provider.toLowerCase(), senderId };
+}
+
+/**
+ * Resolve the MemOS user_id for a run.
+ * @returns {{ userId: string, source: "static"|"sender"|"alias" }}
+ */
+export function resolveUserId(cfg, ctx, event) {
+  if (cfg.identityMode !== "sender") return { userId: cfg.userId, source: "static" };
+
+  const sender = extractSender(ctx, event);
+  if (!sender) return { userId: cfg.userId, source: "static" };
+
+  const { provider, senderId } = sender;
+  const aliases = cfg.identityAliases ?? {};
+  const alias = aliases[`${provider}:${senderId}`] ?? aliases[senderId];
+  if (alias) return { userId: String(alias), source: "alias" };
+
+  const template = cfg.userIdTemplate || "{provider}:{senderId}";
+  const userId = template
+    .replaceAll("{provider}", provider)
+    .replaceAll("{senderId}", senderId)
+    .replaceAll("{userId}", cfg.userId ?? "")
+    .replace(/^[:_-]+/, "");
+  return { userId, source: "sender" };
+}
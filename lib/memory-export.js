@@ -0,0 +1,287 @@
+/**
+ * Export and scheduled backup of a user's memories.
+ *
+ * - Pages through the configured backend's /get/memory for one user (the
+ *   configured `userId` and `knowledgebaseIds` unless given) and collects
+ *   facts, preferences and tool memories.
+ * - Writes two files under `exportDir` (default ~/.openclaw/memos-exports):
+ *   `<prefix>-<user>-<timestamp>.jsonl` (one header line, then one raw item
+ *   per line: lossless, for restore or moving accounts) and a matching
+ *   `.md` that a human can read.
+ * - With `backupIntervalHours` > 0, a background check writes a
+ *   `memos-backup-*` pair when the newest one is older than the interval and
+ *   keeps only the last `backupRetention` of them. Manual exports
+ *   (`memos-export-*`) are never pruned.
+ */
+
+import { mkdirSync, readdirSync, statSync, unlinkSync, writeFileSync } from "node:fs";
+import { join, basename } from "node:path";
+import { homedir } from "node:os";
+
+import { extractResultData } from "./memos-cloud-api.js";
+import { getBackend, hasBackendCredentials } from "./backends/index.js";
+import { getConfig } from "./config-store.js";
+import { recordEvent } from "./stats.js";
+
+const DEFAULT_EXPORT_DIR = join(homedir(), ".openclaw", "memos-exports");
+const PAGE_SIZE = 50;
+const MAX_PAGES = 2000;
+const BACKUP_CHECK_MS = 15 * 60_000;
+const FILE_RE = /^memos-(export|backup)-.+\.(jsonl|md)$/;
+
+const LISTS = [
+  ["memory", "memory_detail_list"],
+  ["preference", "preference_detail_list"],
+  ["tool", "tool_memory_detail_list"],
+];
+
+let backupTimer = null;
+let backingUp = false;
+let logger = console;
+
+export function exportDir(cfg) {
+  return cfg.exportDir || DEFAULT_EXPORT_DIR;
+}
+
+// ---------------------------------------------------------------------------
+// Collect
+// ---------------------------------------------------------------------------
+
+function itemKey(kind, item) {
+  return `${kind}:${item?.id ?? item?.memory_id ?? JSON.stringify(item)}`;
+}
+
+/**
+ * Every memory of one user, page by page.
+ * @returns {Promise<{ memories: object[], preferences: object[], tools: object[] }>}
+ */
+export async function collectMemories(cfg, { userId, knowledgebaseIds } = {}) {
+  const backend = getBackend(cfg);
+  const kbs = knowledgebaseIds ?? cfg.knowledgebaseIds ?? [];
+  const out = { memory: [], preference: [], tool: [] };
+  const seen = new Set();
+
+  for (let page = 1; page <= MAX_PAGES; page += 1) {
+    const payload = { user_id: userId, page, page_size: PAGE_SIZE, include_preference: true, include_tool_memory: true };
+    if (kbs.length) payload.knowledgebase_ids = kbs;
+    const data = extractResultData(await backend.list(cfg, payload)) ?? {};
+    const lists = Array.isArray(data) ? { memory_detail_list: data } : data;
+
+    let fresh = 0;
+    for (const [kind, field] of LISTS) {
+      for (const item of lists[field] ?? []) {
+        const key = itemKey(kind, item);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        out[kind].push(item);
+        fresh += 1;
+      }
+    }
+
+    // Preferences and tool memories page alongside facts, so keep going while
+    // any list came back full. `total` counts facts only.
+    const total = lists.total ?? lists.total_count;
+    const factsDone = total != null && out.memory.length >= total;
+    const more = LISTS.some(([kind, field]) => (lists[field] ?? []).length >= PAGE_SIZE && !(kind === "memory" && factsDone));
+    if (!fresh || !more) break;
+  }
+  return { memories: out.memory, preferences: out.preference, tools: out.tool };
+}
+
+// ---------------------------------------------------------------------------
+// Render
+// ---------------------------------------------------------------------------
+
+function itemText(item) {
+  return item?.memory_value || item?.preference || item?.tool_value || item?.memory || item?.memory_key || "";
+}
+
+function itemDate(item) {
+  const t = item?.create_time ?? item?.update_time;
+  if (t === undefined || t === null || t === "") return "";
+  const n = Number(t);
+  const d = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(t);
+  return isNaN(d) ? "" : d.toISOString().slice(0, 10);
+}
+
+function markdownList(items) {
+  if (!items.length) return "_None._\n";
+  return (
+    items
+      .map((item) => {
+        const date = itemDate(item);
+        const tags = Array.isArray(item?.tags) && item.tags.length ? ` _(${item.tags.join(", ")})_` : "";
+        const text = itemText(item).replace(/\s*\n\s*/g, " ");
+        return `- ${date ? `**${date}** ` : ""}${text}${tags}`;
+      })
+      .join("\n") + "\n"
+  );
+}
+
+export function renderMarkdown(header, { memories, preferences, tools }) {
+  const lines = [
+    `# MemOS export — ${header.userId}`,
+    "",
+    `- Exported: ${header.exportedAt}`,
+    `- Backend: ${header.backend}`,
+    header.knowledgebaseIds.length ? `- Knowledge bases: ${header.knowledgebaseIds.join(", ")}` : null,
+    `- Facts: ${memories.length} · Preferences: ${preferences.length} · Tool memories: ${tools.length}`,
+    "",
+    "## Facts",
+    "",
+    markdownList(memories),
+    "## Preferences",
+    "",
+    markdownList(preferences),
+  ];
+  if (tools.length) lines.push("## Tool memories", "", markdownList(tools));
+  return lines.filter((l) => l !== null).join("\n");
+}
+
+export function renderJsonl(header, { memories, preferences, tools }) {
+  const rows = [
+    { type: "header", ...header },
+    ...memories.map((item) => ({ type: "memory", item })),
+    ...preferences.map((item) => ({ type: "preference", item })),
+    ...tools.map((item) => ({ type: "tool", item })),
+  ];
+  return rows.map((r) => JSON.stringify(r)).join("\n") + "\n";
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+function safeName(value) {
+  return String(value).replace(/[^\w.-]+/g, "_").slice(0, 64) || "user";
+}
+
+/**
+ * Export one user's memories to a JSONL + Markdown pair.
+ * @param {object} cfg
+ * @param {{ userId?: string, knowledgebaseIds?: string[], kind?: "export"|"backup", via?: string }} [opts]
+ * @returns {Promise<{ userId: string, jsonl: string, markdown: string, counts: {memories: number, preferences: number, tools: number} }>}
+ */
+export async function exportMemories(cfg, opts = {}) {
+  if (!hasBackendCredentials(cfg)) throw new Error("MemOS API key is not configured (MEMOS_API_KEY).");
+  const userId = opts.userId || cfg.userId;
+  const kind = opts.kind === "backup" ? "backup" : "export";
+  const t0 = Date.now();
+
+  try {
+    const collected = await collectMemories(cfg, { userId, knowledgebaseIds: opts.knowledgebaseIds });
+    const exportedAt = new Date().toISOString();
+    const header = {
+      version: 1,
+      userId,
+      exportedAt,
+      backend: getBackend(cfg).name,
+      knowledgebaseIds: opts.knowledgebaseIds ?? cfg.knowledgebaseIds ?? [],
+      counts: { memories: collected.memories.length, preferences: collected.preferences.length, tools: collected.tools.length },
+    };
+
+    const dir = exportDir(cfg);
+    mkdirSync(dir, { recursive: true });
+    const stem = join(dir, `memos-${kind}-${safeName(userId)}-${exportedAt.replace(/[:.]/g, "-")}`);
+    writeFileSync(`${stem}.jsonl`, renderJsonl(header, collected), { encoding: "utf-8", mode: 0o600 });
+    writeFileSync(`${stem}.md`, renderMarkdown(header, collected), { encoding: "utf-8", mode: 0o600 });
+
+    recordEvent(kind, {
+      promptPreview: `${header.counts.memories} facts, ${header.counts.preferences} preferences → ${basename(stem)}`.slice(0, 100),
+      action: opts.via ?? (kind === "backup" ? "schedule" : "dashboard"),
+      durationMs: Date.now() - t0,
+    });
+    return { userId, jsonl: `${stem}.jsonl`, markdown: `${stem}.md`, counts: header.counts };
+  } catch (err) {
+    recordEvent(`${kind}_error`, {
+      promptPreview: userId,
+      error: String(err),
+      errorKind: err?.kind,
+      durationMs: Date.now() - t0,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Export and backup files, newest first.
+ * @returns {Array<{ name: string, kind: "export"|"backup", format: "jsonl"|"md", size: number, mtime: string }>}
+ */
+export function listExports(cfg) {
+  let names;
+  try {
+    names = readdirSync(exportDir(cfg));
+  } catch {
+    return [];
+  }
+  return names
+    .filter((n) => FILE_RE.test(n))
+    .map((name) => {
+      const st = statSync(join(exportDir(cfg), name));
+      const [, kind, format] = name.match(FILE_RE);
+      return { name, kind, format, size: st.size, mtime: st.mtime.toISOString() };
+    })
+    .sort((a, b) => b.mtime.localeCompare(a.mtime) || b.name.localeCompare(a.name));
+}
+
+/** Absolute path of an export file, or null if `name` is not one. */
+export function exportFilePath(cfg, name) {
+  if (typeof name !== "string" || name !== basename(name) || !FILE_RE.test(name)) return null;
+  return listExports(cfg).some((f) => f.name === name) ? join(exportDir(cfg), name) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Scheduled backups
+// ---------------------------------------------------------------------------
+
+/** Keep the newest `backupRetention` backups (a backup = its .jsonl + .md). */
+export function pruneBackups(cfg) {
+  const keep = cfg.backupRetention ?? 7;
+  const stems = [...new Set(listExports(cfg).filter((f) => f.kind === "backup").map((f) => f.name.replace(/\.(jsonl|md)$/, "")))];
+  let removed = 0;
+  for (const stem of stems.slice(keep)) {
+    for (const ext of ["jsonl", "md"]) {
+      try {
+        unlinkSync(join(exportDir(cfg), `${stem}.${ext}`));
+        removed += 1;
+      } catch { /* already gone */ }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Write a backup if one is due (newest backup older than the interval).
+ * @returns {Promise<object|null>} the export result, or null when not due
+ */
+export async function runBackupIfDue(cfg = getConfig()) {
+  const hours = cfg.backupIntervalHours ?? 0;
+  if (!hours || backingUp || !hasBackendCredentials(cfg)) return null;
+  const last = listExports(cfg).find((f) => f.kind === "backup");
+  if (last && Date.now() - Date.parse(last.mtime) < hours * 3_600_000) return null;
+
+  backingUp = true;
+  try {
+    const out = await exportMemories(cfg, { kind: "backup" });
+    pruneBackups(cfg);
+    return out;
+  } catch (err) {
+    logger.warn?.(`[memos-cloud] scheduled backup failed: ${String(err)}`);
+    return null;
+  } finally {
+    backingUp = false;
+  }
+}
+
+/**
+ * Start the background backup check (call once at plugin register). The
+ * interval is read from the live config, so turning backups on or off from
+ * the dashboard needs no restart.
+ */
+export function initBackups({ log = console } = {}) {
+  logger = log;
+  if (backupTimer) clearInterval(backupTimer);
+  backupTimer = setInterval(() => runBackupIfDue().catch(() => {}), BACKUP_CHECK_MS);
+  if (backupTimer.unref) backupTimer.unref();
+  setTimeout(() => runBackupIfDue().catch(() => {}), 10_000).unref?.();
+}
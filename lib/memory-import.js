@@ -0,0 +1,380 @@
+/**
+ * Importer for the agent's legacy Markdown memory (MEMORY.md, memory/*.md).
+ *
+ * - Files are split into facts: one per list item (nested items carry their
+ *   parent as context) or paragraph, labelled with the nearest heading.
+ * - A fact keeps the first date it can find: in its text, its heading, or
+ *   the file name (memory/2025-03-14.md).
+ * - Uploads go through the configured backend's /add/message in batches of
+ *   `importBatchSize`, `importRateLimitMs` apart, tagged with `importTags`,
+ *   with redaction applied like any other capture.
+ * - Imported facts are recorded per user in
+ *   ~/.openclaw/memos-import-state.json after every batch, so a failed or
+ *   interrupted import resumes where it stopped and a re-run skips them.
+ *
+ * Facts always go to the configured `userId` (or a user picked on the
+ * dashboard), never to a chat sender's id, and only files inside the
+ * workspace (`importWorkspacePath`) are read.
+ *
+ * One import runs at a time; the payload builder is registered by index.js.
+ */
+
+import { readFileSync, writeFileSync, renameSync, readdirSync, statSync } from "node:fs";
+import { join, relative, basename, resolve, isAbsolute } from "node:path";
+import { homedir } from "node:os";
+import { createHash } from "node:crypto";
+
+import { getBackend, hasBackendCredentials } from "./backends/index.js";
+import { redactMessages } from "./redaction.js";
+import { recordEvent } from "./stats.js";
+import { invalidateRecallCache } from "./recall-cache.js";
+
+const STATE_FILE = join(homedir(), ".openclaw", "memos-import-state.json");
+const DEFAULT_WORKSPACE = join(homedir(), ".openclaw", "workspace");
+const IMPORT_SESSION_KEY = "memory-import";
+const MAX_PREVIEW_FACTS = 500;
+const MIN_FACT_CHARS = 3;
+const DATE_RE = /\b(\d{4}-\d{2}-\d{2})\b/;
+
+/** @type {Record<string, {at: string, file: string}>} "user_id:factKey" → import record */
+let imported = null;
+let payloadBuilder = null;
+/** @type {{status: "idle"|"running"|"done"|"error", userId?: string, root?: string, total: number, sent: number, skipped: number, startedAt?: string, finishedAt?: string, error?: string}} */
+let job = { status: "idle", total: 0, sent: 0, skipped: 0 };
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+function loadState() {
+  if (imported) return imported;
+  try {
+    const saved = JSON.parse(readFileSync(STATE_FILE, "utf-8"));
+    imported = saved?.imported && typeof saved.imported === "object" ? saved.imported : {};
+  } catch {
+    imported = {};
+  }
+  return imported;
+}
+
+function saveState() {
+  const json = JSON.stringify({ imported }, null, 2);
+  try {
+    const tmp = STATE_FILE + ".tmp";
+    writeFileSync(tmp, json, "utf-8");
+    renameSync(tmp, STATE_FILE);
+  } catch {
+    try {
+      writeFileSync(STATE_FILE, json, "utf-8");
+    } catch { /* ignore */ }
+  }
+}
+
+/** Forget which facts were imported (tests). */
+export function resetImportState() {
+  imported = {};
+  job = { status: "idle", total: 0, sent: 0, skipped: 0 };
+  saveState();
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function cleanInline(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => a ?? b)
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Stable key of a fact: same text (case and spacing aside) → same key. */
+export function factKey(content) {
+  const norm = content.toLowerCase().replace(/\s+/g, " ").trim();
+  return createHash("sha256").update(norm).digest("hex").slice(0, 16);
+}
+
+/**
+ * Split one Markdown file into facts.
+ * @param {string} markdown
+ * @param {string} [file] – path shown in previews; a date in its name dates every fact
+ * @returns {Array<{key: string, file: string, line: number, section: string|null, date: string|null, text: string, content: string}>}
+ */
+export function parseMemoryMarkdown(markdown, file = "MEMORY.md") {
+  const fileDate = basename(file).match(DATE_RE)?.[1] ?? null;
+  const facts = [];
+  let heading = null;
+  let headingDate = null;
+  let inFence = false;
+  let current = null; // { text, line, parent }
+  const listStack = []; // [{ indent, text }]
+
+  const flush = () => {
+    if (!current) return;
+    const { line, parent } = current;
+    const text = cleanInline(current.text);
+    current = null;
+    if (text.length < MIN_FACT_CHARS) return;
+    const date = text.match(DATE_RE)?.[1] ?? headingDate ?? fileDate;
+    const parts = [];
+    if (date && !text.includes(date)) parts.push(`(${date})`);
+    if (heading) parts.push(`${heading}:`);
+    if (parent) parts.push(`${parent} —`);
+    parts.push(text);
+    const content = parts.join(" ");
+    facts.push({ key: factKey(content), file, line, section: heading, date, text, content });
+  };
+
+  const start = (text, line, parent = null) => {
+    flush();
+    current = { text, line, parent };
+  };
+
+  const lines = String(markdown ?? "").split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const line = i + 1;
+    if (/^\s*(```|~~~)/.test(raw)) {
+      flush();
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const h = raw.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (h) {
+      flush();
+      listStack.length = 0;
+      heading = cleanInline(h[2]) || null;
+      headingDate = heading?.match(DATE_RE)?.[1] ?? null;
+      return;
+    }
+
+    if (!raw.trim() || /^\s*(---+|\*\*\*+|___+)\s*$/.test(raw) || /^\s*<!--.*-->\s*$/.test(raw) || /^\s*\|?\s*:?-{3,}/.test(raw)) {
+      flush();
+      if (!raw.trim()) listStack.length = 0;
+      return;
+    }
+
+    const item = raw.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+    if (item) {
+      const indent = item[1].replace(/\t/g, "  ").length;
+      while (listStack.length && listStack[listStack.length - 1].indent >= indent) listStack.pop();
+      const parent = listStack.length ? listStack[listStack.length - 1].text : null;
+      const text = cleanInline(item[2]);
+      listStack.push({ indent, text });
+      start(item[2], line, parent);
+      return;
+    }
+
+    // Continuation of the current item / paragraph, or a new paragraph.
+    if (current) current.text += ` ${raw.trim()}`;
+    else start(raw.trim().replace(/^>\s*/, ""), line);
+  });
+  flush();
+  return facts;
+}
+
+// ---------------------------------------------------------------------------
+// Sources
+// ---------------------------------------------------------------------------
+
+/**
+ * Folder to import from: the workspace, or a folder inside it.
+ * @throws {Error} when `path` points outside the workspace
+ */
+function workspaceRoot(cfg, path) {
+  const base = resolve(cfg.importWorkspacePath || DEFAULT_WORKSPACE);
+  if (!path) return base;
+  const root = resolve(base, path);
+  const rel = relative(base, root);
+  if (rel.startsWith("..") || isAbsolute(rel)) throw new Error(`Import path must be inside the workspace (${base})`);
+  return root;
+}
+
+function markdownFiles(dir) {
+  let names;
+  try {
+    names = readdirSync(dir).sort();
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const name of names) {
+    const full = join(dir, name);
+    let st;
+    try {
+      st = statSync(full);
+    } catch {
+      continue;
+    }
+    if (st.isDirectory()) out.push(...markdownFiles(full));
+    else if (/\.md$/i.test(name)) out.push(full);
+  }
+  return out;
+}
+
+/** MEMORY.md (any case) at the workspace root, then memory/**\/*.md. */
+export function findMemoryFiles(root) {
+  let top = [];
+  try {
+    top = readdirSync(root).filter((n) => n.toLowerCase() === "memory.md").map((n) => join(root, n));
+  } catch {
+    return [];
+  }
+  return [...top, ...markdownFiles(join(root, "memory"))];
+}
+
+function collectFacts(root) {
+  const files = [];
+  const facts = [];
+  const seen = new Set();
+  for (const full of findMemoryFiles(root)) {
+    const file = relative(root, full);
+    let parsed;
+    try {
+      parsed = parseMemoryMarkdown(readFileSync(full, "utf-8"), file);
+    } catch {
+      continue;
+    }
+    const unique = parsed.filter((f) => !seen.has(f.key) && seen.add(f.key));
+    files.push({ file, facts: unique.length });
+    facts.push(...unique);
+  }
+  return { files, facts };
+}
+
+// ---------------------------------------------------------------------------
+// Preview and upload
+// ---------------------------------------------------------------------------
+
+/**
+ * Register the /add/message payload builder (index.js owns it).
+ * @param {(cfg: object, messages: object[], ctx: object) => object} fn
+ */
+export function setImportPayloadBuilder(fn) {
+  payloadBuilder = fn;
+}
+
+function importCtx(ctx) {
+  return { ...ctx, sessionKey: IMPORT_SESSION_KEY };
+}
+
+/** The owner's notes: never filed under a per-sender id. */
+function importUserId(cfg, { userId } = {}) {
+  return userId || cfg.userId;
+}
+
+/**
+ * Parse the workspace and report what an import would send.
+ * @param {object} cfg
+ * @param {{ path?: string, userId?: string }} [opts]
+ * @returns {{ root: string, userId: string, files: Array<{file: string, facts: number}>, total: number, pending: number, facts: object[], truncated: boolean }}
+ */
+export function previewImport(cfg, opts = {}) {
+  const root = workspaceRoot(cfg, opts.path);
+  const userId = importUserId(cfg, opts);
+  const state = loadState();
+  const { files, facts } = collectFacts(root);
+  const marked = facts.map((f) => ({ ...f, imported: Boolean(state[`${userId}:${f.key}`]) }));
+  return {
+    root,
+    userId,
+    files,
+    total: marked.length,
+    pending: marked.filter((f) => !f.imported).length,
+    facts: marked.slice(0, MAX_PREVIEW_FACTS),
+    truncated: marked.length > MAX_PREVIEW_FACTS,
+  };
+}
+
+export function getImportStatus() {
+  return { ...job };
+}
+
+function checkCanImport(cfg) {
+  if (job.status === "running") throw new Error("An import is already running");
+  if (!payloadBuilder) throw new Error("Import is not available");
+  if (!hasBackendCredentials(cfg)) throw new Error("MemOS API key is not configured (MEMOS_API_KEY).");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Upload every fact not imported yet. Resolves when done; on a failed batch
+ * the progress so far is kept and the error is rethrown.
+ * @param {object} cfg
+ * @param {{ path?: string, userId?: string, ctx?: object }} [opts]
+ * @returns {Promise<{ userId: string, total: number, sent: number, skipped: number }>}
+ */
+export async function runImport(cfg, opts = {}) {
+  checkCanImport(cfg);
+  const root = workspaceRoot(cfg, opts.path);
+  const userId = importUserId(cfg, opts);
+  const { facts } = collectFacts(root);
+  const state = loadState();
+  const pending = facts.filter((f) => !state[`${userId}:${f.key}`]);
+  const batchSize = cfg.importBatchSize ?? 20;
+  const ctx = importCtx(opts.ctx);
+  const t0 = Date.now();
+
+  job = {
+    status: "running",
+    userId,
+    root,
+    total: facts.length,
+    sent: 0,
+    skipped: facts.length - pending.length,
+    startedAt: new Date().toISOString(),
+  };
+
+  try {
+    for (let i = 0; i < pending.length; i += batchSize) {
+      if (i > 0 && cfg.importRateLimitMs) await sleep(cfg.importRateLimitMs);
+      const batch = pending.slice(i, i + batchSize);
+      const { messages } = redactMessages(
+        batch.map((f) => ({ role: "user", content: f.content })),
+        cfg,
+      );
+      if (messages.length) {
+        const payload = payloadBuilder(cfg, messages, ctx);
+        payload.user_id = userId; // the builder would resolve the chat sender
+        payload.tags = [...new Set([...(payload.tags ?? []), ...(cfg.importTags ?? [])])];
+        payload.info = { ...payload.info, via: "memory_import", files: [...new Set(batch.map((f) => f.file))] };
+        await getBackend(cfg).add(cfg, payload);
+      }
+      const at = new Date().toISOString();
+      for (const f of batch) state[`${userId}:${f.key}`] = { at, file: f.file };
+      saveState();
+      job.sent += batch.length;
+    }
+  } catch (err) {
+    job = { ...job, status: "error", error: String(err), finishedAt: new Date().toISOString() };
+    recordEvent("import_error", {
+      promptPreview: `${job.sent}/${pending.length} facts from ${root}`.slice(0, 100),
+      error: String(err),
+      errorKind: err?.kind,
+      durationMs: Date.now() - t0,
+    });
+    throw err;
+  }
+
+  if (job.sent) invalidateRecallCache(userId);
+  job = { ...job, status: "done", finishedAt: new Date().toISOString() };
+  recordEvent("import", {
+    promptPreview: `${job.sent} facts imported, ${job.skipped} already there`,
+    action: opts.via ?? "dashboard",
+    durationMs: Date.now() - t0,
+  });
+  return { userId, total: job.total, sent: job.sent, skipped: job.skipped };
+}
+
+/**
+ * Start an import in the background (dashboard, chat command).
+ * @returns {object} the job status right after starting
+ */
+export function startImport(cfg, opts = {}) {
+  checkCanImport(cfg);
+  runImport(cfg, opts).catch(() => {}); // outcome is in the job status and the log
+  return getImportStatus();
+}
@@ -3,7 +3,13 @@ import { join } from "node:path";
 import { homedir } from "node:os";
 import { setTimeout as delay } from "node:timers/promises";
 
+import { breakerAllows, recordBreakerSuccess, recordBreakerFailure } from "./circuit-breaker.js";
+import { ROUTABLE_KEYS, ROUTING_MATCH_KEYS } from "./routing.js";
+import { observeApiCall } from "./metrics.js";
+import { startSpan, activeSpan } from "./tracing.js";
+
 const DEFAULT_BASE_URL = "https://memos.memtensor.cn/api/openmem/v1";
+const DEFAULT_SELF_HOSTED_URL = "http://127.0.0.1:8000/api/openmem/v1";
 export const USER_QUERY_MARKER = "user\u200b原\u200b始\u200bquery\u200b：\u200b\u200b\u200b\u200b";
 const ENV_SOURCES = [
   { name: "openclaw", path: join(homedir(), ".openclaw", ".env") },
@@ -27,7 +33,7 @@ function stripQuotes(value) {
   return trimmed;
 }
 
-function extractResultData(result) {
+export function extractResultData(result) {
   if (!result || typeof result !== "object") return null;
   return result.data ?? result.data?.data ?? result.data?.result ?? null;
 }
@@ -158,6 +164,23 @@ export function buildConfig(pluginConfig = {}) {
     baseUrl: baseUrl.replace(/\/+$/, ""),
     apiKey,
     userId,
+
+    // --- Memory backend (cloud | self_hosted | local) ---
+    backend: cfg.backend ?? loadEnvVar("MEMOS_BACKEND") ?? "cloud",
+    selfHostedUrl: (cfg.selfHostedUrl || loadEnvVar("MEMOS_SELF_HOSTED_URL") || DEFAULT_SELF_HOSTED_URL).replace(/\/+$/, ""),
+    selfHostedApiKey: cfg.selfHostedApiKey || loadEnvVar("MEMOS_SELF_HOSTED_API_KEY") || "",
+    localStorePath: cfg.localStorePath || loadEnvVar("MEMOS_LOCAL_STORE_PATH") || "",
+    localMaxMemories: cleanPosInt(cfg.localMaxMemories ?? 10000, 10000, 1_000_000) || 10000,
+
+    identityMode: cfg.identityMode ?? loadEnvVar("MEMOS_IDENTITY_MODE") ?? "static",
+    userIdTemplate: cfg.userIdTemplate ?? "{provider}:{senderId}",
+    identityAliases: cfg.identityAliases ?? {},
+    ownerIds: Array.isArray(cfg.ownerIds)
+      ? cfg.ownerIds.map(String)
+      : String(loadEnvVar("MEMOS_OWNER_IDS") ?? "")
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean),
     conversationId,
     conversationIdPrefix,
     conversationIdSuffix,
@@ -167,6 +190,15 @@ export function buildConfig(pluginConfig = {}) {
     envFileStatus: getEnvFileStatus(),
     queryPrefix: cfg.queryPrefix ?? "",
     maxQueryChars: cfg.maxQueryChars ?? 0,
+    queryStrategy: cfg.queryStrategy ?? loadEnvVar("MEMOS_QUERY_STRATEGY") ?? "prompt",
+    queryContextTurns: cleanPosInt(cfg.queryContextTurns ?? 2, 2, 20),
+    queryMaxSubQueries: Math.max(1, cleanPosInt(cfg.queryMaxSubQueries ?? 3, 3, 5)),
+    recallMinScore: Math.min(1, Math.max(0, Number(cfg.recallMinScore ?? loadEnvVar("MEMOS_RECALL_MIN_SCORE") ?? 0) || 0)),
+    recallDedup: parseBool(cfg.recallDedup, true),
+    recallDedupThreshold: Number.isFinite(Number(cfg.recallDedupThreshold))
+      ? Math.min(1, Math.max(0, Number(cfg.recallDedupThreshold)))
+      : 0.85,
+    recallMaxTokens: cleanPosInt(cfg.recallMaxTokens ?? loadEnvVar("MEMOS_RECALL_MAX_TOKENS") ?? 0, 0, 200000),
     recallEnabled: cfg.recallEnabled !== false,
     addEnabled: cfg.addEnabled !== false,
     captureStrategy: cfg.captureStrategy ?? "last_turn",
@@ -190,6 +222,73 @@ export function buildConfig(pluginConfig = {}) {
     retries: cfg.retries ?? 1,
     throttleMs: cfg.throttleMs ?? 0,
 
+    // --- Circuit breaker (per endpoint) ---
+    breakerEnabled: parseBool(cfg.breakerEnabled, parseBool(loadEnvVar("MEMOS_BREAKER_ENABLED"), true)),
+    breakerFailureThreshold: cleanPosInt(cfg.breakerFailureThreshold ?? 5, 5, 1000) || 5,
+    breakerCooldownMs: cleanPosInt(cfg.breakerCooldownMs ?? 30_000, 30_000, 3_600_000),
+
+    // --- Recall latency budget (0 = wait for timeoutMs/retries) ---
+    recallBudgetMs: cleanPosInt(cfg.recallBudgetMs ?? loadEnvVar("MEMOS_RECALL_BUDGET_MS") ?? 0, 0, 60000),
+
+    // --- Recall cache ---
+    recallCacheEnabled: parseBool(cfg.recallCacheEnabled, parseBool(loadEnvVar("MEMOS_RECALL_CACHE_ENABLED"), true)),
+    recallCacheTtlMs: cleanPosInt(cfg.recallCacheTtlMs ?? 60_000, 60_000, 86_400_000),
+    recallCacheMaxSize: cleanPosInt(cfg.recallCacheMaxSize ?? 100, 100, 10000),
+
+    // --- Recall inspector (full search details for the dashboard) ---
+    recallInspectorEnabled: parseBool(cfg.recallInspectorEnabled, parseBool(loadEnvVar("MEMOS_RECALL_INSPECTOR"), false)),
+    recallInspectorMaxEntries: cleanPosInt(cfg.recallInspectorMaxEntries ?? 50, 50, 1000),
+    recallInspectorRetentionHours: cleanPosInt(cfg.recallInspectorRetentionHours ?? 24, 24, 720),
+
+    // --- MEMORY.md / memory/* importer ---
+    importWorkspacePath: cfg.importWorkspacePath || loadEnvVar("MEMOS_IMPORT_WORKSPACE") || "",
+    importTags: Array.isArray(cfg.importTags) ? cfg.importTags : ["import", "memory-md"],
+    importBatchSize: cleanPosInt(cfg.importBatchSize ?? 20, 20, 100) || 20,
+    importRateLimitMs: cleanPosInt(cfg.importRateLimitMs ?? 1000, 1000, 60_000),
+
+    // --- Persistent event history (dashboard charts) ---
+    historyEnabled: parseBool(cfg.historyEnabled, parseBool(loadEnvVar("MEMOS_HISTORY_ENABLED"), true)),
+    historyRetentionDays: cleanPosInt(cfg.historyRetentionDays ?? 30, 30, 365) || 30,
+    historyMaxFileMb: cleanPosInt(cfg.historyMaxFileMb ?? 10, 10, 1000) || 10,
+
+    // --- OpenTelemetry traces (OTLP/HTTP; off without an endpoint) ---
+    otlpEndpoint: (cfg.otlpEndpoint || loadEnvVar("MEMOS_OTLP_ENDPOINT") || loadEnvVar("OTEL_EXPORTER_OTLP_ENDPOINT") || "").replace(/\/+$/, ""),
+    otlpHeaders: cfg.otlpHeaders || loadEnvVar("OTEL_EXPORTER_OTLP_HEADERS") || "",
+    otlpServiceName: cfg.otlpServiceName || loadEnvVar("OTEL_SERVICE_NAME") || "openclaw-memos",
+
+    // --- Export and scheduled backups ---
+    exportDir: cfg.exportDir || loadEnvVar("MEMOS_EXPORT_DIR") || "",
+    backupIntervalHours: cleanPosInt(cfg.backupIntervalHours ?? loadEnvVar("MEMOS_BACKUP_INTERVAL_HOURS") ?? 0, 0, 720),
+    backupRetention: cleanPosInt(cfg.backupRetention ?? 7, 7, 365) || 7,
+
+    // --- Secret redaction (before /add/message) ---
+    redactionEnabled: parseBool(cfg.redactionEnabled, parseBool(loadEnvVar("MEMOS_REDACTION_ENABLED"), true)),
+    redactionDetectors: cfg.redactionDetectors,
+    redactionActions: cfg.redactionActions ?? {},
+    redactionRules: cfg.redactionRules ?? [],
+
+    // --- Agent tools (memos_search / memos_remember / memos_forget) ---
+    agentToolsEnabled: parseBool(cfg.agentToolsEnabled, parseBool(loadEnvVar("MEMOS_AGENT_TOOLS_ENABLED"), true)),
+
+    // --- Chat commands (/memory, /remember) ---
+    chatCommandsEnabled: parseBool(cfg.chatCommandsEnabled, true),
+
+    // --- Per-agent / per-channel routing (first matching rule wins) ---
+    routingRules: cfg.routingRules ?? [],
+
+    // --- Tool call capture (role: "tool" messages) ---
+    captureToolCalls: parseBool(cfg.captureToolCalls, parseBool(loadEnvVar("MEMOS_CAPTURE_TOOL_CALLS"), false)),
+    toolCaptureAllow: cfg.toolCaptureAllow ?? [],
+    toolCaptureDeny: cfg.toolCaptureDeny ?? [],
+    toolArgsMaxChars: cleanPosInt(cfg.toolArgsMaxChars ?? 300, 300, 100000),
+    toolResultMaxChars: cleanPosInt(cfg.toolResultMaxChars ?? 500, 500, 100000),
+
+    // --- Offline outbox ---
+    outboxEnabled: parseBool(cfg.outboxEnabled, parseBool(loadEnvVar("MEMOS_OUTBOX_ENABLED"), true)),
+    outboxMaxSize: cleanPosInt(cfg.outboxMaxSize ?? 500, 500, 10000),
+    outboxRetryBaseMs: cleanPosInt(cfg.outboxRetryBaseMs ?? 5000, 5000, 3_600_000),
+    outboxRetryMaxMs: cleanPosInt(cfg.outboxRetryMaxMs ?? 300_000, 300_000, 86_400_000),
+
     // --- Heartbeat filtering ---
     ignoreHeartbeats: parseBool(
       cfg.ignoreHeartbeats,
@@ -208,6 +307,8 @@ export function buildConfig(pluginConfig = {}) {
     // --- Dashboard ---
     dashboardEnabled: parseBool(cfg.dashboardEnabled, true),
     dashboardPort: cleanPort(cfg.dashboardPort ?? 9898),
+    dashboardHost: cfg.dashboardHost || loadEnvVar("MEMOS_DASHBOARD_HOST") || "127.0.0.1",
+    dashboardToken: cfg.dashboardToken || loadEnvVar("MEMOS_DASHBOARD_TOKEN") || "",
     // Sanitize numeric limits
     memoryLimitNumber: cleanPosInt(cfg.memoryLimitNumber ?? 10, 10, 100),
     preferenceLimitNumber: cleanPosInt(cfg.preferenceLimitNumber ?? 10, 10, 100),
@@ -239,44 +340,430 @@ export function validateConfig(config) {
       errors.push("Le timeout API doit être entre 500 et 60000 ms.");
     }
   }
+  if (config.preferenceLimitNumber !== undefined) {
+    const n = parseInt(config.preferenceLimitNumber, 10);
+    if (isNaN(n) || n < 0 || n > 100) {
+      errors.push("La limite de préférences doit être entre 0 et 100.");
+    }
+  }
+  if (config.retries !== undefined) {
+    const n = parseInt(config.retries, 10);
+    if (isNaN(n) || n < 0 || n > 5) {
+      errors.push("Le nombre de retries doit être entre 0 et 5.");
+    }
+  }
+  if (config.throttleMs !== undefined) {
+    const n = parseInt(config.throttleMs, 10);
+    if (isNaN(n) || n < 0) {
+      errors.push("Le throttle doit être un nombre positif (ms).");
+    }
+  }
+  if (config.maxMessageChars !== undefined) {
+    const n = parseInt(config.maxMessageChars, 10);
+    if (isNaN(n) || n < 1 || n > 1000000) {
+      errors.push("Le nombre max de caractères par message doit être entre 1 et 1000000.");
+    }
+  }
+  if (config.recallBudgetMs !== undefined) {
+    const n = parseInt(config.recallBudgetMs, 10);
+    if (isNaN(n) || n < 0 || n > 60000) {
+      errors.push("Le budget de recall doit être entre 0 et 60000 ms.");
+    }
+  }
+  if (config.recallCacheTtlMs !== undefined) {
+    const n = parseInt(config.recallCacheTtlMs, 10);
+    if (isNaN(n) || n < 0 || n > 86_400_000) {
+      errors.push("Le TTL du cache doit être entre 0 et 86400000 ms.");
+    }
+  }
+  if (config.recallInspectorMaxEntries !== undefined) {
+    const n = parseInt(config.recallInspectorMaxEntries, 10);
+    if (isNaN(n) || n < 0 || n > 1000) {
+      errors.push("L'inspecteur de recall garde entre 0 et 1000 entrées.");
+    }
+  }
+  if (config.recallInspectorRetentionHours !== undefined) {
+    const n = parseInt(config.recallInspectorRetentionHours, 10);
+    if (isNaN(n) || n < 0 || n > 720) {
+      errors.push("La rétention de l'inspecteur doit être entre 0 et 720 heures.");
+    }
+  }
+  if (config.importBatchSize !== undefined) {
+    const n = parseInt(config.importBatchSize, 10);
+    if (isNaN(n) || n < 1 || n > 100) errors.push("Un lot d'import contient entre 1 et 100 faits.");
+  }
+  if (config.importRateLimitMs !== undefined) {
+    const n = parseInt(config.importRateLimitMs, 10);
+    if (isNaN(n) || n < 0 || n > 60_000) errors.push("La pause entre lots d'import doit être entre 0 et 60000 ms.");
+  }
+  if (config.historyRetentionDays !== undefined) {
+    const n = parseInt(config.historyRetentionDays, 10);
+    if (isNaN(n) || n < 1 || n > 365) errors.push("L'historique est conservé entre 1 et 365 jours.");
+  }
+  if (config.historyMaxFileMb !== undefined) {
+    const n = parseInt(config.historyMaxFileMb, 10);
+    if (isNaN(n) || n < 1 || n > 1000) errors.push("La taille d'un fichier d'historique doit être entre 1 et 1000 Mo.");
+  }
+  if (config.otlpEndpoint !== undefined && config.otlpEndpoint !== "" && !/^https?:\/\//.test(String(config.otlpEndpoint))) {
+    errors.push("L'endpoint OTLP doit commencer par http:// ou https://.");
+  }
+  if (config.backupIntervalHours !== undefined) {
+    const n = parseInt(config.backupIntervalHours, 10);
+    if (isNaN(n) || n < 0 || n > 720) errors.push("L'intervalle de sauvegarde doit être entre 0 et 720 heures.");
+  }
+  if (config.backupRetention !== undefined) {
+    const n = parseInt(config.backupRetention, 10);
+    if (isNaN(n) || n < 1 || n > 365) errors.push("Entre 1 et 365 sauvegardes peuvent être conservées.");
+  }
+  for (const key of ["toolArgsMaxChars", "toolResultMaxChars"]) {
+    if (config[key] === undefined) continue;
+    const n = parseInt(config[key], 10);
+    if (isNaN(n) || n < 0 || n > 100000) {
+      errors.push("Les limites de capture des outils doivent être entre 0 et 100000 caractères.");
+      break;
+    }
+  }
+  for (const key of ["toolCaptureAllow", "toolCaptureDeny"]) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      errors.push("Les listes d'outils autorisés/exclus doivent être des listes de noms.");
+      break;
+    }
+  }
+  if (config.redactionRules !== undefined) {
+    if (!Array.isArray(config.redactionRules)) {
+      errors.push("Les règles de masquage doivent être une liste.");
+    } else {
+      for (const rule of config.redactionRules) {
+        try {
+          new RegExp(rule?.pattern ?? "", rule?.flags ?? "g");
+        } catch {
+          errors.push(`Règle de masquage invalide : ${rule?.name || rule?.pattern}.`);
+        }
+        if (rule?.action !== undefined && !["mask", "hash", "drop"].includes(rule.action)) {
+          errors.push(`Action de masquage inconnue : ${rule.action}.`);
+        }
+      }
+    }
+  }
+  if (config.identityMode !== undefined && !["static", "sender"].includes(config.identityMode)) {
+    errors.push("Mode d'identité inconnu (static ou sender).");
+  }
+  if (
+    config.identityAliases !== undefined &&
+    (typeof config.identityAliases !== "object" ||
+      Array.isArray(config.identityAliases) ||
+      Object.values(config.identityAliases ?? {}).some((v) => typeof v !== "string" || !v))
+  ) {
+    errors.push("Les alias d'identité doivent associer chaque identifiant à un user_id non vide.");
+  }
+  if (config.ownerIds !== undefined && (!Array.isArray(config.ownerIds) || config.ownerIds.some((v) => typeof v !== "string" || !v))) {
+    errors.push("Les propriétaires doivent être une liste d'identifiants d'expéditeur.");
+  }
+  if (config.routingRules !== undefined) {
+    if (!Array.isArray(config.routingRules)) {
+      errors.push("Les règles de routage doivent être une liste.");
+    } else {
+      config.routingRules.forEach((rule, idx) => {
+        const label = rule?.name || `#${idx + 1}`;
+        const badMatch = Object.keys(rule?.match ?? {}).filter((k) => !ROUTING_MATCH_KEYS.includes(k));
+        if (badMatch.length) {
+          errors.push(`Règle de routage ${label} : critère inconnu (${badMatch.join(", ")}).`);
+        }
+        const badKeys = Object.keys(rule?.overrides ?? {}).filter((k) => !ROUTABLE_KEYS.includes(k));
+        if (badKeys.length) {
+          errors.push(`Règle de routage ${label} : clé non surchargeable (${badKeys.join(", ")}).`);
+        }
+        for (const err of validateConfig(rule?.overrides ?? {}).errors) {
+          errors.push(`Règle de routage ${label} : ${err}`);
+        }
+      });
+    }
+  }
+  if (config.backend !== undefined && !["cloud", "self_hosted", "local"].includes(config.backend)) {
+    errors.push("Backend de mémoire inconnu.");
+  }
+  if (config.selfHostedUrl !== undefined && config.selfHostedUrl !== "" && !/^https?:\/\//.test(String(config.selfHostedUrl))) {
+    errors.push("L'URL du serveur MemOS auto-hébergé doit commencer par http:// ou https://.");
+  }
+  if (config.localMaxMemories !== undefined) {
+    const n = parseInt(config.localMaxMemories, 10);
+    if (isNaN(n) || n < 1 || n > 1_000_000) errors.push("Le stockage local garde entre 1 et 1000000 mémoires.");
+  }
+  if (config.queryStrategy !== undefined && !["prompt", "context", "keywords", "multi"].includes(config.queryStrategy)) {
+    errors.push("Stratégie de requête inconnue.");
+  }
+  if (config.queryContextTurns !== undefined) {
+    const n = parseInt(config.queryContextTurns, 10);
+    if (isNaN(n) || n < 0 || n > 20) errors.push("Le nombre de tours de contexte doit être entre 0 et 20.");
+  }
+  if (config.queryMaxSubQueries !== undefined) {
+    const n = parseInt(config.queryMaxSubQueries, 10);
+    if (isNaN(n) || n < 1 || n > 5) errors.push("Le nombre de sous-requêtes doit être entre 1 et 5.");
+  }
+  for (const key of ["recallMinScore", "recallDedupThreshold"]) {
+    if (config[key] === undefined) continue;
+    const n = Number(config[key]);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+      errors.push("Le score minimal et le seuil de similarité doivent être entre 0 et 1.");
+      break;
+    }
+  }
+  if (config.recallMaxTokens !== undefined) {
+    const n = parseInt(config.recallMaxTokens, 10);
+    if (isNaN(n) || n < 0 || n > 200000) errors.push("Le budget de tokens doit être entre 0 et 200000.");
+  }
+  if (config.captureStrategy !== undefined && !["last_turn", "full_session", "incremental"].includes(config.captureStrategy)) {
+    errors.push("Stratégie de capture inconnue.");
+  }
+  if (
+    config.promptStyle !== undefined &&
+    config.promptStyle !== null &&
+    !["default", "compact", "custom"].includes(config.promptStyle)
+  ) {
+    errors.push("Style de prompt inconnu.");
+  }
   return { valid: errors.length === 0, errors };
 }
 
-export async function callApi({ baseUrl, apiKey, timeoutMs = 5000, retries = 1 }, path, body) {
-  if (!apiKey) {
-    throw new Error("Missing MEMOS API key (Token auth)");
+// ---------------------------------------------------------------------------
+// API errors
+// ---------------------------------------------------------------------------
+
+/**
+ * Base class for MemOS API failures.
+ * `kind` is one of: auth, rate_limited, client, server, timeout, network.
+ * `transient` errors are retried by callApi; the others are not.
+ */
+export class MemosApiError extends Error {
+  constructor(kind, message, { status = null, code = null, retryAfterMs = null, path = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "MemosApiError";
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    this.path = path;
+  }
+
+  get transient() {
+    return ["rate_limited", "server", "timeout", "network", "circuit_open"].includes(this.kind);
+  }
+}
+
+export class MemosCircuitOpenError extends MemosApiError {
+  constructor(message, details) {
+    super("circuit_open", message, details);
+    this.name = "MemosCircuitOpenError";
   }
+}
 
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Token ${apiKey}`,
+export class MemosAuthError extends MemosApiError {
+  constructor(message, details) {
+    super("auth", message, details);
+    this.name = "MemosAuthError";
+  }
+}
+
+export class MemosRateLimitError extends MemosApiError {
+  constructor(message, details) {
+    super("rate_limited", message, details);
+    this.name = "MemosRateLimitError";
+  }
+}
+
+export class MemosClientError extends MemosApiError {
+  constructor(message, details) {
+    super("client", message, details);
+    this.name = "MemosClientError";
+  }
+}
+
+export class MemosServerError extends MemosApiError {
+  constructor(message, details) {
+    super("server", message, details);
+    this.name = "MemosServerError";
+  }
+}
+
+export class MemosTimeoutError extends MemosApiError {
+  constructor(message, details) {
+    super("timeout", message, details);
+    this.name = "MemosTimeoutError";
+  }
+}
+
+export class MemosNetworkError extends MemosApiError {
+  constructor(message, details) {
+    super("network", message, details);
+    this.name = "MemosNetworkError";
+  }
+}
+
+const BACKOFF_BASE_MS = 200;
+const BACKOFF_MAX_MS = 5000;
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into ms.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+async function readErrorBody(res) {
+  try {
+    const text = await res.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text ? { message: text.slice(0, 300) } : null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the typed error for a non-2xx response, keeping MemOS' own
+ * error code and message from the body when present.
+ */
+async function httpError(res, path) {
+  const body = await readErrorBody(res);
+  const code = body?.code ?? body?.error_code ?? null;
+  const detail = body?.message ?? body?.msg ?? body?.detail ?? body?.error ?? "";
+  const message = `HTTP ${res.status}${code !== null ? ` [${code}]` : ""}${detail ? `: ${typeof detail === "string" ? detail : JSON.stringify(detail)}` : ""}`;
+  const details = {
+    status: res.status,
+    code,
+    path,
+    retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
   };
 
+  if (res.status === 401 || res.status === 403) return new MemosAuthError(message, details);
+  if (res.status === 429) return new MemosRateLimitError(message, details);
+  if (res.status === 408) return new MemosTimeoutError(message, details);
+  if (res.status >= 500) return new MemosServerError(message, details);
+  return new MemosClientError(message, details);
+}
+
+/**
+ * Delay before the next attempt, never more than `remainingMs`; null means
+ * give up: a Retry-After that would run past it is not waited out inline.
+ */
+function retryDelayMs(err, attempt, remainingMs) {
+  if (remainingMs <= 0) return null;
+  if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+    return err.retryAfterMs <= remainingMs ? err.retryAfterMs : null;
+  }
+  // Full jitter: random delay in [0, min(max, base * 2^attempt, remaining)]
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt, remainingMs);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * POST to the MemOS API: breaker, retries, typed errors. Each call is
+ * observed for /metrics and, inside a traced operation, becomes a child span.
+ * A wait between attempts is capped at `timeoutMs` and, when `cfg.deadline`
+ * (epoch ms) is set, at the time left before it.
+ */
+export async function callApi(cfg, path, body) {
+  const call = { attempts: 0, status: null };
+  const span = startSpan(`POST ${path}`, { "http.request.method": "POST", "url.path": path }, { kind: "client", childOnly: true });
+  const parent = activeSpan();
+  const t0 = performance.now();
+  try {
+    const result = await callApiGuarded(cfg, path, body, call);
+    observeApiCall(path, performance.now() - t0, { outcome: "ok", attempts: call.attempts });
+    span.setAttributes({ "http.response.status_code": call.status, "memos.attempts": call.attempts });
+    span.end();
+    return result;
+  } catch (err) {
+    observeApiCall(path, performance.now() - t0, { outcome: err?.kind ?? "error", attempts: call.attempts });
+    span.setAttributes({ "http.response.status_code": err?.status, "memos.attempts": call.attempts });
+    span.end(err);
+    throw err;
+  } finally {
+    if (call.attempts > 1) parent.addToAttribute("memos.retry_attempts", call.attempts - 1);
+  }
+}
+
+async function callApiGuarded(cfg, path, body, call) {
+  const { breakerEnabled = true } = cfg;
+  if (!breakerEnabled) return callApiOnce(cfg, path, body, call);
+
+  if (!breakerAllows(path, cfg)) {
+    throw new MemosCircuitOpenError(`Circuit open for ${cfg.baseUrl}${path}; skipping call`, { path });
+  }
+  try {
+    const result = await callApiOnce(cfg, path, body, call);
+    recordBreakerSuccess(path, cfg);
+    return result;
+  } catch (err) {
+    // Only transient failures mean the service is unhealthy; a 4xx proves it answered.
+    if (err instanceof MemosApiError && err.transient) recordBreakerFailure(path, err, cfg);
+    else recordBreakerSuccess(path, cfg);
+    throw err;
+  }
+}
+
+async function callApiOnce({ baseUrl, apiKey, apiKeyOptional = false, timeoutMs = 5000, retries = 1, deadline }, path, body, call = {}) {
+  if (!apiKey && !apiKeyOptional) {
+    throw new MemosAuthError("Missing MEMOS API key (Token auth)", { path });
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Token ${apiKey}`;
+
   let lastError;
   for (let attempt = 0; attempt <= retries; attempt += 1) {
+    call.attempts = attempt + 1;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-      const res = await fetch(`${baseUrl}${path}`, {
-        method: "POST",
-        headers,
-        body: JSON.stringify(body),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
+      let res;
+      try {
+        res = await fetch(`${baseUrl}${path}`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(body),
+          signal: controller.signal,
+        });
+      } catch (err) {
+        if (err?.name === "AbortError") {
+          throw new MemosTimeoutError(`Timed out after ${timeoutMs}ms`, { path, cause: err });
+        }
+        throw new MemosNetworkError(`Network error: ${err?.cause?.code || err?.cause?.errors?.[0]?.code || err?.message || err}`, { path, cause: err });
+      }
 
+      call.status = res.status;
       if (!res.ok) {
-        throw new Error(`HTTP ${res.status}`);
+        throw await httpError(res, path);
       }
 
-      return await res.json();
+      try {
+        return await res.json();
+      } catch (err) {
+        if (err?.name === "AbortError") {
+          throw new MemosTimeoutError(`Timed out after ${timeoutMs}ms`, { path, cause: err });
+        }
+        throw new MemosServerError(`Invalid JSON response: ${err?.message || err}`, { status: res.status, path, cause: err });
+      }
     } catch (err) {
       lastError = err;
-      if (attempt < retries) {
-        await delay(100 * (attempt + 1));
-      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!(lastError instanceof MemosApiError) || !lastError.transient) break;
+    if (attempt < retries) {
+      const remainingMs = Math.min(timeoutMs, deadline ? deadline - Date.now() : Infinity);
+      const wait = retryDelayMs(lastError, attempt, remainingMs);
+      if (wait === null) break;
+      await delay(wait);
     }
   }
 
@@ -291,6 +778,14 @@ export async function addMessage(cfg, payload) {
   return callApi(cfg, "/add/message", payload);
 }
 
+export async function deleteMemory(cfg, payload) {
+  return callApi(cfg, "/delete/memory", payload);
+}
+
+export async function getMemories(cfg, payload) {
+  return callApi(cfg, "/get/memory", payload);
+}
+
 export function extractText(content) {
   if (!content) return "";
   if (typeof content === "string") return content;
@@ -341,12 +836,23 @@ function formatPreferenceLine(item, text, options = {}) {
   return `   -${typeLabel} ${truncated}`;
 }
 
+function formatToolMemoryLine(item, text, options = {}) {
+  const cleaned = sanitizeInlineText(text);
+  if (!cleaned) return "";
+  const maxChars = options.maxItemChars;
+  const truncated = truncate(cleaned, maxChars);
+  const time = formatTime(item?.create_time);
+  if (time) return `   -[${time}] ${truncated}`;
+  return `   - ${truncated}`;
+}
+
 function wrapCodeBlock(lines, options = {}) {
   if (!options.wrapTagBlocks) return lines;
   return ["```text", ...lines, "```"];
 }
 
-function buildMemoriesBlock(memoryLines, preferenceLines, options = {}) {
+function buildMemoriesBlock(sections, options = {}) {
+  const { memoryLines = [], preferenceLines = [], toolLines = [], preferenceNote = "" } = sections;
   const block = [
     "<memories>",
     "  <facts>",
@@ -355,8 +861,14 @@ function buildMemoriesBlock(memoryLines, preferenceLines, options = {}) {
     "  <preferences>",
     ...preferenceLines,
     "  </preferences>",
-    "</memories>",
   ];
+  if (toolLines.length > 0) {
+    block.push("  <tool_memories>", ...toolLines, "  </tool_memories>");
+  }
+  if (preferenceNote) {
+    block.push(`  <preference_note>${preferenceNote}</preference_note>`);
+  }
+  block.push("</memories>");
   return wrapCodeBlock(block, options).join("\n");
 }
 
@@ -376,6 +888,8 @@ function buildDefaultPrompt(nowText, memoriesBlockStr) {
     "* **Facts**: May include user attributes, historical conversations, or third-party details.",
     "* **Special Note**: Content tagged with '[assistant观点]' or '[模型总结]' represents **past AI inference**, **not** direct user statements.",
     "* **Preferences**: The user's explicit or implicit requirements on response style, format, or reasoning.",
+    "* **Tool Memories** (if present): Past experience with tools — which tool was used, how, and whether it worked.",
+    "* **Preference Note** (if present): MemOS guidance on how to apply the preferences above.",
     "",
     memoriesBlockStr,
     "",
@@ -405,7 +919,8 @@ function buildDefaultPrompt(nowText, memoriesBlockStr) {
     "1. **Review**: Read '<facts>' first and apply the Four-Step Verdict to remove noise and unreliable AI inference.",
     "2. **Execute**:",
     "   - Use only memories that pass filtering as context.",
-    "   - Strictly follow style requirements from '<preferences>'.",
+    "   - Strictly follow style requirements from '<preferences>' and the '<preference_note>'.",
+    "   - Use '<tool_memories>' as hints for choosing and calling tools; re-check results rather than assuming they still hold.",
     "3. **Output**: Answer directly. Never mention internal terms such as \"memory store\", \"retrieval\", or \"AI opinions\".",
     "4. **Attention**: Additional memory context is already provided. Do not read from or write to local `MEMORY.md` or `memory/*` files for reference, as they may be outdated or irrelevant to the current query.",
     USER_QUERY_MARKER,
@@ -424,16 +939,22 @@ function buildCompactPrompt(nowText, memoriesBlockStr) {
     "- Discard any memory that is irrelevant, misattributed, or conflicts with the user's current query.",
     "- Content tagged '[assistant观点]' or '[模型总结]' is past AI inference — treat as low-confidence.",
     "- Prioritise the current query over older memories.",
-    "- Follow style/format requirements from <preferences>.",
+    "- Follow style/format requirements from <preferences> and <preference_note>.",
+    "- Treat <tool_memories> as hints from past tool use, not as current results.",
     "- Never mention memory retrieval internals to the user.",
     "- Do not read or write local MEMORY.md / memory/* files.",
     USER_QUERY_MARKER,
   ].join("\n");
 }
 
-function buildCustomPrompt(template, nowText, memoriesBlockStr) {
+function buildCustomPrompt(template, nowText, memoriesBlockStr, sections = {}) {
+  const { memoryLines = [], preferenceLines = [], toolLines = [], preferenceNote = "" } = sections;
+  const preferencesText = [...preferenceLines, ...(preferenceNote ? [`   Note: ${preferenceNote}`] : [])];
   let prompt = template
     .replace(/\{memories\}/g, memoriesBlockStr)
+    .replace(/\{facts\}/g, memoryLines.join("\n"))
+    .replace(/\{preferences\}/g, preferencesText.join("\n"))
+    .replace(/\{toolMemories\}/g, toolLines.join("\n"))
     .replace(/\{currentTime\}/g, nowText)
     .replace(/\{userQueryMarker\}/g, USER_QUERY_MARKER);
 
@@ -449,6 +970,8 @@ function buildPromptFromData(data, options = {}) {
   const nowText = formatTime(now) || formatTime(Date.now()) || "";
   const memoryList = data?.memory_detail_list ?? [];
   const preferenceList = data?.preference_detail_list ?? [];
+  const toolList = data?.tool_memory_detail_list ?? [];
+  const preferenceNote = truncate(sanitizeInlineText(data?.preference_note), options.maxItemChars);
 
   const memoryLines = memoryList
     .map((item) => {
@@ -464,14 +987,22 @@ function buildPromptFromData(data, options = {}) {
     })
     .filter(Boolean);
 
-  const hasContent = memoryLines.length > 0 || preferenceLines.length > 0;
+  const toolLines = toolList
+    .map((item) => {
+      const text = item?.tool_value || item?.tool_key || "";
+      return formatToolMemoryLine(item, text, options);
+    })
+    .filter(Boolean);
+
+  const hasContent = memoryLines.length > 0 || preferenceLines.length > 0 || toolLines.length > 0;
   if (!hasContent) return "";
 
-  const memoriesBlockStr = buildMemoriesBlock(memoryLines, preferenceLines, options);
+  const sections = { memoryLines, preferenceLines, toolLines, preferenceNote };
+  const memoriesBlockStr = buildMemoriesBlock(sections, options);
 
   // Custom template takes highest priority
   if (options.promptTemplate) {
-    return buildCustomPrompt(options.promptTemplate, nowText, memoriesBlockStr);
+    return buildCustomPrompt(options.promptTemplate, nowText, memoriesBlockStr, sections);
   }
 
   // Prompt style
@@ -545,6 +1076,10 @@ export function getPromptPreview(style = "default", template = null) {
     preference_detail_list: [
       { preference: "Respond concisely.", preference_type: "explicit" },
     ],
+    tool_memory_detail_list: [
+      { tool_value: "Sample tool memory: `web_search` works best with short English keywords.", create_time: Date.now() },
+    ],
+    preference_note: "Sample note: explicit preferences override implicit ones.",
   };
   return buildPromptFromData(sampleData, {
     wrapTagBlocks: true,
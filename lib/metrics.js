@@ -0,0 +1,169 @@
+/**
+ * Prometheus metrics for the dashboard's /metrics route.
+ *
+ * - Per-type event counters (fed by stats.recordEvent) and one latency
+ *   histogram per MemOS endpoint and outcome (fed by callApi), kept in memory
+ *   since the gateway started.
+ * - renderMetrics() adds the persisted stats counters and the breaker /
+ *   outbox gauges it is given, in the text exposition format (0.0.4).
+ */
+
+/** Histogram bucket upper bounds, in seconds. */
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** stats.js counters exported as-is: [counter key, metric name, help]. */
+const STATS_COUNTERS = [
+  ["totalEvents", "memos_events_recorded_total", "Events recorded (persisted across restarts)."],
+  ["heartbeatsFiltered", "memos_heartbeats_filtered_total", "Heartbeat runs skipped."],
+  ["searchCalls", "memos_search_calls_total", "Recall searches sent to the backend."],
+  ["addCalls", "memos_add_calls_total", "Messages batches added (including outbox replays)."],
+  ["cacheHits", "memos_recall_cache_hits_total", "Recalls answered from the recall cache."],
+  ["cacheMisses", "memos_recall_cache_misses_total", "Recalls that missed the recall cache."],
+  ["redactions", "memos_redactions_total", "Secrets redacted before /add/message."],
+  ["toolCalls", "memos_tool_calls_total", "Agent tool calls (memos_search, memos_remember, memos_forget)."],
+  ["errors", "memos_errors_total", "Failed operations."],
+];
+
+const BREAKER_STATES = ["closed", "open", "half_open"];
+
+/** @type {Map<string, number>} event type → count */
+const eventCounts = new Map();
+/** @type {Map<string, {endpoint: string, outcome: string, buckets: number[], sum: number, count: number}>} */
+const apiLatency = new Map();
+/** @type {Map<string, number>} endpoint → retries */
+const apiRetries = new Map();
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/** Count one recorded event by type (called by stats.recordEvent). */
+export function countEvent(type) {
+  eventCounts.set(type, (eventCounts.get(type) ?? 0) + 1);
+}
+
+/**
+ * Observe one MemOS API call (retries included).
+ * @param {string} endpoint – API path, e.g. "/search/memory"
+ * @param {number} durationMs
+ * @param {{ outcome?: string, attempts?: number }} [info] – outcome is "ok" or the error kind
+ */
+export function observeApiCall(endpoint, durationMs, { outcome = "ok", attempts = 1 } = {}) {
+  const key = `${endpoint}\n${outcome}`;
+  let h = apiLatency.get(key);
+  if (!h) {
+    h = { endpoint, outcome, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    apiLatency.set(key, h);
+  }
+  const seconds = durationMs / 1000;
+  LATENCY_BUCKETS.forEach((upper, i) => {
+    if (seconds <= upper) h.buckets[i] += 1;
+  });
+  h.sum += seconds;
+  h.count += 1;
+  if (attempts > 1) apiRetries.set(endpoint, (apiRetries.get(endpoint) ?? 0) + attempts - 1);
+}
+
+/** Forget everything recorded in memory (tests). */
+export function resetMetrics() {
+  eventCounts.clear();
+  apiLatency.clear();
+  apiRetries.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Exposition
+// ---------------------------------------------------------------------------
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labels(obj) {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(n) {
+  if (n === Infinity) return "+Inf";
+  return Number.isFinite(n) ? String(n) : "NaN";
+}
+
+/**
+ * @param {object} sources
+ * @param {object} [sources.stats]    – getStats()
+ * @param {Record<string, {baseUrl: string, path: string, state: string, failures: number}>} [sources.breakers] – getBreakerStates()
+ * @param {{ depth: number }} [sources.outbox] – getOutboxStatus()
+ * @returns {string}
+ */
+export function renderMetrics({ stats = {}, breakers = {}, outbox } = {}) {
+  const out = [];
+  const family = (name, type, help, samples) => {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [suffix, lbls, value] of samples) out.push(`${name}${suffix}${labels(lbls)} ${formatValue(value)}`);
+  };
+
+  family(
+    "memos_events_total",
+    "counter",
+    "Events recorded since start, by type.",
+    [...eventCounts].sort(([a], [b]) => a.localeCompare(b)).map(([type, n]) => ["", { type }, n]),
+  );
+
+  for (const [key, name, help] of STATS_COUNTERS) {
+    family(name, "counter", help, [["", {}, stats[key] ?? 0]]);
+  }
+
+  const histograms = [...apiLatency.values()].sort((a, b) => a.endpoint.localeCompare(b.endpoint) || a.outcome.localeCompare(b.outcome));
+  family(
+    "memos_api_request_duration_seconds",
+    "histogram",
+    "MemOS API call latency (retries included), by endpoint and outcome.",
+    histograms.flatMap((h) => {
+      const base = { endpoint: h.endpoint, outcome: h.outcome };
+      return [
+        ...LATENCY_BUCKETS.map((upper, i) => ["_bucket", { ...base, le: String(upper) }, h.buckets[i]]),
+        ["_bucket", { ...base, le: "+Inf" }, h.count],
+        ["_sum", base, Number(h.sum.toFixed(6))],
+        ["_count", base, h.count],
+      ];
+    }),
+  );
+
+  family(
+    "memos_api_retries_total",
+    "counter",
+    "MemOS API retry attempts, by endpoint.",
+    [...apiRetries].sort(([a], [b]) => a.localeCompare(b)).map(([endpoint, n]) => ["", { endpoint }, n]),
+  );
+
+  const breakerList = Object.entries(breakers).sort(([a], [b]) => a.localeCompare(b));
+  if (breakerList.length) {
+    family(
+      "memos_breaker_state",
+      "gauge",
+      "Circuit breaker state by server and endpoint (1 for the current state).",
+      breakerList.flatMap(([, b]) =>
+        BREAKER_STATES.map((state) => ["", { base_url: b.baseUrl, endpoint: b.path, state }, b.state === state ? 1 : 0]),
+      ),
+    );
+    family(
+      "memos_breaker_consecutive_failures",
+      "gauge",
+      "Consecutive transient failures counted by each circuit breaker.",
+      breakerList.map(([, b]) => ["", { base_url: b.baseUrl, endpoint: b.path }, b.failures ?? 0]),
+    );
+  }
+
+  if (outbox) {
+    family("memos_outbox_depth", "gauge", "Add payloads queued in the offline outbox.", [["", {}, outbox.depth ?? 0]]);
+  }
+
+  if (stats.startedAt) {
+    family("memos_start_time_seconds", "gauge", "Plugin start time, in Unix seconds.", [["", {}, Math.floor(Date.parse(stats.startedAt) / 1000)]]);
+  }
+
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,265 @@
+/**
+ * Durable offline outbox for failed /add/message calls.
+ *
+ * - Failed add payloads are appended to ~/.openclaw/memos-cloud-outbox.json.
+ * - Entries are replayed strictly in order (FIFO) with exponential backoff;
+ *   a head entry failing with a transient error blocks the ones behind it,
+ *   one the API rejects for good is dropped. While the queue is not
+ *   empty, new adds are queued behind it too (see index.js), so a live add
+ *   never overtakes older turns.
+ * - Identical payloads are only queued once (dedupe on a content hash).
+ * - The queue is capped; the oldest entries are dropped when it overflows.
+ */
+
+import { readFileSync, writeFileSync, renameSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+import { createHash } from "node:crypto";
+
+import { MemosApiError } from "./memos-cloud-api.js";
+import { getBackend, hasBackendCredentials } from "./backends/index.js";
+import { getConfig } from "./config-store.js";
+import { recordEvent } from "./stats.js";
+import { invalidateRecallCache } from "./recall-cache.js";
+import { startSpan, runInSpan } from "./tracing.js";
+
+const OUTBOX_FILE = join(homedir(), ".openclaw", "memos-cloud-outbox.json");
+
+/** @type {Array<{id: number, key: string, payload: object, attempts: number, createdAt: string, nextAttemptAt: number, lastError: string|null}>} */
+let queue = [];
+let nextId = 1;
+let replayTimer = null;
+let replaying = false;
+let logger = console;
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+function readQueue() {
+  try {
+    const saved = JSON.parse(readFileSync(OUTBOX_FILE, "utf-8"));
+    return Array.isArray(saved?.entries) ? saved.entries : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue() {
+  const json = JSON.stringify({ entries: queue }, null, 2);
+  try {
+    const tmp = OUTBOX_FILE + ".tmp";
+    writeFileSync(tmp, json, { encoding: "utf-8", mode: 0o600 });
+    renameSync(tmp, OUTBOX_FILE);
+  } catch {
+    try {
+      writeFileSync(OUTBOX_FILE, json, { encoding: "utf-8", mode: 0o600 });
+    } catch { /* ignore */ }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function payloadKey(payload) {
+  const identity = {
+    user_id: payload?.user_id,
+    conversation_id: payload?.conversation_id,
+    messages: payload?.messages,
+  };
+  return createHash("sha256").update(JSON.stringify(identity)).digest("hex");
+}
+
+function backoffMs(attempts, cfg) {
+  const base = cfg.outboxRetryBaseMs ?? 5000;
+  const max = cfg.outboxRetryMaxMs ?? 300_000;
+  return Math.min(base * 2 ** Math.max(0, attempts - 1), max);
+}
+
+function scheduleReplay() {
+  if (replayTimer) clearTimeout(replayTimer);
+  replayTimer = null;
+  if (!queue.length) return;
+
+  const wait = Math.max(0, queue[0].nextAttemptAt - Date.now());
+  replayTimer = setTimeout(() => {
+    replayTimer = null;
+    replayOutbox().catch(() => {});
+  }, wait);
+  if (replayTimer.unref) replayTimer.unref();
+}
+
+/**
+ * Whether a failed add is worth queueing. Client errors (bad payload, too
+ * large) would fail again on replay; auth errors are kept, since the turns
+ * go through once the key is fixed.
+ */
+export function isRetryableAddError(err) {
+  if (err instanceof MemosApiError) return err.transient || err.kind === "auth";
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the persisted queue and resume replaying (call once at plugin register).
+ * @param {object} [opts]
+ * @param {object} [opts.log]
+ */
+export function initOutbox({ log = console } = {}) {
+  logger = log;
+  queue = readQueue();
+  nextId = queue.reduce((max, e) => Math.max(max, e.id ?? 0), 0) + 1;
+  scheduleReplay();
+}
+
+/**
+ * Queue a failed /add/message payload.
+ * @param {object} payload
+ * @param {unknown} error – the error that made the live call fail
+ * @param {string} [backend] – backend the payload was meant for (replayed there)
+ * @returns {boolean} false if the payload was already queued
+ */
+export function enqueueAdd(payload, error, backend) {
+  const cfg = getConfig();
+  const key = payloadKey(payload);
+  if (queue.some((e) => e.key === key)) return false;
+
+  queue.push({
+    id: nextId++,
+    key,
+    payload,
+    backend: backend ?? null,
+    attempts: 1,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: Date.now() + backoffMs(1, cfg),
+    lastError: error ? String(error) : null,
+  });
+
+  const maxSize = cfg.outboxMaxSize ?? 500;
+  while (queue.length > maxSize) {
+    const dropped = queue.shift();
+    recordEvent("outbox_dropped", {
+      promptPreview: `${dropped.payload?.messages?.length ?? 0} messages (queue full)`,
+    });
+  }
+
+  writeQueue();
+  recordEvent("outbox_queued", {
+    promptPreview: `${payload?.messages?.length ?? 0} messages · depth ${queue.length}`,
+    error: error ? String(error) : null,
+    errorKind: error?.kind,
+  });
+  scheduleReplay();
+  return true;
+}
+
+/**
+ * Replay queued entries in order until one fails or the queue is empty.
+ * @param {object} [opts]
+ * @param {boolean} [opts.force] – ignore backoff ("retry now")
+ * @returns {Promise<{ sent: number, remaining: number }>}
+ */
+export async function replayOutbox({ force = false } = {}) {
+  if (replaying) return { sent: 0, remaining: queue.length };
+  replaying = true;
+  let sent = 0;
+
+  try {
+    while (queue.length) {
+      const entry = queue[0];
+      if (!force && entry.nextAttemptAt > Date.now()) break;
+
+      const live = getConfig();
+      const cfg = entry.backend ? { ...live, backend: entry.backend } : live;
+      if (!hasBackendCredentials(cfg)) break;
+
+      const t0 = Date.now();
+      const span = startSpan("memos.add", {
+        "memos.backend": getBackend(cfg).name,
+        "memos.conversation_id": entry.payload?.conversation_id,
+        "memos.messages": entry.payload?.messages?.length ?? 0,
+        "memos.outbox_replay": true,
+        "memos.outbox_attempts": entry.attempts,
+      });
+      try {
+        await runInSpan(span, () => getBackend(cfg).add(cfg, entry.payload));
+        span.end();
+      } catch (err) {
+        span.end(err);
+        if (!isRetryableAddError(err)) {
+          // Rejected for good (bad payload, too large): it would block the queue forever.
+          queue.shift();
+          writeQueue();
+          recordEvent("outbox_dropped", {
+            promptPreview: `${entry.payload?.messages?.length ?? 0} messages (rejected)`,
+            error: String(err),
+            errorKind: err?.kind,
+          });
+          logger.warn?.(`[memos-cloud] outbox entry rejected (${err?.kind ?? "error"}), dropped: ${String(err)}`);
+          continue;
+        }
+        entry.attempts += 1;
+        entry.lastError = String(err);
+        entry.lastErrorKind = err?.kind ?? null;
+        entry.nextAttemptAt = Date.now() + backoffMs(entry.attempts, cfg);
+        writeQueue();
+        logger.warn?.(`[memos-cloud] outbox replay failed (${queue.length} queued): ${String(err)}`);
+        break;
+      }
+
+      queue.shift();
+      sent += 1;
+      invalidateRecallCache(entry.payload?.user_id, entry.payload?.conversation_id);
+      writeQueue();
+      recordEvent("outbox_replayed", {
+        promptPreview: `${entry.payload?.messages?.length ?? 0} messages · queued ${entry.createdAt}`,
+        durationMs: Date.now() - t0,
+      });
+    }
+  } finally {
+    replaying = false;
+    scheduleReplay();
+  }
+
+  return { sent, remaining: queue.length };
+}
+
+/**
+ * Drop one entry (by id) or the whole queue.
+ * @param {number} [id]
+ * @returns {number} number of entries removed
+ */
+export function dropOutbox(id) {
+  const before = queue.length;
+  queue = id === undefined ? [] : queue.filter((e) => e.id !== id);
+  const removed = before - queue.length;
+  if (removed > 0) {
+    writeQueue();
+    recordEvent("outbox_dropped", { promptPreview: `${removed} entries (manual)` });
+    scheduleReplay();
+  }
+  return removed;
+}
+
+/**
+ * @returns {{ depth: number, entries: Array<object> }} summary for the dashboard
+ */
+export function getOutboxStatus() {
+  return {
+    depth: queue.length,
+    entries: queue.map((e) => ({
+      id: e.id,
+      conversationId: e.payload?.conversation_id ?? null,
+      messages: e.payload?.messages?.length ?? 0,
+      attempts: e.attempts,
+      createdAt: e.createdAt,
+      nextAttemptAt: new Date(e.nextAttemptAt).toISOString(),
+      lastError: e.lastError,
+      lastErrorKind: e.lastErrorKind ?? null,
+    })),
+  };
+}
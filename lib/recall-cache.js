@@ -0,0 +1,150 @@
+/**
+ * In-process LRU cache for /search/memory results.
+ *
+ * - Keyed on the backend it was fetched from and the normalised search
+ *   payload, so repeated or trivially different questions (case,
+ *   punctuation, whitespace, OpenClaw metadata blocks) reuse the previous
+ *   result instead of hitting the API, but switching `backend`, `baseUrl` or
+ *   `localStorePath` never serves the old store's memories.
+ * - Entries expire after a TTL; the least recently used entry is evicted
+ *   once the cache is full.
+ * - A successful add for a user/conversation invalidates the entries that
+ *   could have returned it.
+ * - Separately, the last good result per session is kept as a stale
+ *   fallback for runs whose recall exceeds the latency budget.
+ */
+
+const MAX_SESSIONS = 200;
+
+/** @type {Map<string, {result: object, expiresAt: number, userId: string, conversationId: string|null}>} */
+const entries = new Map();
+
+/** @type {Map<string, {result: object, storedAt: number}>} */
+const sessionResults = new Map();
+
+/**
+ * Normalise a search query for cache keying.
+ * @param {string} query
+ * @returns {string}
+ */
+export function normalizeQuery(query) {
+  if (!query) return "";
+  return String(query)
+    .replace(/\(untrusted metadata\):\s*```json[\s\S]*?```/gi, " ")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {object} payload – output of buildSearchPayload()
+ * @param {{ backend?: string, baseUrl?: string, localStorePath?: string }} [cfg] – where the search is sent
+ * @returns {string}
+ */
+export function recallCacheKey(payload, cfg = {}) {
+  const backend = cfg.backend ?? "cloud";
+  const target = backend === "local" ? cfg.localStorePath ?? "" : cfg.baseUrl ?? "";
+  return `${backend}\n${target}\n${stableStringify({ ...payload, query: normalizeQuery(payload?.query) })}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {object|undefined} cached search result, if fresh
+ */
+export function getCachedRecall(key) {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+  // Refresh LRU position
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.result;
+}
+
+/**
+ * @param {string} key
+ * @param {object} payload – search payload the result belongs to
+ * @param {object} result
+ * @param {{ recallCacheTtlMs?: number, recallCacheMaxSize?: number }} cfg
+ */
+export function setCachedRecall(key, payload, result, cfg) {
+  const ttl = cfg.recallCacheTtlMs ?? 60_000;
+  const maxSize = cfg.recallCacheMaxSize ?? 100;
+  if (ttl <= 0 || maxSize <= 0) return;
+
+  entries.delete(key);
+  entries.set(key, {
+    result,
+    expiresAt: Date.now() + ttl,
+    userId: payload?.user_id,
+    conversationId: payload?.conversation_id ?? null,
+  });
+  while (entries.size > maxSize) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Drop entries that a new add for this user/conversation could change:
+ * global searches for the user, and searches scoped to that conversation.
+ * Without a conversation ID (e.g. after a delete), every entry for the user goes.
+ * @param {string} userId
+ * @param {string} [conversationId]
+ * @returns {number} number of entries removed
+ */
+export function invalidateRecallCache(userId, conversationId) {
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (entry.userId !== userId) continue;
+    if (conversationId === undefined || entry.conversationId === null || entry.conversationId === conversationId) {
+      entries.delete(key);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+export function clearRecallCache() {
+  entries.clear();
+  sessionResults.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Per-session last good result (stale-while-revalidate)
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} sessionKey
+ * @param {object} result – raw /search/memory response
+ */
+export function rememberSessionRecall(sessionKey, result) {
+  if (!sessionKey) return;
+  sessionResults.delete(sessionKey);
+  sessionResults.set(sessionKey, { result, storedAt: Date.now() });
+  while (sessionResults.size > MAX_SESSIONS) {
+    sessionResults.delete(sessionResults.keys().next().value);
+  }
+}
+
+/**
+ * @param {string} sessionKey
+ * @returns {{result: object, storedAt: number}|undefined}
+ */
+export function getSessionRecall(sessionKey) {
+  if (!sessionKey) return undefined;
+  return sessionResults.get(sessionKey);
+}
@@ -0,0 +1,193 @@
+/**
+ * Client-side post-processing of recalled memories before injection.
+ *
+ * 1. Relevance: facts / tool memories whose score (`relativity`) is below
+ *    `recallMinScore` are dropped. Items without a score are kept.
+ * 2. Dedup (`recallDedup`): items whose normalized text is identical, or
+ *    whose word overlap (Jaccard) reaches `recallDedupThreshold`, collapse
+ *    into the first (= most relevant) one.
+ * 3. Budget (`recallMaxTokens`): items are admitted by priority –
+ *    preferences, then most recent (by day), then highest score – until the
+ *    estimated token count is reached; the rest are dropped.
+ *
+ * Kept items stay in MemOS order. Every dropped item is reported with its
+ * reason so the dashboard log can show what was left out.
+ */
+
+import { extractResultData } from "./memos-cloud-api.js";
+
+const DAY_MS = 86_400_000;
+const MAX_REPORTED = 20;
+
+const LISTS = [
+  { key: "preference_detail_list", kind: "preference", text: (i) => i?.preference },
+  { key: "memory_detail_list", kind: "fact", text: (i) => i?.memory_value || i?.memory_key },
+  { key: "tool_memory_detail_list", kind: "tool", text: (i) => i?.tool_value || i?.tool_key },
+];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function itemScore(item) {
+  const n = Number(item?.relativity ?? item?.score);
+  return Number.isFinite(n) ? n : null;
+}
+
+function itemTime(item) {
+  const v = item?.create_time ?? item?.update_time;
+  if (v === undefined || v === null || v === "") return 0;
+  const n = typeof v === "number" || /^\d+$/.test(String(v).trim()) ? Number(v) : Date.parse(v);
+  if (!Number.isFinite(n)) return 0;
+  return n < 1e12 ? n * 1000 : n; // seconds → ms
+}
+
+function normalizeText(text) {
+  return String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Word set, with CJK runs split into character bigrams. */
+function tokenSet(normalized) {
+  const tokens = new Set();
+  for (const word of normalized.split(" ")) {
+    if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(word) && word.length > 1) {
+      for (let i = 0; i < word.length - 1; i += 1) tokens.add(word.slice(i, i + 2));
+    } else if (word) {
+      tokens.add(word);
+    }
+  }
+  return tokens;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Rough token estimate: ~4 characters per token for Latin text, one per
+ * CJK character.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const s = String(text);
+  const cjk = (s.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) ?? []).length;
+  return cjk + Math.ceil((s.length - cjk) / 4);
+}
+
+/**
+ * Items per list in a /search/memory response (for traces).
+ * @returns {{ preference: number, fact: number, tool: number }}
+ */
+export function countRecallItems(result) {
+  const data = extractResultData(result) ?? {};
+  const counts = {};
+  for (const { key, kind } of LISTS) counts[kind] = Array.isArray(data[key]) ? data[key].length : 0;
+  return counts;
+}
+
+// ---------------------------------------------------------------------------
+// Filter
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} result – /search/memory response
+ * @param {object} cfg
+ * @returns {{ result: object, dropped: Array<{kind: string, id: string|null, reason: "low_score"|"duplicate"|"budget", score: number|null, text: string}>, droppedCount: number }}
+ */
+export function filterRecallResult(result, cfg) {
+  const data = extractResultData(result);
+  if (!data) return { result, dropped: [], droppedCount: 0 };
+
+  const minScore = Number(cfg.recallMinScore) || 0;
+  const dedup = cfg.recallDedup !== false;
+  const threshold = cfg.recallDedupThreshold ?? 0.85;
+  const maxTokens = cfg.recallMaxTokens ?? 0;
+
+  const dropped = [];
+  const drop = (c, reason) => {
+    c.kept = false;
+    dropped.push({ kind: c.kind, id: c.item?.id ?? null, reason, score: c.score, text: String(c.text ?? "").slice(0, 80) });
+  };
+
+  // Candidates keep their list and position so the output order is unchanged.
+  const candidates = [];
+  for (const list of LISTS) {
+    (data[list.key] ?? []).forEach((item, idx) => {
+      const text = list.text(item);
+      const normalized = normalizeText(text);
+      candidates.push({
+        list: list.key,
+        kind: list.kind,
+        idx,
+        item,
+        text,
+        normalized,
+        tokens: dedup && threshold < 1 ? tokenSet(normalized) : null,
+        score: itemScore(item),
+        time: itemTime(item),
+        kept: true,
+      });
+    });
+  }
+
+  // 1. Relevance (preferences have no comparable score)
+  if (minScore > 0) {
+    for (const c of candidates) {
+      if (c.kind !== "preference" && c.score !== null && c.score < minScore) drop(c, "low_score");
+    }
+  }
+
+  // 2. Near-duplicates within the same list
+  if (dedup) {
+    const seen = new Map(); // list → kept candidates
+    for (const c of candidates) {
+      if (!c.kept || !c.normalized) continue;
+      const prior = seen.get(c.list) ?? [];
+      const isDup = prior.some(
+        (p) => p.normalized === c.normalized || (c.tokens && jaccard(p.tokens, c.tokens) >= threshold),
+      );
+      if (isDup) drop(c, "duplicate");
+      else seen.set(c.list, [...prior, c]);
+    }
+  }
+
+  // 3. Token budget by priority
+  if (maxTokens > 0) {
+    let used = estimateTokens(data.preference_note);
+    const ranked = candidates
+      .filter((c) => c.kept)
+      .sort(
+        (a, b) =>
+          (a.kind === "preference" ? 0 : 1) - (b.kind === "preference" ? 0 : 1) ||
+          Math.floor(b.time / DAY_MS) - Math.floor(a.time / DAY_MS) ||
+          (b.score ?? 0) - (a.score ?? 0) ||
+          a.idx - b.idx,
+      );
+    for (const c of ranked) {
+      const cost = estimateTokens(c.text);
+      if (used + cost > maxTokens) drop(c, "budget");
+      else used += cost;
+    }
+  }
+
+  if (!dropped.length) return { result, dropped, droppedCount: 0 };
+
+  const filtered = { ...data };
+  for (const list of LISTS) {
+    if (!Array.isArray(data[list.key])) continue;
+    filtered[list.key] = candidates.filter((c) => c.list === list.key && c.kept).map((c) => c.item);
+  }
+  return {
+    result: { ...result, data: filtered },
+    dropped: dropped.slice(0, MAX_REPORTED),
+    droppedCount: dropped.length,
+  };
+}
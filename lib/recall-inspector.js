@@ -0,0 +1,155 @@
+/**
+ * Recall inspector: full details of what each recall sent and injected.
+ *
+ * With `recallInspectorEnabled`, every search log entry keeps (in memory
+ * only) the query payloads, the raw result items with IDs / scores /
+ * timestamps, what the client-side filter dropped, and the final
+ * `prependContext`. Storage is bounded by `recallInspectorMaxEntries` and
+ * `recallInspectorRetentionHours`, independently of the event log.
+ *
+ * Replays re-run the recorded prompt and context through the current config
+ * via a replayer registered by index.js (it owns the payload builders).
+ */
+
+import { extractResultData, extractText } from "./memos-cloud-api.js";
+
+const MAX_EVENT_MESSAGES = 40;
+const MAX_MESSAGE_CHARS = 4000;
+
+/** @type {Map<number, object>} log entry id → inspection (insertion = age order) */
+const inspections = new Map();
+let replayer = null;
+
+// ---------------------------------------------------------------------------
+// Snapshots
+// ---------------------------------------------------------------------------
+
+/** Scalar ctx fields only (sessionKey, agentId, sender IDs, …). */
+export function snapshotContext(ctx) {
+  return Object.fromEntries(
+    Object.entries(ctx ?? {}).filter(([, v]) => v !== null && v !== undefined && typeof v !== "object" && typeof v !== "function"),
+  );
+}
+
+/** Prompt plus a bounded text-only copy of the recent history. */
+export function snapshotEvent(event) {
+  const messages = Array.isArray(event?.messages) ? event.messages.slice(-MAX_EVENT_MESSAGES) : [];
+  return {
+    prompt: event?.prompt ?? "",
+    messages: messages
+      .filter((m) => m?.role)
+      .map((m) => ({ role: m.role, content: extractText(m.content).slice(0, MAX_MESSAGE_CHARS) })),
+  };
+}
+
+/**
+ * Flatten a search result into one list, marking the items the filter dropped.
+ * @returns {Array<{kind: string, id: string|null, score: number|null, time: string|number|null, text: string, dropped: string|null}>}
+ */
+export function inspectionItems(result, dropped = []) {
+  const data = extractResultData(result) ?? {};
+  const lists = [
+    ["fact", data.memory_detail_list, (i) => i?.memory_value || i?.memory_key],
+    ["preference", data.preference_detail_list, (i) => i?.preference],
+    ["tool", data.tool_memory_detail_list, (i) => i?.tool_value || i?.tool_key],
+  ];
+  const items = [];
+  for (const [kind, list, text] of lists) {
+    for (const item of list ?? []) {
+      const id = item?.id ?? item?.memory_id ?? null;
+      const body = String(text(item) ?? "");
+      const drop = dropped.find((d) => d.kind === kind && (id ? d.id === id : body.startsWith(d.text)));
+      items.push({
+        kind,
+        id,
+        score: item?.relativity ?? item?.score ?? null,
+        time: item?.create_time ?? item?.update_time ?? null,
+        text: body,
+        dropped: drop?.reason ?? null,
+      });
+    }
+  }
+  return items;
+}
+
+// ---------------------------------------------------------------------------
+// Store
+// ---------------------------------------------------------------------------
+
+function prune(cfg) {
+  const retentionMs = (cfg?.recallInspectorRetentionHours ?? 24) * 3_600_000;
+  if (retentionMs > 0) {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, rec] of inspections) {
+      if (rec.savedAt >= cutoff) break;
+      inspections.delete(id);
+    }
+  }
+  const max = cfg?.recallInspectorMaxEntries ?? 50;
+  while (inspections.size > max) inspections.delete(inspections.keys().next().value);
+}
+
+/**
+ * @param {number} logId – id of the search log entry
+ * @param {{ctx: object, event: object, strategy: string, payloads: object[], result: object|null, dropped?: object, prependContext?: string|null, recall?: string}} record
+ * @param {object} cfg
+ */
+export function saveInspection(logId, record, cfg) {
+  const droppedItems = record.dropped?.items ?? [];
+  inspections.set(logId, {
+    logId,
+    savedAt: Date.now(),
+    timestamp: new Date().toISOString(),
+    ctx: snapshotContext(record.ctx),
+    event: snapshotEvent(record.event),
+    strategy: record.strategy,
+    recall: record.recall ?? null,
+    payloads: record.payloads,
+    items: record.result ? inspectionItems(record.result, droppedItems) : [],
+    dropped: record.dropped ?? null,
+    prependContext: record.prependContext || null,
+  });
+  prune(cfg);
+}
+
+export function getInspection(logId, cfg) {
+  prune(cfg);
+  return inspections.get(logId);
+}
+
+export function clearInspections() {
+  inspections.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {(run: {event: object, ctx: object}) => Promise<{strategy: string, payloads: object[], result: object, dropped?: object, prependContext: string|null}>} fn
+ */
+export function setRecallReplayer(fn) {
+  replayer = fn;
+}
+
+/**
+ * Re-run a recorded recall with the current config.
+ * @returns {Promise<object|null>} same shape as an inspection, or null if unknown
+ */
+export async function replayInspection(logId, cfg) {
+  const rec = getInspection(logId, cfg);
+  if (!rec) return null;
+  if (!replayer) throw new Error("Recall replay is not available");
+  const t0 = Date.now();
+  const out = await replayer({ event: rec.event, ctx: rec.ctx });
+  return {
+    logId,
+    timestamp: new Date().toISOString(),
+    durationMs: Date.now() - t0,
+    strategy: out.strategy,
+    payloads: out.payloads,
+    items: inspectionItems(out.result, out.dropped?.items ?? []),
+    dropped: out.dropped ?? null,
+    prependContext: out.prependContext || null,
+  };
+}
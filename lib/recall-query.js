@@ -0,0 +1,231 @@
+/**
+ * Recall query construction and multi-query result merging.
+ *
+ * `queryStrategy` picks how the /search/memory query is built from a run:
+ *
+ * - `prompt`   – queryPrefix + raw prompt, sliced to maxQueryChars (legacy).
+ * - `context`  – cleaned prompt plus the last `queryContextTurns` turns, so
+ *                short follow-ups ("and the second one?") carry their topic.
+ * - `keywords` – keywords and entities extracted from the prompt and context.
+ * - `multi`    – up to `queryMaxSubQueries` of the above, searched in
+ *                parallel; results are merged and deduplicated.
+ *
+ * All strategies except `prompt` strip OpenClaw metadata blocks, code blocks
+ * and log/stack-trace lines, and truncate long text head + tail instead of
+ * cutting it blindly.
+ */
+
+import { extractResultData, extractText, USER_QUERY_MARKER } from "./memos-cloud-api.js";
+
+export const QUERY_STRATEGIES = ["prompt", "context", "keywords", "multi"];
+
+const MAX_TURN_CHARS = 200;
+const MAX_KEYWORDS = 12;
+
+const STOPWORDS = new Set(
+  (
+    "a an the and or but if then else of to in on at by for with from about as is are was were be been being " +
+    "do does did have has had i me my we our you your he she it its they them their this that these those " +
+    "what which who whom whose when where why how can could should would will shall may might must not no " +
+    "so than too very just also any some all more most other such only own same into over under again " +
+    "there here out up down off please thanks thank hi hello ok okay yes one two second first last " +
+    "le la les un une des du de et ou mais donc que qui quoi est sont je tu il elle nous vous ils elles ce " +
+    "cette ces mon ma mes ton ta tes son sa ses pour par avec sans dans sur pas plus"
+  ).split(" "),
+);
+
+// ---------------------------------------------------------------------------
+// Cleaning
+// ---------------------------------------------------------------------------
+
+const LOG_LINE_RE = [
+  /^\s*at\s+\S.*\(.*:\d+:\d+\)\s*$/, // JS stack frame
+  /^\s*File ".*", line \d+/, // Python traceback
+  /^\s*\[?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/, // timestamped log line
+  /^\s*\[?(TRACE|DEBUG|INFO|WARN|WARNING|ERROR|FATAL)\]?[\s:]/i,
+  /^\s*\S{120,}\s*$/, // one long token (base64, minified code, hashes)
+];
+
+/**
+ * Remove noise that hurts semantic search: OpenClaw metadata blocks, an
+ * injected memory prompt, fenced code blocks and log-like lines.
+ */
+export function cleanQueryText(text) {
+  if (!text) return "";
+  let t = String(text);
+  const markerIdx = t.lastIndexOf(USER_QUERY_MARKER);
+  if (markerIdx !== -1) t = t.slice(markerIdx + USER_QUERY_MARKER.length);
+  t = t
+    .replace(/^[^\n]*\(untrusted metadata\):\s*```json[\s\S]*?```/gim, " ")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/```[\s\S]*$/, " "); // unterminated fence: drop the rest
+  t = t
+    .split("\n")
+    .filter((line) => !LOG_LINE_RE.some((re) => re.test(line)))
+    .join("\n");
+  return t.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Shorten to maxLen keeping the beginning and the end (where the actual
+ * question usually is), instead of cutting off the tail.
+ */
+export function smartTruncate(text, maxLen) {
+  if (!text || !maxLen || text.length <= maxLen) return text ?? "";
+  const sep = " … ";
+  if (maxLen <= sep.length + 2) return text.slice(0, maxLen);
+  const head = Math.floor((maxLen - sep.length) * 0.4);
+  const tail = maxLen - sep.length - head;
+  return `${text.slice(0, head).trimEnd()}${sep}${text.slice(-tail).trimStart()}`;
+}
+
+// ---------------------------------------------------------------------------
+// Context and keywords
+// ---------------------------------------------------------------------------
+
+/**
+ * Text of the last `n` turns before the current prompt (user + assistant).
+ * @param {Array<object>} messages – session history from before_agent_start
+ */
+export function recentTurnsText(messages, n) {
+  if (!Array.isArray(messages) || n <= 0) return [];
+  const lines = [];
+  let turns = 0;
+  for (let i = messages.length - 1; i >= 0 && turns < n; i -= 1) {
+    const msg = messages[i];
+    if (msg?.role !== "user" && msg?.role !== "assistant") continue;
+    const text = smartTruncate(cleanQueryText(extractText(msg.content)), MAX_TURN_CHARS);
+    if (text) lines.unshift(text);
+    if (msg.role === "user") turns += 1;
+  }
+  return lines;
+}
+
+/**
+ * Keywords and entities, most useful first: quoted phrases, capitalised
+ * names, identifiers/paths, CJK words, then frequent content words.
+ */
+export function extractKeywords(text, max = MAX_KEYWORDS) {
+  if (!text) return [];
+  const scores = new Map();
+  const add = (term, score) => {
+    const key = term.trim();
+    if (key.length < 2 || STOPWORDS.has(key.toLowerCase())) return;
+    scores.set(key, (scores.get(key) ?? 0) + score);
+  };
+
+  for (const [, phrase] of text.matchAll(/["“«]([^"”»]{2,60})["”»]/g)) add(phrase, 5);
+  for (const m of text.matchAll(/\b\p{Lu}[\p{L}\d]+(?:\s+\p{Lu}[\p{L}\d]+)*/gu)) {
+    // A capital at the start of a sentence is not a name by itself.
+    const sentenceStart = m.index === 0 || /[.!?\n]\s*$/.test(text.slice(0, m.index));
+    const name = sentenceStart ? m[0].replace(/^\S+\s*/, "") : m[0];
+    if (name) add(name, 3);
+  }
+  for (const [id] of text.matchAll(/\b[\w.-]*(?:[a-z][A-Z]|_|\/|\.\w{1,5}\b)[\w./-]*/g)) add(id, 3);
+  for (const [cjk] of text.matchAll(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]{2,}/gu)) add(cjk, 2);
+  for (const [word] of text.toLowerCase().matchAll(/\p{L}[\p{L}\d'-]{2,}/gu)) add(word, 1);
+
+  // Drop single words already covered by a longer selected phrase.
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([term]) => term);
+  const picked = [];
+  for (const term of ranked) {
+    const lower = term.toLowerCase();
+    if (picked.some((p) => p.toLowerCase().includes(lower))) continue;
+    picked.push(term);
+    if (picked.length >= max) break;
+  }
+  return picked;
+}
+
+// ---------------------------------------------------------------------------
+// Strategy
+// ---------------------------------------------------------------------------
+
+function contextQuery(prompt, turns) {
+  if (!turns.length) return prompt;
+  return `${prompt}\nContext: ${turns.join(" | ")}`;
+}
+
+/**
+ * Build the recall queries for a run (queryPrefix and length limits are
+ * applied later by buildSearchPayload).
+ * @param {object} cfg
+ * @param {{prompt: string, messages?: Array<object>}} event
+ * @returns {{ strategy: string, queries: string[] }}
+ */
+export function buildRecallQueries(cfg, event) {
+  const strategy = QUERY_STRATEGIES.includes(cfg.queryStrategy) ? cfg.queryStrategy : "prompt";
+  const raw = event?.prompt ?? "";
+  if (strategy === "prompt") return { strategy, queries: [raw] };
+
+  const prompt = cleanQueryText(raw) || raw.trim();
+  const turns = recentTurnsText(event?.messages, cfg.queryContextTurns ?? 2);
+
+  const keywordsQuery = () => extractKeywords([prompt, ...turns].join("\n")).join(" ") || prompt;
+
+  if (strategy === "context") return { strategy, queries: [contextQuery(prompt, turns)] };
+  if (strategy === "keywords") return { strategy, queries: [keywordsQuery()] };
+
+  const candidates = [prompt, contextQuery(prompt, turns), keywordsQuery()];
+  const queries = [...new Set(candidates.filter(Boolean))].slice(0, Math.max(1, cfg.queryMaxSubQueries ?? 3));
+  return { strategy, queries };
+}
+
+// ---------------------------------------------------------------------------
+// Merging
+// ---------------------------------------------------------------------------
+
+function itemKey(item, textFields) {
+  if (item?.id) return `id:${item.id}`;
+  const text = textFields.map((f) => item?.[f]).find(Boolean) ?? JSON.stringify(item);
+  return `text:${String(text).trim().toLowerCase()}`;
+}
+
+function mergeList(lists, textFields, limit) {
+  const seen = new Set();
+  const out = [];
+  // Round-robin so each sub-query's best hits come first.
+  const longest = Math.max(0, ...lists.map((l) => l.length));
+  for (let i = 0; i < longest; i += 1) {
+    for (const list of lists) {
+      const item = list[i];
+      if (!item) continue;
+      const key = itemKey(item, textFields);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(item);
+    }
+  }
+  return limit ? out.slice(0, limit) : out;
+}
+
+/**
+ * Merge several /search/memory responses into one, deduplicating by memory
+ * ID (or text) and keeping the configured limits. Responses are unwrapped
+ * with extractResultData, like every other reader of search results.
+ */
+export function mergeRecallResults(results, cfg) {
+  const datas = results.map((r) => extractResultData(r) ?? {});
+  return {
+    code: 0,
+    message: "ok",
+    data: {
+      memory_detail_list: mergeList(
+        datas.map((d) => d.memory_detail_list ?? []),
+        ["memory_value", "memory_key"],
+        cfg.memoryLimitNumber,
+      ),
+      preference_detail_list: mergeList(
+        datas.map((d) => d.preference_detail_list ?? []),
+        ["preference"],
+        cfg.preferenceLimitNumber,
+      ),
+      tool_memory_detail_list: mergeList(
+        datas.map((d) => d.tool_memory_detail_list ?? []),
+        ["tool_value", "tool_key"],
+        cfg.toolMemoryLimitNumber,
+      ),
+      preference_note: datas.map((d) => d.preference_note).find(Boolean),
+    },
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * Secret redaction for messages sent to MemOS.
+ *
+ * - Built-in detectors cover common credentials and PII (cloud/API keys,
+ *   JWTs, PEM private keys, `.env`-style secret assignments, emails, card numbers).
+ * - Users can add their own regex rules.
+ * - Each rule either masks the match, replaces it with a short hash, or
+ *   drops the whole message. Hashes are HMACs keyed with a random per-install
+ *   secret (`~/.openclaw/memos-redaction-key`), so they stay stable across
+ *   runs but can't be reversed by hashing guesses.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+import { createHmac, randomBytes } from "node:crypto";
+
+const OPENCLAW_DIR = join(homedir(), ".openclaw");
+const KEY_FILE = join(OPENCLAW_DIR, "memos-redaction-key");
+
+export const REDACTION_ACTIONS = ["mask", "hash", "drop"];
+
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i -= 1) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors. `group` (optional) limits the redaction to one capture
+ * group so surrounding context (e.g. the variable name) is kept.
+ * `validate` (optional) filters false positives.
+ */
+export const BUILTIN_DETECTORS = {
+  pem_private_key: {
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY-----/g,
+  },
+  aws_access_key: {
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  aws_secret_key: {
+    pattern: /(aws_secret_access_key\s*[=:]\s*["']?)([A-Za-z0-9/+=]{40})/gi,
+    group: 2,
+  },
+  github_token: {
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g,
+  },
+  openai_key: {
+    pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}\b/g,
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}\b/g,
+  },
+  env_secret: {
+    pattern: /\b([A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_KEY|APIKEY|PRIVATE_KEY)[A-Z0-9_]*\s*[=:]\s*["']?)(?!\[)([^\s"']{4,})/g,
+    group: 2,
+  },
+  email: {
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  card_number: {
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, "");
+      return digits.length >= 13 && digits.length <= 19 && luhnValid(digits);
+    },
+  },
+};
+
+/** @type {Buffer|null} */
+let hashKey = null;
+
+function readHashKey() {
+  try {
+    const key = Buffer.from(readFileSync(KEY_FILE, "utf-8").trim(), "hex");
+    return key.length >= 32 ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Load the install's HMAC key, creating it on first use. */
+function loadHashKey() {
+  hashKey ??= readHashKey();
+  if (hashKey) return hashKey;
+  const fresh = randomBytes(32);
+  try {
+    mkdirSync(OPENCLAW_DIR, { recursive: true });
+    // "wx": if another process created the key meanwhile, use theirs.
+    writeFileSync(KEY_FILE, fresh.toString("hex"), { encoding: "utf-8", mode: 0o600, flag: "wx" });
+  } catch (err) {
+    if (err?.code === "EEXIST") hashKey = readHashKey();
+  }
+  // Unwritable home or unreadable key: hashes are stable for this process only.
+  hashKey ??= fresh;
+  return hashKey;
+}
+
+function shortHash(value) {
+  return createHmac("sha256", loadHashKey()).update(value).digest("hex").slice(0, 12);
+}
+
+function replacementFor(name, action, secret) {
+  if (action === "hash") return `[${name}:${shortHash(secret)}]`;
+  return `[REDACTED:${name}]`;
+}
+
+/**
+ * Compile the active rule list from config.
+ * @param {object} cfg
+ * @returns {Array<{name: string, pattern: RegExp, group?: number, validate?: Function, action: string}>}
+ */
+export function compileRedactionRules(cfg) {
+  const actions = cfg.redactionActions ?? {};
+  const enabled = cfg.redactionDetectors ?? Object.keys(BUILTIN_DETECTORS);
+  const rules = [];
+
+  for (const name of enabled) {
+    const detector = BUILTIN_DETECTORS[name];
+    if (!detector) continue;
+    rules.push({ name, ...detector, action: actions[name] ?? "mask" });
+  }
+
+  for (const [idx, rule] of (cfg.redactionRules ?? []).entries()) {
+    if (!rule?.pattern) continue;
+    try {
+      const flags = rule.flags ?? "g";
+      rules.push({
+        name: rule.name || `custom_${idx + 1}`,
+        pattern: new RegExp(rule.pattern, flags.includes("g") ? flags : `${flags}g`),
+        action: REDACTION_ACTIONS.includes(rule.action) ? rule.action : "mask",
+      });
+    } catch {
+      // invalid user pattern: rejected by validateConfig, ignored here
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Redact one string.
+ * @returns {{ text: string, counts: Record<string, number>, drop: boolean }}
+ */
+export function redactText(text, rules) {
+  const counts = {};
+  let drop = false;
+  let out = text ?? "";
+
+  for (const rule of rules) {
+    rule.pattern.lastIndex = 0;
+    out = out.replace(rule.pattern, (match, ...groups) => {
+      if (rule.validate && !rule.validate(match)) return match;
+      counts[rule.name] = (counts[rule.name] ?? 0) + 1;
+      if (rule.action === "drop") drop = true;
+
+      if (!rule.group) return replacementFor(rule.name, rule.action, match);
+      const secret = groups[rule.group - 1] ?? "";
+      const prefix = groups.slice(0, rule.group - 1).join("");
+      return `${prefix}${replacementFor(rule.name, rule.action, secret)}`;
+    });
+  }
+
+  return { text: out, counts, drop };
+}
+
+/**
+ * Redact a list of `{ role, content }` messages.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {object} cfg
+ * @returns {{ messages: Array<object>, counts: Record<string, number>, dropped: number }}
+ */
+export function redactMessages(messages, cfg) {
+  if (!cfg.redactionEnabled) return { messages, counts: {}, dropped: 0 };
+
+  const rules = compileRedactionRules(cfg);
+  const counts = {};
+  const kept = [];
+  let dropped = 0;
+
+  for (const msg of messages) {
+    const result = redactText(msg.content, rules);
+    for (const [name, n] of Object.entries(result.counts)) {
+      counts[name] = (counts[name] ?? 0) + n;
+    }
+    if (result.drop) {
+      dropped += 1;
+      continue;
+    }
+    kept.push({ ...msg, content: result.text });
+  }
+
+  return { messages: kept, counts, dropped };
+}
@@ -0,0 +1,78 @@
+/**
+ * Per-agent / per-channel memory routing.
+ *
+ * `routingRules` is an ordered list; the first rule whose `match` fits the
+ * run's context wins and its `overrides` are laid over the config for that
+ * run only:
+ *
+ *   {
+ *     "name": "support-bot",
+ *     "match": { "agentId": "support", "sessionKey": "*:telegram:*", "messageProvider": ["telegram", "whatsapp"] },
+ *     "overrides": { "userId": "support_users", "tags": ["support"], "addEnabled": false }
+ *   }
+ *
+ * Match values are `*` wildcard patterns (or lists of them); every criterion
+ * given must match. A rule with an empty `match` applies to every run.
+ */
+
+import { matchesGlob } from "./glob.js";
+
+export const ROUTING_MATCH_KEYS = ["agentId", "sessionKey", "messageProvider"];
+
+/** Config keys a routing rule may override. */
+export const ROUTABLE_KEYS = [
+  "backend",
+  "userId",
+  "identityMode",
+  "userIdTemplate",
+  "tags",
+  "info",
+  "filter",
+  "knowledgebaseIds",
+  "allowKnowledgebaseIds",
+  "allowPublic",
+  "agentId",
+  "appId",
+  "recallEnabled",
+  "recallGlobal",
+  "addEnabled",
+  "memoryLimitNumber",
+  "includePreference",
+  "preferenceLimitNumber",
+  "includeToolMemory",
+  "toolMemoryLimitNumber",
+  "queryStrategy",
+  "queryContextTurns",
+  "recallMinScore",
+  "recallMaxTokens",
+  "conversationIdPrefix",
+  "conversationIdSuffix",
+  "captureStrategy",
+  "captureToolCalls",
+  "promptStyle",
+  "promptTemplate",
+];
+
+function ruleMatches(rule, ctx) {
+  const match = rule?.match ?? {};
+  return ROUTING_MATCH_KEYS.every((key) => match[key] === undefined || matchesGlob(ctx?.[key], match[key]));
+}
+
+/**
+ * Resolve the effective config for one run.
+ * @param {object} cfg – live config
+ * @param {object} ctx – OpenClaw hook context
+ * @returns {{ cfg: object, rule: string | null }}
+ */
+export function resolveRoute(cfg, ctx) {
+  const rules = cfg.routingRules ?? [];
+  for (const [idx, rule] of rules.entries()) {
+    if (!ruleMatches(rule, ctx)) continue;
+    const overrides = {};
+    for (const key of ROUTABLE_KEYS) {
+      if (rule.overrides?.[key] !== undefined) overrides[key] = rule.overrides[key];
+    }
+    return { cfg: { ...cfg, ...overrides }, rule: rule.name || `rule_${idx + 1}` };
+  }
+  return { cfg, rule: null };
+}
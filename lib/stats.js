@@ -3,8 +3,11 @@
  *
  * - Ring buffer keeps the last N events in memory (default 200).
  * - Counters are persisted periodically to ~/.openclaw/memos-cloud-state.json.
+ * - The same file also holds dashboard config overrides and capture cursors.
  * - Stored OUTSIDE the plugin directory so data survives plugin reinstalls.
  * - getLogs() / getStats() are consumed by the dashboard API.
+ * - Every event is also handed to event-history.js (JSONL log + roll-ups)
+ *   and counted by type for /metrics.
  */
 
 import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from "node:fs";
@@ -12,6 +15,9 @@ import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 import { homedir } from "node:os";
 
+import { appendHistory, flushHistory } from "./event-history.js";
+import { countEvent } from "./metrics.js";
+
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const OPENCLAW_DIR = join(homedir(), ".openclaw");
 const STATE_FILE = join(OPENCLAW_DIR, "memos-cloud-state.json");
@@ -23,6 +29,10 @@ let counters = {
   heartbeatsFiltered: 0,
   searchCalls: 0,
   addCalls: 0,
+  cacheHits: 0,
+  cacheMisses: 0,
+  redactions: 0,
+  toolCalls: 0,
   errors: 0,
   startedAt: null,
 };
@@ -33,6 +43,7 @@ const logBuffer = [];
 let nextId = 1;
 let persistTimer = null;
 let configOverrides = {};
+let captureCursors = {};
 
 // ---------------------------------------------------------------------------
 // Persistence
@@ -50,6 +61,7 @@ function readState() {
 function writeState() {
   const state = {
     configOverrides,
+    captureCursors,
     stats: { ...counters },
   };
   const json = JSON.stringify(state, null, 2);
@@ -88,6 +100,9 @@ export function initStats() {
   if (saved?.configOverrides) {
     configOverrides = saved.configOverrides;
   }
+  if (saved?.captureCursors) {
+    captureCursors = saved.captureCursors;
+  }
   counters.startedAt = new Date().toISOString();
 
   // Periodic persistence
@@ -97,6 +112,7 @@ export function initStats() {
   // Graceful shutdown
   const flush = () => {
     writeState();
+    flushHistory();
     if (persistTimer) clearInterval(persistTimer);
   };
   process.on("SIGTERM", flush);
@@ -105,11 +121,13 @@ export function initStats() {
 
 /**
  * Record an event.
- * @param {"search"|"add"|"heartbeat_filtered"|"error"|"search_error"|"add_error"} type
+ * @param {"search"|"search_cache_hit"|"search_budget_exceeded"|"add"|"add_skipped"|"heartbeat_filtered"|"error"|"search_error"|"add_error"|"outbox_queued"|"outbox_replayed"|"outbox_dropped"|"breaker_state"|"command"|"command_error"|"tool_memos_search"|"tool_memos_remember"|"tool_memos_forget"|"tool_memos_search_error"|"tool_memos_remember_error"|"tool_memos_forget_error"|"memory_delete"|"memory_delete_error"|"import"|"import_error"|"export"|"export_error"|"backup"|"backup_error"} type
  * @param {object} [details]
+ * @returns {object} the log entry
  */
 export function recordEvent(type, details = {}) {
   counters.totalEvents += 1;
+  countEvent(type);
 
   switch (type) {
     case "heartbeat_filtered":
@@ -118,16 +136,37 @@ export function recordEvent(type, details = {}) {
     case "search":
       counters.searchCalls += 1;
       break;
+    case "search_cache_hit":
+      counters.cacheHits += 1;
+      break;
     case "add":
+    case "outbox_replayed":
       counters.addCalls += 1;
       break;
     case "error":
     case "search_error":
     case "add_error":
+    case "command_error":
+    case "memory_delete_error":
+    case "import_error":
+    case "export_error":
+    case "backup_error":
       counters.errors += 1;
       break;
   }
 
+  if (type.startsWith("tool_")) {
+    counters.toolCalls += 1;
+    if (type.endsWith("_error")) counters.errors += 1;
+  }
+
+  if (details.cache === "miss") counters.cacheMisses += 1;
+  if (details.redactions) {
+    for (const [name, n] of Object.entries(details.redactions)) {
+      if (name !== "dropped_messages") counters.redactions += n;
+    }
+  }
+
   const entry = {
     id: nextId++,
     timestamp: new Date().toISOString(),
@@ -136,13 +175,24 @@ export function recordEvent(type, details = {}) {
     action: details.action ?? type,
     durationMs: details.durationMs ?? null,
     error: details.error ?? null,
+    errorKind: details.errorKind ?? null,
     debug: details.debug ?? null,
+    cache: details.cache ?? null,
+    recall: details.recall ?? null,
+    route: details.route ?? null,
+    strategy: details.strategy ?? null,
+    query: details.query ?? null,
+    dropped: details.dropped ?? null,
+    inspected: Boolean(details.inspected),
+    redactions: details.redactions && Object.keys(details.redactions).length ? details.redactions : null,
   };
 
   logBuffer.push(entry);
   if (logBuffer.length > MAX_LOG_ENTRIES) {
     logBuffer.shift();
   }
+  appendHistory(entry);
+  return entry;
 }
 
 /**
@@ -197,6 +247,20 @@ export function clearConfigOverrides() {
   writeState();
 }
 
+// ---------------------------------------------------------------------------
+// Capture cursors (managed by capture-cursor.js)
+// ---------------------------------------------------------------------------
+
+export function getCaptureCursors() {
+  return { ...captureCursors };
+}
+
+export function setCaptureCursors(cursors) {
+  captureCursors = { ...cursors };
+  writeState();
+}
+
 export function flushStats() {
   writeState();
+  flushHistory();
 }
@@ -0,0 +1,152 @@
+/**
+ * Tool call capture: turns tool invocations and their results into compact
+ * `role: "tool"` messages for /add/message.
+ *
+ * - Understands OpenClaw (`toolCall` blocks + `toolResult` messages),
+ *   Anthropic (`tool_use` / `tool_result` blocks) and OpenAI (`tool_calls` +
+ *   `role: "tool"`) shapes.
+ * - Each message carries the tool name, summarised arguments, the truncated
+ *   result and whether the call succeeded.
+ * - `toolCaptureAllow` / `toolCaptureDeny` (names, `*` wildcards) and the
+ *   size caps keep noisy tools from flooding memory.
+ */
+
+import { extractText } from "./memos-cloud-api.js";
+import { matchesGlob } from "./glob.js";
+
+const MAX_ARG_VALUE_CHARS = 120;
+
+function clip(text, maxLen) {
+  if (!text) return "";
+  if (!maxLen) return text;
+  return text.length > maxLen ? `${text.slice(0, maxLen)}...` : text;
+}
+
+/**
+ * Whether a tool's calls should be captured under the allow/deny lists.
+ * Deny wins over allow; an empty allow list allows everything.
+ */
+export function isToolCaptured(name, cfg) {
+  const allow = cfg.toolCaptureAllow ?? [];
+  const deny = cfg.toolCaptureDeny ?? [];
+  if (matchesGlob(name, deny)) return false;
+  if (allow.length && !matchesGlob(name, allow)) return false;
+  return true;
+}
+
+/**
+ * One-line summary of tool arguments: long string values are shortened
+ * before the whole thing is capped at `toolArgsMaxChars`.
+ */
+export function summarizeToolArgs(args, maxChars) {
+  if (args === undefined || args === null || args === "") return "";
+  let value = args;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return clip(value, maxChars);
+    }
+  }
+  if (typeof value !== "object") return clip(String(value), maxChars);
+
+  const short = Array.isArray(value) ? [] : {};
+  for (const [key, v] of Object.entries(value)) {
+    short[key] = typeof v === "string" ? clip(v, MAX_ARG_VALUE_CHARS) : v;
+  }
+  return clip(JSON.stringify(short), maxChars);
+}
+
+function resultText(content) {
+  if (typeof content === "string") return content;
+  return extractText(content);
+}
+
+/**
+ * Format a captured tool call as a `role: "tool"` message.
+ * @param {{name: string, args: unknown, result?: string, ok?: boolean}} call
+ */
+export function formatToolMessage(call, cfg) {
+  const status = call.ok === undefined ? "no result" : call.ok ? "ok" : "error";
+  const lines = [`Tool: ${call.name} (${status})`];
+  const args = summarizeToolArgs(call.args, cfg.toolArgsMaxChars);
+  if (args) lines.push(`Arguments: ${args}`);
+  const result = clip((call.result ?? "").trim(), cfg.toolResultMaxChars);
+  if (result) lines.push(`Result: ${result}`);
+  return { role: "tool", content: lines.join("\n") };
+}
+
+function toolCallsOf(msg) {
+  const calls = [];
+  if (Array.isArray(msg.content)) {
+    for (const block of msg.content) {
+      if (block?.type === "toolCall") calls.push({ id: block.id, name: block.name, args: block.arguments });
+      if (block?.type === "tool_use") calls.push({ id: block.id, name: block.name, args: block.input });
+    }
+  }
+  for (const call of msg.tool_calls ?? []) {
+    calls.push({ id: call.id, name: call.function?.name, args: call.function?.arguments });
+  }
+  return calls;
+}
+
+function toolResultsOf(msg) {
+  if (msg.role === "toolResult") {
+    return [{ id: msg.toolCallId, name: msg.toolName, result: resultText(msg.content), ok: !msg.isError }];
+  }
+  if (msg.role === "tool") {
+    return [{ id: msg.tool_call_id, name: msg.name, result: resultText(msg.content), ok: true }];
+  }
+  if (!Array.isArray(msg.content)) return [];
+  return msg.content
+    .filter((block) => block?.type === "tool_result")
+    .map((block) => ({ id: block.tool_use_id, result: resultText(block.content), ok: !block.is_error }));
+}
+
+/**
+ * True for a user message that only carries tool results (Anthropic shape),
+ * i.e. not a real user turn.
+ */
+export function isToolResultOnly(msg) {
+  return (
+    Array.isArray(msg?.content) &&
+    msg.content.length > 0 &&
+    msg.content.every((block) => block?.type === "tool_result")
+  );
+}
+
+/**
+ * Stateful collector fed with raw messages in order. Calls are emitted once
+ * their result arrives; `flush()` returns calls that never got one.
+ */
+export function createToolCollector(cfg) {
+  const pending = new Map();
+
+  function take(msg) {
+    if (!cfg.captureToolCalls || !msg) return [];
+    for (const call of toolCallsOf(msg)) {
+      if (!call.name) continue;
+      pending.set(call.id ?? `${call.name}:${pending.size}`, call);
+    }
+
+    const out = [];
+    for (const res of toolResultsOf(msg)) {
+      const call = pending.get(res.id) ?? { name: res.name, args: undefined };
+      pending.delete(res.id);
+      if (!call.name || !isToolCaptured(call.name, cfg)) continue;
+      out.push(formatToolMessage({ ...call, result: res.result, ok: res.ok }, cfg));
+    }
+    return out;
+  }
+
+  function flush() {
+    const out = [];
+    for (const call of pending.values()) {
+      if (isToolCaptured(call.name, cfg)) out.push(formatToolMessage(call, cfg));
+    }
+    pending.clear();
+    return out;
+  }
+
+  return { take, flush };
+}
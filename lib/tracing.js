@@ -0,0 +1,243 @@
+/**
+ * Optional OpenTelemetry tracing over OTLP/HTTP (JSON encoding).
+ *
+ * - Off unless `otlpEndpoint` is set. Spans are then batched and POSTed to
+ *   `<otlpEndpoint>/v1/traces` every few seconds, with `otlpHeaders`
+ *   ("key=value,key2=value2", as in OTEL_EXPORTER_OTLP_HEADERS).
+ * - Recall and add operations open a span (see index.js / outbox.js); MemOS
+ *   API calls made inside one become child spans and add their retries to
+ *   the parent's `memos.retry_attempts`. The active span follows async calls
+ *   through AsyncLocalStorage.
+ * - Export is best effort: a failed POST drops the batch, and at most
+ *   MAX_QUEUE spans wait in memory.
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomBytes } from "node:crypto";
+
+const SCOPE_NAME = "memos-cloud-openclaw-plugin";
+const FLUSH_INTERVAL_MS = 5000;
+const BATCH_SIZE = 64;
+const MAX_QUEUE = 2048;
+const EXPORT_TIMEOUT_MS = 5000;
+const WARN_INTERVAL_MS = 60_000;
+
+/** OTLP SpanKind / StatusCode values. */
+const SPAN_KIND = { internal: 1, client: 3 };
+const STATUS = { ok: 1, error: 2 };
+
+const storage = new AsyncLocalStorage();
+
+let exporter = null; // { url, headers, serviceName }
+let queue = [];
+let flushTimer = null;
+let logger = console;
+let lastWarnAt = 0;
+
+// ---------------------------------------------------------------------------
+// Spans
+// ---------------------------------------------------------------------------
+
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+/** Does nothing; returned while tracing is off so callers never branch. */
+const NOOP_SPAN = {
+  recording: false,
+  setAttributes() {},
+  addToAttribute() {},
+  end() {},
+};
+
+class Span {
+  constructor(name, attributes, parent, kind) {
+    this.recording = true;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent?.traceId ?? randomBytes(16).toString("hex");
+    this.spanId = randomBytes(8).toString("hex");
+    this.parentSpanId = parent?.spanId ?? null;
+    this.start = nowNanos();
+    this.attributes = {};
+    this.ended = false;
+    this.setAttributes(attributes);
+  }
+
+  /** Set attributes; null / undefined values are skipped. */
+  setAttributes(attrs = {}) {
+    for (const [key, value] of Object.entries(attrs)) {
+      if (value !== undefined && value !== null) this.attributes[key] = value;
+    }
+  }
+
+  /** Add `n` to a numeric attribute (starting from 0). */
+  addToAttribute(key, n) {
+    this.attributes[key] = (this.attributes[key] ?? 0) + n;
+  }
+
+  /** End the span, as an error when `err` is given. Later calls are ignored. */
+  end(err) {
+    if (this.ended) return;
+    this.ended = true;
+    this.endTime = nowNanos();
+    this.status = err ? { code: STATUS.error, message: String(err?.message ?? err).slice(0, 500) } : { code: STATUS.ok };
+    if (err?.kind) this.attributes["error.type"] = err.kind;
+    enqueue(this);
+  }
+}
+
+/**
+ * Open a span, child of the active one if any.
+ * @param {string} name
+ * @param {Record<string, string|number|boolean>} [attributes]
+ * @param {{ kind?: "internal"|"client", childOnly?: boolean }} [opts] – childOnly: only open under an active span
+ * @returns {Span|typeof NOOP_SPAN}
+ */
+export function startSpan(name, attributes = {}, { kind = "internal", childOnly = false } = {}) {
+  if (!exporter) return NOOP_SPAN;
+  const parent = activeSpan();
+  if (childOnly && !parent.recording) return NOOP_SPAN;
+  return new Span(name, attributes, parent.recording ? parent : null, SPAN_KIND[kind] ?? SPAN_KIND.internal);
+}
+
+/** Run `fn` with `span` as the active span (for child spans and retries). */
+export function runInSpan(span, fn) {
+  return span.recording ? storage.run(span, fn) : fn();
+}
+
+/** The active span, or a no-op one. */
+export function activeSpan() {
+  return storage.getStore() ?? NOOP_SPAN;
+}
+
+// ---------------------------------------------------------------------------
+// OTLP export
+// ---------------------------------------------------------------------------
+
+function otlpValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+function otlpAttributes(attrs) {
+  return Object.entries(attrs).map(([key, value]) => ({ key, value: otlpValue(value) }));
+}
+
+/** OTLP/JSON request body for a batch of ended spans. */
+export function encodeSpans(spans, serviceName) {
+  return {
+    resourceSpans: [
+      {
+        resource: { attributes: otlpAttributes({ "service.name": serviceName }) },
+        scopeSpans: [
+          {
+            scope: { name: SCOPE_NAME },
+            spans: spans.map((s) => ({
+              traceId: s.traceId,
+              spanId: s.spanId,
+              ...(s.parentSpanId ? { parentSpanId: s.parentSpanId } : {}),
+              name: s.name,
+              kind: s.kind,
+              startTimeUnixNano: String(s.start),
+              endTimeUnixNano: String(s.endTime),
+              attributes: otlpAttributes(s.attributes),
+              status: s.status,
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function enqueue(span) {
+  if (!exporter) return;
+  queue.push(span);
+  if (queue.length > MAX_QUEUE) queue.splice(0, queue.length - MAX_QUEUE);
+  if (queue.length >= BATCH_SIZE) flushSpans().catch(() => {});
+}
+
+/**
+ * Parse "key=value,key2=value2" (values may be URL-encoded).
+ * @returns {Record<string, string>}
+ */
+export function parseOtlpHeaders(text) {
+  const headers = {};
+  for (const part of String(text ?? "").split(",")) {
+    const eq = part.indexOf("=");
+    if (eq <= 0) continue;
+    const key = part.slice(0, eq).trim();
+    const raw = part.slice(eq + 1).trim();
+    let value;
+    try {
+      value = decodeURIComponent(raw);
+    } catch {
+      value = raw;
+    }
+    if (key) headers[key] = value;
+  }
+  return headers;
+}
+
+/** Traces URL for an OTLP/HTTP endpoint (`/v1/traces` appended unless present). */
+export function tracesUrl(endpoint) {
+  const base = String(endpoint).replace(/\/+$/, "");
+  return base.endsWith("/v1/traces") ? base : `${base}/v1/traces`;
+}
+
+/**
+ * Send every queued span now.
+ * @returns {Promise<number>} spans sent (0 when off, empty or failed)
+ */
+export async function flushSpans() {
+  if (!exporter || !queue.length) return 0;
+  const { url, headers, serviceName } = exporter;
+  let sent = 0;
+  while (queue.length) {
+    const batch = queue.splice(0, BATCH_SIZE);
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(encodeSpans(batch, serviceName)),
+        signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      sent += batch.length;
+    } catch (err) {
+      if (Date.now() - lastWarnAt > WARN_INTERVAL_MS) {
+        lastWarnAt = Date.now();
+        logger.warn?.(`[memos-cloud] OTLP export to ${url} failed, ${batch.length} spans dropped: ${String(err?.message ?? err)}`);
+      }
+    }
+  }
+  return sent;
+}
+
+/**
+ * Start exporting (call once at plugin register). Does nothing without
+ * `otlpEndpoint`.
+ * @param {{ otlpEndpoint?: string, otlpHeaders?: string, otlpServiceName?: string }} cfg
+ */
+export function initTracing(cfg = {}, { log = console } = {}) {
+  resetTracing();
+  logger = log;
+  if (!cfg.otlpEndpoint) return;
+  exporter = {
+    url: tracesUrl(cfg.otlpEndpoint),
+    headers: parseOtlpHeaders(cfg.otlpHeaders),
+    serviceName: cfg.otlpServiceName || "openclaw-memos",
+  };
+  flushTimer = setInterval(() => flushSpans().catch(() => {}), FLUSH_INTERVAL_MS);
+  if (flushTimer.unref) flushTimer.unref();
+}
+
+/** Stop exporting and drop queued spans (tests). */
+export function resetTracing() {
+  exporter = null;
+  queue = [];
+  if (flushTimer) clearInterval(flushTimer);
+  flushTimer = null;
+}
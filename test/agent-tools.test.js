@@ -0,0 +1,82 @@
+import "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { clearRecallCache } from "../lib/recall-cache.js";
+import { getLogs, getStats } from "../lib/stats.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+import { registerPlugin } from "./helpers/fake-api.js";
+
+let stub;
+
+before(async () => {
+  stub = await startMemosStub();
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  clearRecallCache();
+});
+
+function setup(overrides = {}) {
+  return registerPlugin({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0, ...overrides });
+}
+
+const ctx = { sessionKey: "agent:main:chat-1", agentId: "main" };
+
+test("the three tools are registered, forget as optional", () => {
+  const plugin = setup();
+  assert.deepEqual([...plugin.tools.keys()], ["memos_search", "memos_remember", "memos_forget"]);
+  assert.equal(plugin.tools.get("memos_forget").opts.optional, true);
+  assert.equal(setup({ agentToolsEnabled: false }).tools.size, 0);
+});
+
+test("remember stores synchronously, search finds it with its ID, forget deletes it", async () => {
+  const plugin = setup({ queryPrefix: "important context " });
+
+  const saved = await plugin.callTool("memos_remember", { content: "User's cat is called Miso" }, ctx);
+  assert.equal(saved.content[0].text, "Saved to memory.");
+  const [add] = stub.requestsTo("/add/message");
+  assert.equal(add.body.async_mode, false);
+  assert.equal(add.body.info.via, "memos_remember");
+
+  const found = await plugin.callTool("memos_search", { query: "cat name", limit: 50 }, ctx);
+  const [search] = stub.requestsTo("/search/memory");
+  assert.equal(search.body.query, "cat name", "no queryPrefix for explicit searches");
+  assert.equal(search.body.memory_limit_number, 30);
+  assert.equal(found.content[0].text, "Facts:\n- [mem-1] User's cat is called Miso");
+
+  await plugin.callTool("memos_forget", { memory_ids: ["mem-1"] }, ctx);
+  assert.deepEqual(stub.requestsTo("/delete/memory")[0].body, { user_id: "tester", memory_ids: ["mem-1"] });
+  assert.equal(stub.memories.length, 0);
+
+  const types = getLogs("normal", 3).map((l) => l.type);
+  assert.deepEqual(types, ["tool_memos_forget", "tool_memos_search", "tool_memos_remember"]);
+});
+
+test("tool failures are logged with their error kind and rethrown", async () => {
+  const plugin = setup();
+  const before = getStats().errors;
+  stub.inject({ path: "/search/memory", status: 401, body: { code: 40100, message: "bad key" } });
+  await assert.rejects(plugin.callTool("memos_search", { query: "anything" }, ctx), { kind: "auth" });
+  const [entry] = getLogs("error", 1);
+  assert.equal(entry.type, "tool_memos_search_error");
+  assert.equal(entry.errorKind, "auth");
+  assert.equal(getStats().errors, before + 1);
+});
+
+test("remember redacts secrets and honours routing rules", async () => {
+  const plugin = setup({
+    routingRules: [{ name: "ops", match: { agentId: "ops" }, overrides: { userId: "ops_team" } }],
+  });
+  await plugin.callTool("memos_remember", { content: "deploy key is ghp_" + "a".repeat(36) }, { agentId: "ops" });
+  const [add] = stub.requestsTo("/add/message");
+  assert.equal(add.body.user_id, "ops_team");
+  assert.equal(add.body.messages[0].content, "deploy key is [REDACTED:github_token]");
+  assert.equal(getLogs("normal", 1)[0].route, "ops");
+});
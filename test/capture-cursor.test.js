@@ -0,0 +1,45 @@
+import { OPENCLAW_DIR } from "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+
+import { messageHash, findCaptureStart, advanceCaptureCursor, getCaptureCursor } from "../lib/capture-cursor.js";
+
+const history = [
+  { role: "user", content: "q1" },
+  { role: "assistant", content: [{ type: "text", text: "a1" }] },
+  { role: "user", content: "q2" },
+  { role: "assistant", content: [{ type: "toolCall", name: "read" }] },
+];
+
+test("messageHash depends on role and the full content", () => {
+  assert.equal(messageHash(history[0]), messageHash({ role: "user", content: "q1" }));
+  assert.notEqual(messageHash(history[0]), messageHash({ role: "assistant", content: "q1" }));
+  assert.notEqual(messageHash(history[3]), messageHash({ role: "assistant", content: [{ type: "toolCall", name: "write" }] }));
+});
+
+test("findCaptureStart resumes after the cursor, relocates it, or reports a rewrite", () => {
+  assert.deepEqual(findCaptureStart(history, undefined), { start: 0, mode: "new" });
+
+  const cursor = { index: 1, hash: messageHash(history[1]) };
+  assert.deepEqual(findCaptureStart(history, cursor), { start: 2, mode: "cursor" });
+
+  // Compaction replaced the first turn with a summary: the captured reply moved down.
+  const compacted = [{ role: "user", content: "summary" }, ...history.slice(1)];
+  const moved = { index: 3, hash: messageHash(history[1]) };
+  assert.deepEqual(findCaptureStart(compacted, moved), { start: 2, mode: "relocated" });
+
+  assert.deepEqual(findCaptureStart([{ role: "user", content: "summary" }], cursor), { start: null, mode: "rewritten" });
+});
+
+test("advanceCaptureCursor points at the last message and persists to the state file", () => {
+  advanceCaptureCursor("conv-1", history);
+  assert.deepEqual(
+    { index: getCaptureCursor("conv-1").index, hash: getCaptureCursor("conv-1").hash },
+    { index: 3, hash: messageHash(history[3]) },
+  );
+  const state = JSON.parse(readFileSync(join(OPENCLAW_DIR, "memos-cloud-state.json"), "utf-8"));
+  assert.equal(state.captureCursors["conv-1"].index, 3);
+});
@@ -0,0 +1,143 @@
+import "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { clearRecallCache } from "../lib/recall-cache.js";
+import { resetChatSessions } from "../lib/chat-commands.js";
+import { getLogs } from "../lib/stats.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+import { registerPlugin } from "./helpers/fake-api.js";
+
+let stub;
+let plugin;
+
+before(async () => {
+  stub = await startMemosStub();
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  clearRecallCache();
+  resetChatSessions();
+  plugin = registerPlugin({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0 });
+});
+
+const ctx = { sessionKey: "agent:main:chat-1", agentId: "main" };
+
+async function command(text, sessionKey = ctx.sessionKey) {
+  const action = text.slice(1).split(" ")[0];
+  const event = { type: "command", action, sessionKey, context: { commandBody: text }, messages: [] };
+  await plugin.fireHook(`command:${action}`, event);
+  return event.messages.join("\n");
+}
+
+function turn(user) {
+  return { success: true, messages: [{ role: "user", content: user }, { role: "assistant", content: "ok" }] };
+}
+
+test("/memory off pauses recall and capture for that session only", async () => {
+  assert.match(await command("/memory off"), /paused/);
+
+  await plugin.emit("before_agent_start", { prompt: "anything to recall?" }, ctx);
+  await plugin.emit("agent_end", turn("private note"), ctx);
+  assert.equal(stub.requests.length, 0);
+
+  await plugin.emit("agent_end", turn("other chat"), { sessionKey: "agent:main:chat-2" });
+  assert.equal(stub.requestsTo("/add/message").length, 1);
+
+  assert.match(await command("/memory on"), /resumed/);
+  await plugin.emit("agent_end", turn("back on"), ctx);
+  assert.equal(stub.requestsTo("/add/message").length, 2);
+  assert.equal(getLogs("all", 3).find((l) => l.type === "command").action, "memory_on");
+});
+
+test("/memory show prints the facts injected last turn", async () => {
+  assert.match(await command("/memory show"), /No recall has run/);
+  stub.setSearchResponse({ data: { memory_detail_list: [{ memory_value: "User drinks tea" }] } });
+  await plugin.emit("before_agent_start", { prompt: "what do I drink?" }, ctx);
+  assert.match(await command("/memory show"), /recall: fresh\):\nFacts:\n- User drinks tea/);
+});
+
+test("/memory show only prints what was injected for the sender asking", async () => {
+  plugin = registerPlugin({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0, identityMode: "sender" });
+  const groupCtx = { sessionKey: "agent:main:telegram:group:1", messageProvider: "telegram" };
+  stub.setSearchResponse({ data: { memory_detail_list: [{ memory_value: "Alice's private note" }] } });
+  await plugin.emit("before_agent_start", { prompt: "remind me", senderId: "1" }, groupCtx);
+
+  const show = async (senderId) => {
+    const event = {
+      type: "command",
+      action: "memory",
+      sessionKey: groupCtx.sessionKey,
+      context: { commandBody: "/memory show", senderId, messageProvider: "telegram" },
+      messages: [],
+    };
+    await plugin.fireHook("command:memory", event);
+    return event.messages.join("\n");
+  };
+  assert.match(await show("1"), /Alice's private note/);
+  assert.match(await show("2"), /No recall has run/);
+});
+
+test("/remember stores right away and /memory search finds it", async () => {
+  assert.equal(await command("/remember I am allergic to peanuts"), "Saved to memory.");
+  assert.equal(stub.requestsTo("/add/message")[0].body.info.via, "chat_command");
+  assert.match(await command("/memory search allergies"), /\[mem-1\] I am allergic to peanuts/);
+  assert.equal(stub.requestsTo("/search/memory")[0].body.query, "allergies");
+});
+
+test("/memory export writes the user's memories to JSONL and Markdown", async () => {
+  await command("/remember I am allergic to peanuts");
+  const reply = await command("/memory export");
+  assert.match(reply, /^Exported 1 facts and 0 preferences for tester:/);
+  assert.match(reply, /memos-exports\/memos-export-tester-.+\.jsonl\n- .+\.md$/);
+});
+
+test("/memory export is refused to senders other than the owner", async () => {
+  plugin = registerPlugin({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0, identityMode: "sender" });
+  const event = {
+    type: "command",
+    action: "memory",
+    sessionKey: ctx.sessionKey,
+    context: { commandBody: "/memory export", senderId: "42", messageProvider: "telegram" },
+    messages: [],
+  };
+  await plugin.fireHook("command:memory", event);
+  assert.match(event.messages[0], /Only the owner/);
+  assert.equal(stub.requests.length, 0);
+});
+
+test("/memory export needs a listed owner, even when every sender resolves to userId", async () => {
+  plugin = registerPlugin({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0, ownerIds: ["telegram:1"] });
+  const exportAs = async (senderId) => {
+    const event = {
+      type: "command",
+      action: "memory",
+      sessionKey: "agent:main:telegram:group:1",
+      context: { commandBody: "/memory export", senderId, messageProvider: "telegram" },
+      messages: [],
+    };
+    await plugin.fireHook("command:memory", event);
+    return event.messages[0];
+  };
+  assert.match(await exportAs("2"), /Only the owner/);
+  assert.equal(stub.requests.length, 0);
+  assert.match(await exportAs("1"), /^Exported 0 facts/);
+});
+
+test("/memory stats and unknown subcommands reply without API calls", async () => {
+  assert.match(await command("/memory stats"), /Memory for this session: on\nSearches: \d+/);
+  assert.match(await command("/memory"), /^Usage: \/memory/);
+  assert.equal(stub.requests.length, 0);
+});
+
+test("failures are reported in chat and logged as command_error", async () => {
+  stub.inject({ path: "/search/memory", status: 500 });
+  assert.match(await command("/memory search x"), /^Memory command failed/);
+  assert.equal(getLogs("error", 1)[0].type, "command_error");
+});
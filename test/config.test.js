@@ -0,0 +1,78 @@
+import { OPENCLAW_DIR, TEMP_HOME } from "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, mkdirSync } from "node:fs";
+import { join } from "node:path";
+
+// Each import with a fresh query string gets its own module instance, so
+// the env-file cache inside memos-cloud-api.js starts empty every time.
+let instance = 0;
+async function freshApiModule() {
+  instance += 1;
+  return import(`../lib/memos-cloud-api.js?config-test=${instance}`);
+}
+
+test("without env files, process env is used and plugin config wins over it", async () => {
+  process.env.MEMOS_USER_ID = "from-process-env";
+  process.env.MEMOS_API_KEY = "process-key";
+  try {
+    const { buildConfig } = await freshApiModule();
+    const cfg = buildConfig({});
+    assert.equal(cfg.userId, "from-process-env");
+    assert.equal(cfg.apiKey, "process-key");
+    assert.equal(cfg.envFileStatus.found, false);
+
+    assert.equal(buildConfig({ userId: "from-plugin" }).userId, "from-plugin");
+  } finally {
+    delete process.env.MEMOS_USER_ID;
+    delete process.env.MEMOS_API_KEY;
+  }
+});
+
+test("env files take precedence over process env, in openclaw > moltbot > clawdbot order", async () => {
+  mkdirSync(join(TEMP_HOME, ".moltbot"), { recursive: true });
+  writeFileSync(join(OPENCLAW_DIR, ".env"), "MEMOS_USER_ID=openclaw-file\n# comment\n");
+  writeFileSync(join(TEMP_HOME, ".moltbot", ".env"), "MEMOS_USER_ID=moltbot-file\nMEMOS_API_KEY='moltbot-key'\n");
+  process.env.MEMOS_USER_ID = "from-process-env";
+  process.env.MEMOS_BASE_URL = "http://ignored-when-files-exist";
+  try {
+    const { buildConfig } = await freshApiModule();
+    const cfg = buildConfig({});
+    assert.equal(cfg.userId, "openclaw-file");
+    assert.equal(cfg.apiKey, "moltbot-key");
+    // Once any env file exists, process env is no longer consulted
+    assert.equal(cfg.baseUrl, "https://memos.memtensor.cn/api/openmem/v1");
+    assert.deepEqual(cfg.envFileStatus.sources, ["openclaw", "moltbot"]);
+
+    // Plugin config beats the files
+    assert.equal(buildConfig({ userId: "from-plugin", apiKey: "plugin-key" }).userId, "from-plugin");
+    assert.equal(buildConfig({ userId: "from-plugin", apiKey: "plugin-key" }).apiKey, "plugin-key");
+  } finally {
+    delete process.env.MEMOS_USER_ID;
+    delete process.env.MEMOS_BASE_URL;
+  }
+});
+
+test("buildConfig sanitises numeric limits and trims the base URL", async () => {
+  const { buildConfig } = await freshApiModule();
+  const cfg = buildConfig({
+    baseUrl: "http://localhost:1234/api///",
+    memoryLimitNumber: 500,
+    timeoutMs: -1,
+    dashboardPort: 99999,
+  });
+  assert.equal(cfg.baseUrl, "http://localhost:1234/api");
+  assert.equal(cfg.memoryLimitNumber, 100);
+  assert.equal(cfg.timeoutMs, 5000);
+  assert.equal(cfg.dashboardPort, 9898);
+  assert.equal(cfg.recallBudgetMs, 0, "the recall budget is off unless configured");
+});
+
+test("validateConfig rejects out-of-range dashboard values", async () => {
+  const { validateConfig } = await freshApiModule();
+  assert.equal(validateConfig({ memoryLimitNumber: 10, timeoutMs: 3000 }).valid, true);
+  const { valid, errors } = validateConfig({ dashboardPort: 80, timeoutMs: 100, captureStrategy: "bogus" });
+  assert.equal(valid, false);
+  assert.equal(errors.length, 3);
+});
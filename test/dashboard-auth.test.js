@@ -0,0 +1,63 @@
+import "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createHash } from "node:crypto";
+
+import { startDashboard } from "../lib/dashboard/server.js";
+import { resetAuthState } from "../lib/dashboard/auth.js";
+
+const TOKEN = "dashboard-test-token";
+const quiet = { info() {}, warn() {} };
+
+let server;
+let base;
+
+before(async () => {
+  server = startDashboard({ port: 0, token: TOKEN, log: quiet });
+  await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => resetAuthState());
+
+function login(token) {
+  return fetch(`${base}/api/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token }),
+  });
+}
+
+function stats(cookie) {
+  return fetch(`${base}/api/stats`, { headers: cookie ? { cookie } : {} });
+}
+
+test("each login gets its own random session, revoked on logout", async () => {
+  const cookieOf = (res) => res.headers.get("set-cookie").split(";")[0];
+  const first = cookieOf(await login(TOKEN));
+  const second = cookieOf(await login(TOKEN));
+  assert.notEqual(first, second);
+  const forged = `memos_dashboard=${createHash("sha256").update(`memos-dashboard:${TOKEN}`).digest("hex")}`;
+  assert.equal((await stats(forged)).status, 401);
+  assert.equal((await stats(first)).status, 200);
+
+  await fetch(`${base}/api/logout`, { method: "POST", headers: { cookie: first } });
+  assert.equal((await stats(first)).status, 401);
+  assert.equal((await stats(second)).status, 200);
+});
+
+test("repeated failed logins are throttled with Retry-After", async () => {
+  for (let i = 0; i < 5; i += 1) assert.equal((await login("wrong")).status, 401);
+  const blocked = await login(TOKEN);
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.headers.get("retry-after"), "1");
+  assert.equal((await blocked.json()).retryAfter, 1);
+
+  await new Promise((r) => setTimeout(r, 1050));
+  assert.equal((await login(TOKEN)).status, 200);
+  assert.equal((await login("wrong")).status, 401, "a successful login clears the failure count");
+});
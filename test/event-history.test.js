@@ -0,0 +1,116 @@
+import { OPENCLAW_DIR } from "./helpers/temp-home.js";
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, readdirSync, rmSync, statSync } from "node:fs";
+import { join } from "node:path";
+
+import { recordEvent } from "../lib/stats.js";
+import { initHistory, flushHistory, resetHistory, getHistory, histogramPercentile } from "../lib/event-history.js";
+
+const EVENTS_FILE = join(OPENCLAW_DIR, "memos-cloud-events.jsonl");
+const ROLLUPS_FILE = join(OPENCLAW_DIR, "memos-cloud-rollups.json");
+
+function clearFiles() {
+  for (const name of readdirSync(OPENCLAW_DIR)) {
+    if (name.startsWith("memos-cloud-events") || name.startsWith("memos-cloud-rollups")) rmSync(join(OPENCLAW_DIR, name));
+  }
+}
+
+beforeEach(() => {
+  resetHistory();
+  clearFiles();
+});
+
+afterEach(() => resetHistory());
+
+function recordSample() {
+  recordEvent("search", { durationMs: 80 });
+  recordEvent("search", { durationMs: 180 });
+  recordEvent("search", { durationMs: 900 });
+  recordEvent("search_error", { durationMs: 4000, error: "timeout" });
+  recordEvent("add", { durationMs: 250 });
+  recordEvent("heartbeat_filtered", {});
+}
+
+test("events are appended to the JSONL log and rolled up per hour and day", () => {
+  initHistory({});
+  recordSample();
+
+  const lines = readFileSync(EVENTS_FILE, "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.deepEqual(lines.map((l) => l.type), ["search", "search", "search", "search_error", "add", "heartbeat_filtered"]);
+  assert.equal(statSync(EVENTS_FILE).mode & 0o777, 0o600);
+
+  const day = getHistory("24h");
+  assert.equal(day.bucket, "hour");
+  assert.equal(day.points.length, 24);
+  const now = day.points[23];
+  assert.equal(now.calls, 5);
+  assert.equal(now.errors, 1);
+  assert.equal(now.heartbeats, 1);
+  assert.deepEqual(now.ops.search, { calls: 4, errors: 1, p50: 200, p95: 5000 });
+  assert.deepEqual(now.ops.add, { calls: 1, errors: 0, p50: 300, p95: 300 });
+  assert.equal(day.points[0].calls, 0, "empty hours are filled in");
+
+  const month = getHistory("30d");
+  assert.equal(month.bucket, "day");
+  assert.equal(month.points.length, 30);
+  assert.equal(month.points[29].calls, 5);
+  assert.equal(getHistory("bogus").range, "24h");
+});
+
+test("only the fields the charts need are written to disk", () => {
+  initHistory({});
+  recordEvent("search_error", {
+    durationMs: 40,
+    errorKind: "timeout",
+    promptPreview: "my password is hunter2",
+    query: "hunter2",
+    error: "MemosTimeoutError: hunter2",
+    debug: { prompt: "hunter2" },
+  });
+  const [line] = readFileSync(EVENTS_FILE, "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.deepEqual(Object.keys(line).sort(), ["durationMs", "errorKind", "timestamp", "type"]);
+  assert.ok(!readFileSync(EVENTS_FILE, "utf-8").includes("hunter2"));
+});
+
+test("roll-ups survive a restart and are rebuilt from the logs when lost", () => {
+  initHistory({});
+  recordSample();
+  flushHistory();
+  assert.ok(existsSync(ROLLUPS_FILE));
+
+  resetHistory();
+  initHistory({});
+  assert.equal(getHistory("7d").points[167].calls, 5);
+
+  resetHistory();
+  rmSync(ROLLUPS_FILE);
+  initHistory({});
+  assert.deepEqual(getHistory("24h").points[23].ops.search, { calls: 4, errors: 1, p50: 200, p95: 5000 });
+});
+
+test("the log rotates past the size limit and nothing is written when disabled", () => {
+  initHistory({ historyMaxFileMb: 0.001 });
+  for (let i = 0; i < 20; i += 1) recordEvent("add", { durationMs: 10, promptPreview: "x".repeat(90) });
+  const rotated = readdirSync(OPENCLAW_DIR).filter((n) => /^memos-cloud-events\..+\.jsonl$/.test(n));
+  assert.ok(rotated.length >= 1);
+  assert.ok(readFileSync(EVENTS_FILE, "utf-8").length <= 1024);
+
+  resetHistory();
+  rmSync(ROLLUPS_FILE, { force: true });
+  initHistory({});
+  assert.equal(getHistory("24h").points[23].calls, 20, "rotated files count when rebuilding");
+
+  resetHistory();
+  clearFiles();
+  initHistory({ historyEnabled: false });
+  recordEvent("search", { durationMs: 5 });
+  assert.ok(!existsSync(EVENTS_FILE));
+});
+
+test("percentiles are read from the latency histogram", () => {
+  assert.equal(histogramPercentile([], 0.5), null);
+  assert.equal(histogramPercentile([1, 0, 1], 0.5), 50);
+  assert.equal(histogramPercentile([1, 0, 1], 0.95), 200);
+});
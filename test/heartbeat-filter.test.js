@@ -0,0 +1,50 @@
+import "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { isHeartbeatEvent } from "../lib/heartbeat-filter.js";
+
+const cfg = { ignoreHeartbeats: true, heartbeatKeywords: ["HEARTBEAT_OK", "HEARTBEAT.md"] };
+
+test("returns false when heartbeat filtering is disabled", () => {
+  assert.equal(isHeartbeatEvent({ isHeartbeat: true }, {}, { ...cfg, ignoreHeartbeats: false }), false);
+});
+
+test("layer 1: explicit event and context properties", () => {
+  assert.equal(isHeartbeatEvent({ isHeartbeat: true }, {}, cfg), true);
+  assert.equal(isHeartbeatEvent({}, { isHeartbeat: true }, cfg), true);
+  assert.equal(isHeartbeatEvent({ type: "system_heartbeat" }, {}, cfg), true);
+  assert.equal(isHeartbeatEvent({ source: "heartbeat" }, {}, cfg), true);
+  assert.equal(isHeartbeatEvent({}, { messageProvider: "heartbeat" }, cfg), true);
+  assert.equal(isHeartbeatEvent({ metadata: { isHeartbeat: true } }, {}, cfg), true);
+});
+
+test("layer 2: keyword match on the prompt", () => {
+  assert.equal(isHeartbeatEvent({ prompt: "Read HEARTBEAT.md and reply" }, {}, cfg), true);
+  assert.equal(isHeartbeatEvent({ prompt: "What is on my calendar?" }, {}, cfg), false);
+});
+
+test("falls back to the default keywords when none are configured", () => {
+  assert.equal(isHeartbeatEvent({ prompt: "HEARTBEAT_OK" }, {}, { ignoreHeartbeats: true, heartbeatKeywords: [] }), true);
+});
+
+test("layer 3: only the last user message is scanned", () => {
+  const lastIsHeartbeat = {
+    messages: [
+      { role: "user", content: "hello" },
+      { role: "assistant", content: "hi" },
+      { role: "user", content: [{ type: "text", text: "check HEARTBEAT.md" }] },
+    ],
+  };
+  assert.equal(isHeartbeatEvent(lastIsHeartbeat, {}, cfg), true);
+
+  const earlierHeartbeat = {
+    messages: [
+      { role: "user", content: "check HEARTBEAT.md" },
+      { role: "assistant", content: "HEARTBEAT_OK" },
+      { role: "user", content: "now summarise my notes" },
+    ],
+  };
+  assert.equal(isHeartbeatEvent(earlierHeartbeat, {}, cfg), false);
+});
@@ -0,0 +1,68 @@
+/**
+ * Minimal fake of the OpenClaw plugin API handed to register().
+ * Records lifecycle handlers, internal hooks, tools and log output so tests can
+ * drive the plugin the way the gateway would.
+ */
+
+import plugin from "../../index.js";
+
+/**
+ * @param {object} pluginConfig
+ * @param {object} [extra] – extra fields merged into the api object (e.g. config)
+ */
+export function registerPlugin(pluginConfig = {}, extra = {}) {
+  const handlers = new Map();
+  const hooks = [];
+  const tools = new Map();
+  const logs = { info: [], warn: [], error: [] };
+
+  const api = {
+    pluginConfig: { dashboardEnabled: false, ...pluginConfig },
+    config: { hooks: { internal: { enabled: true } } },
+    logger: {
+      info: (msg) => logs.info.push(msg),
+      warn: (msg) => logs.warn.push(msg),
+      error: (msg) => logs.error.push(msg),
+    },
+    on(name, handler) {
+      handlers.set(name, handler);
+    },
+    registerHook(events, handler, meta) {
+      hooks.push({ events, handler, meta });
+    },
+    registerTool(factory, opts) {
+      tools.set(opts?.name, { factory, opts });
+    },
+    ...extra,
+  };
+
+  plugin.register(api);
+
+  return {
+    api,
+    handlers,
+    hooks,
+    tools,
+    logs,
+    /** Invoke a lifecycle handler as the gateway would. */
+    emit(name, event, ctx = {}) {
+      const handler = handlers.get(name);
+      if (!handler) throw new Error(`No handler registered for ${name}`);
+      return handler(event, ctx);
+    },
+    /** Run a registered tool as an agent would. */
+    callTool(name, params, ctx = {}) {
+      const entry = tools.get(name);
+      if (!entry) throw new Error(`No tool registered as ${name}`);
+      return entry.factory(ctx).execute("call-1", params);
+    },
+    /** Fire an internal hook event (e.g. command:new); resolves once async hooks finish. */
+    fireHook(eventName, event) {
+      const pending = [];
+      for (const hook of hooks) {
+        if (hook.events.includes(eventName)) pending.push(hook.handler(event));
+      }
+      return Promise.all(pending);
+    },
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Local stand-in for the MemOS Cloud API.
+ *
+ * Implements POST /search/memory, /get/memory, /add/message and /delete/memory on 127.0.0.1
+ * with an in-memory store: added user messages come back as facts on search,
+ * and seeded `preferences` are listed by /get/memory when include_preference is set.
+ * Faults (status codes, delays, dropped connections) can be injected per path.
+ */
+
+import { createServer } from "node:http";
+
+/**
+ * @typedef {object} Fault
+ * @property {string} [path]     – only match this path (default: any)
+ * @property {number} [status]   – respond with this HTTP status
+ * @property {object} [body]     – JSON body for the faulty response
+ * @property {object} [headers]  – extra response headers (e.g. Retry-After)
+ * @property {number} [delayMs]  – wait before responding
+ * @property {boolean} [drop]    – destroy the socket (network error)
+ * @property {number} [times]    – how many requests this fault applies to (default 1)
+ */
+
+export async function startMemosStub() {
+  /** @type {Array<{path: string, body: object, headers: object}>} */
+  const requests = [];
+  /** @type {Array<Fault & {times: number}>} */
+  const faults = [];
+  /** @type {Array<{id: string, memory_value: string, create_time: number, conversation_id: string, user_id: string}>} */
+  const memories = [];
+  /** @type {Array<{id: string, preference: string, user_id: string}>} */
+  const preferences = [];
+  let nextMemoryId = 1;
+  let searchOverride = null;
+
+  function takeFault(path) {
+    const idx = faults.findIndex((f) => !f.path || f.path === path);
+    if (idx === -1) return null;
+    const fault = faults[idx];
+    fault.times -= 1;
+    if (fault.times <= 0) faults.splice(idx, 1);
+    return fault;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function handle(path, body) {
+    if (path === "/add/message") {
+      for (const msg of body.messages ?? []) {
+        if (msg.role !== "user") continue;
+        memories.push({
+          id: `mem-${nextMemoryId++}`,
+          memory_value: msg.content,
+          create_time: Date.now(),
+          conversation_id: body.conversation_id,
+          user_id: body.user_id,
+          tags: body.tags ?? [],
+        });
+      }
+      return { code: 0, message: "ok", data: { success: true } };
+    }
+
+    if (path === "/delete/memory") {
+      const ids = new Set(body.memory_ids ?? []);
+      for (let i = memories.length - 1; i >= 0; i -= 1) {
+        if (ids.has(memories[i].id) && memories[i].user_id === body.user_id) memories.splice(i, 1);
+      }
+      return { code: 0, message: "ok", data: { success: true } };
+    }
+
+    if (path === "/get/memory") {
+      const mine = memories
+        .filter((m) => m.user_id === body.user_id)
+        .filter((m) => !body.conversation_id || m.conversation_id === body.conversation_id);
+      const size = body.page_size ?? 20;
+      const start = ((body.page ?? 1) - 1) * size;
+      const prefs = body.include_preference ? preferences.filter((p) => p.user_id === body.user_id).slice(start, start + size) : [];
+      return {
+        code: 0,
+        message: "ok",
+        data: { memory_detail_list: mine.slice(start, start + size), preference_detail_list: prefs, total: mine.length },
+      };
+    }
+
+    if (path === "/search/memory") {
+      if (searchOverride) return searchOverride;
+      const matching = memories
+        .filter((m) => m.user_id === body.user_id)
+        .filter((m) => !body.conversation_id || m.conversation_id === body.conversation_id)
+        .slice(-(body.memory_limit_number ?? 6));
+      return {
+        code: 0,
+        message: "ok",
+        data: { memory_detail_list: matching, preference_detail_list: [] },
+      };
+    }
+
+    return null;
+  }
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const path = req.url.split("?")[0];
+      let body = {};
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString() || "{}");
+      } catch { /* keep empty */ }
+      requests.push({ path, body, headers: req.headers });
+
+      const fault = takeFault(path);
+      if (fault?.delayMs) await new Promise((r) => setTimeout(r, fault.delayMs));
+      if (fault?.drop) {
+        req.socket.destroy();
+        return;
+      }
+      if (fault?.status) {
+        send(res, fault.status, fault.body ?? { code: fault.status, message: "injected fault" }, fault.headers);
+        return;
+      }
+
+      const result = handle(path, body);
+      if (!result) {
+        send(res, 404, { code: 404, message: "not found" });
+        return;
+      }
+      send(res, 200, result);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    memories,
+    preferences,
+    /** @param {Fault} fault */
+    inject(fault) {
+      faults.push({ times: 1, ...fault });
+    },
+    /** Force the /search/memory response body (null restores the store-backed one). */
+    setSearchResponse(response) {
+      searchOverride = response;
+    },
+    requestsTo(path) {
+      return requests.filter((r) => r.path === path);
+    },
+    reset() {
+      requests.length = 0;
+      faults.length = 0;
+      memories.length = 0;
+      preferences.length = 0;
+      nextMemoryId = 1;
+      searchOverride = null;
+    },
+    close() {
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Local stand-in for an OpenTelemetry collector's OTLP/HTTP receiver.
+ *
+ * Accepts POST /v1/traces with JSON bodies and keeps every exported span,
+ * with its attributes flattened to a plain object. `status` makes it answer
+ * with an error instead.
+ */
+
+import { createServer } from "node:http";
+
+function attributeValue(value) {
+  if ("intValue" in value) return Number(value.intValue);
+  if ("doubleValue" in value) return value.doubleValue;
+  if ("boolValue" in value) return value.boolValue;
+  return value.stringValue;
+}
+
+export function flattenAttributes(list = []) {
+  return Object.fromEntries(list.map(({ key, value }) => [key, attributeValue(value)]));
+}
+
+export async function startOtlpCollector() {
+  /** @type {Array<{path: string, headers: object, body: object}>} */
+  const requests = [];
+  /** @type {Array<object>} spans with `attributes` flattened and `resource` attached */
+  const spans = [];
+  let status = 200;
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      let body = {};
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString() || "{}");
+      } catch { /* keep empty */ }
+      requests.push({ path: req.url, headers: req.headers, body });
+
+      if (status === 200 && req.url === "/v1/traces") {
+        for (const rs of body.resourceSpans ?? []) {
+          const resource = flattenAttributes(rs.resource?.attributes);
+          for (const ss of rs.scopeSpans ?? []) {
+            for (const span of ss.spans ?? []) {
+              spans.push({ ...span, attributes: flattenAttributes(span.attributes), resource, scope: ss.scope?.name });
+            }
+          }
+        }
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end("{}");
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    spans,
+    /** Answer every request with this HTTP status (200 to accept again). */
+    setStatus(code) {
+      status = code;
+    },
+    /** First span with this name. */
+    span(name) {
+      return spans.find((s) => s.name === name);
+    },
+    reset() {
+      requests.length = 0;
+      spans.length = 0;
+      status = 200;
+    },
+    close() {
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
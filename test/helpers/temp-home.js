@@ -0,0 +1,22 @@
+/**
+ * Point HOME at a throwaway directory before any plugin module is loaded,
+ * so state files (~/.openclaw/...) never touch the real home directory.
+ * Import this first in every test file.
+ */
+
+import { mkdtempSync, mkdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+export const TEMP_HOME = mkdtempSync(join(tmpdir(), "memos-plugin-test-"));
+export const OPENCLAW_DIR = join(TEMP_HOME, ".openclaw");
+
+process.env.HOME = TEMP_HOME;
+process.env.USERPROFILE = TEMP_HOME;
+mkdirSync(OPENCLAW_DIR, { recursive: true });
+process.on("exit", () => rmSync(TEMP_HOME, { recursive: true, force: true }));
+
+// Keep the developer's own MemOS settings out of the tests.
+for (const key of Object.keys(process.env)) {
+  if (key.startsWith("MEMOS_")) delete process.env[key];
+}
@@ -0,0 +1,328 @@
+import { OPENCLAW_DIR } from "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { statSync } from "node:fs";
+import { join } from "node:path";
+
+import { USER_QUERY_MARKER } from "../lib/memos-cloud-api.js";
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { clearRecallCache } from "../lib/recall-cache.js";
+import { dropOutbox, getOutboxStatus, replayOutbox } from "../lib/outbox.js";
+import { getLogs } from "../lib/stats.js";
+import { getInspection, replayInspection } from "../lib/recall-inspector.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+import { registerPlugin } from "./helpers/fake-api.js";
+
+let stub;
+
+before(async () => {
+  stub = await startMemosStub();
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  clearRecallCache();
+  dropOutbox();
+});
+
+function setup(overrides = {}) {
+  return registerPlugin({
+    apiKey: "test-key",
+    baseUrl: stub.url,
+    userId: "tester",
+    timeoutMs: 500,
+    retries: 1,
+    ...overrides,
+  });
+}
+
+const ctx = { sessionKey: "agent:main:chat-1", agentId: "main" };
+
+function turn(user, assistant = "noted") {
+  return {
+    success: true,
+    messages: [
+      { role: "user", content: user },
+      { role: "assistant", content: [{ type: "text", text: assistant }] },
+    ],
+  };
+}
+
+test("agent_end adds the last turn and before_agent_start recalls it", async () => {
+  const plugin = setup();
+
+  await plugin.emit("agent_end", turn("My favourite editor is Helix"), ctx);
+  const [add] = stub.requestsTo("/add/message");
+  assert.equal(add.body.user_id, "tester");
+  assert.equal(add.body.conversation_id, "agent:main:chat-1");
+  assert.equal(add.body.source, "openclaw");
+  assert.deepEqual(add.body.messages, [
+    { role: "user", content: "My favourite editor is Helix" },
+    { role: "assistant", content: "noted" },
+  ]);
+
+  const result = await plugin.emit("before_agent_start", { prompt: "Which editor do I use?" }, ctx);
+  const [search] = stub.requestsTo("/search/memory");
+  assert.equal(search.body.query, "Which editor do I use?");
+  assert.equal(search.body.conversation_id, undefined, "recallGlobal omits conversation_id");
+  assert.match(result.prependContext, /My favourite editor is Helix/);
+  assert.ok(result.prependContext.endsWith(USER_QUERY_MARKER));
+});
+
+test("the injected prompt is stripped from the captured user message", async () => {
+  const plugin = setup();
+  const injected = `# Role\n...memories...\n${USER_QUERY_MARKER}real question`;
+  await plugin.emit("agent_end", turn(injected), ctx);
+  assert.equal(stub.requestsTo("/add/message")[0].body.messages[0].content, "real question");
+});
+
+test("secrets are redacted before the add request and counted in the log", async () => {
+  const plugin = setup();
+  await plugin.emit("agent_end", turn("my key is sk-abcdefghijklmnopqrstuvwxyz123456"), ctx);
+  const [add] = stub.requestsTo("/add/message");
+  assert.equal(add.body.messages[0].content, "my key is [REDACTED:openai_key]");
+  assert.deepEqual(getLogs("normal", 1)[0].redactions, { openai_key: 1 });
+});
+
+test("incremental capture catches up on throttled turns and survives compaction", async () => {
+  const plugin = setup({ captureStrategy: "incremental", throttleMs: 100 });
+  const incCtx = { sessionKey: "agent:main:incremental", agentId: "main" };
+  const history = [...turn("q1", "a1").messages];
+  const sent = () => stub.requestsTo("/add/message").map((r) => r.body.messages.map((m) => m.content));
+  await new Promise((r) => setTimeout(r, 120)); // clear the throttle left by earlier tests
+
+  await plugin.emit("agent_end", { success: true, messages: history }, incCtx);
+  history.push(...turn("q2", "a2").messages);
+  await plugin.emit("agent_end", { success: true, messages: history }, incCtx); // throttled
+  await new Promise((r) => setTimeout(r, 120));
+  history.push(...turn("q3", "a3").messages);
+  await plugin.emit("agent_end", { success: true, messages: history }, incCtx);
+  assert.deepEqual(sent(), [["q1", "a1"], ["q2", "a2", "q3", "a3"]]);
+
+  await new Promise((r) => setTimeout(r, 120));
+  const compacted = [{ role: "user", content: "summary of q1-q2" }, ...history.slice(4), ...turn("q4", "a4").messages];
+  await plugin.emit("agent_end", { success: true, messages: compacted }, incCtx);
+  assert.deepEqual(sent()[2], ["q4", "a4"]);
+});
+
+test("incremental capture discards a slice the API rejects instead of resending it", async () => {
+  const plugin = setup({ captureStrategy: "incremental", throttleMs: 0 });
+  const incCtx = { sessionKey: "agent:main:rejected", agentId: "main" };
+  const history = [...turn("q1", "a1").messages];
+  const sent = () => stub.requestsTo("/add/message").map((r) => r.body.messages.map((m) => m.content));
+
+  stub.inject({ path: "/add/message", status: 413, body: { code: 413, message: "too large" } });
+  await plugin.emit("agent_end", { success: true, messages: history }, incCtx);
+  assert.equal(getLogs("error", 1)[0].promptPreview, "2 messages discarded");
+  assert.ok(plugin.logs.warn.some((m) => m.includes("2 messages discarded")));
+  assert.equal(getOutboxStatus().depth, 0);
+
+  history.push(...turn("q2", "a2").messages);
+  await plugin.emit("agent_end", { success: true, messages: history }, incCtx);
+  assert.deepEqual(sent(), [["q1", "a1"], ["q2", "a2"]]);
+});
+
+test("an add rejected for auth is queued for a fixed key, or dropped with a warning without the outbox", async () => {
+  const incCtx = { sessionKey: "agent:main:auth", agentId: "main" };
+  stub.inject({ path: "/add/message", status: 401, body: { code: 40100, message: "bad key" } });
+  await setup({ outboxRetryBaseMs: 60_000 }).emit("agent_end", turn("keep me"), incCtx);
+  assert.equal(getOutboxStatus().depth, 1);
+  dropOutbox();
+
+  const plugin = setup({ outboxEnabled: false });
+  stub.inject({ path: "/add/message", status: 401, body: { code: 40100, message: "bad key" } });
+  await plugin.emit("agent_end", turn("lost"), incCtx);
+  assert.equal(getOutboxStatus().depth, 0);
+  assert.ok(plugin.logs.warn.some((m) => m.includes("add rejected (auth): 2 messages discarded")));
+});
+
+test("the recall cache is not shared across MemOS servers", async () => {
+  const other = await startMemosStub();
+  try {
+    await setup().emit("before_agent_start", { prompt: "Which editor do I use?" }, ctx);
+    await setup({ baseUrl: other.url }).emit("before_agent_start", { prompt: "Which editor do I use?" }, ctx);
+    assert.equal(stub.requestsTo("/search/memory").length, 1);
+    assert.equal(other.requestsTo("/search/memory").length, 1);
+    assert.equal(getLogs("normal", 1)[0].cache, "miss");
+  } finally {
+    await other.close();
+  }
+});
+
+test("routing rules send a matching agent's memories elsewhere and tag the log", async () => {
+  const plugin = setup({
+    routingRules: [{ name: "support", match: { agentId: "support" }, overrides: { userId: "support_users", tags: ["support"] } }],
+  });
+  await plugin.emit("agent_end", turn("ticket about billing"), { sessionKey: "agent:support:t1", agentId: "support" });
+  const [add] = stub.requestsTo("/add/message");
+  assert.equal(add.body.user_id, "support_users");
+  assert.deepEqual(add.body.tags, ["support"]);
+  assert.equal(getLogs("normal", 1)[0].route, "support");
+
+  await plugin.emit("before_agent_start", { prompt: "hello from main" }, ctx);
+  assert.equal(stub.requestsTo("/search/memory")[0].body.user_id, "tester");
+  assert.equal(getLogs("normal", 1)[0].route, null);
+});
+
+test("sender identity gives each group member their own user_id", async () => {
+  const plugin = setup({ identityMode: "sender", identityAliases: { "telegram:2": "bob" } });
+  const groupCtx = { sessionKey: "agent:main:telegram:group:1", messageProvider: "telegram" };
+  const from = (id, text) => `Sender (untrusted metadata):\n\`\`\`json\n{ "id": "${id}" }\n\`\`\`\n${text}`;
+
+  await plugin.emit("before_agent_start", { prompt: from("1", "what do I like?") }, groupCtx);
+  await plugin.emit("agent_end", turn(from("2", "I like jazz")), groupCtx);
+  assert.equal(stub.requestsTo("/search/memory")[0].body.user_id, "telegram:1");
+  assert.equal(stub.requestsTo("/add/message")[0].body.user_id, "bob");
+});
+
+test("multi-query recall merges sub-query results and logs the strategy", async () => {
+  const plugin = setup({ queryStrategy: "multi" });
+  await plugin.emit("agent_end", turn("Deploys go through the Jenkins pipeline"), ctx);
+
+  const event = { prompt: "how do we ship it?", messages: turn("Question about Jenkins deploys").messages };
+  const result = await plugin.emit("before_agent_start", event, ctx);
+  const queries = stub.requestsTo("/search/memory").map((r) => r.body.query);
+  assert.equal(queries.length, 3);
+  assert.equal(queries[0], "how do we ship it?");
+  assert.equal(result.prependContext.match(/Jenkins pipeline/g).length, 1, "deduplicated");
+
+  const [entry] = getLogs("normal", 1);
+  assert.equal(entry.strategy, "multi");
+  assert.equal(entry.query, queries.join(" | "));
+});
+
+test("low-score and duplicate memories are left out and logged", async () => {
+  const plugin = setup({ recallMinScore: 0.5 });
+  stub.setSearchResponse({
+    code: 0,
+    data: {
+      memory_detail_list: [
+        { id: "m1", memory_value: "Prefers dark mode", relativity: 0.9 },
+        { id: "m2", memory_value: "prefers dark mode!", relativity: 0.8 },
+        { id: "m3", memory_value: "Once mentioned the weather", relativity: 0.1 },
+      ],
+      preference_detail_list: [],
+    },
+  });
+  const result = await plugin.emit("before_agent_start", { prompt: "which theme do I like?" }, ctx);
+  stub.setSearchResponse(null);
+
+  assert.equal(result.prependContext.match(/dark mode/gi).length, 1);
+  assert.doesNotMatch(result.prependContext, /weather/);
+  const [entry] = getLogs("normal", 1);
+  assert.equal(entry.dropped.count, 2);
+  assert.deepEqual(entry.dropped.items.map((d) => d.reason).sort(), ["duplicate", "low_score"]);
+});
+
+test("the recall inspector keeps the payload, raw items and injected context, and replays", async () => {
+  const plugin = setup({ recallInspectorEnabled: true });
+  await plugin.emit("agent_end", turn("I deploy on Fridays"), ctx);
+  const result = await plugin.emit("before_agent_start", { prompt: "when do I deploy?" }, ctx);
+
+  const [entry] = getLogs("normal", 1);
+  assert.equal(entry.inspected, true);
+  const details = getInspection(entry.id, { recallInspectorMaxEntries: 50 });
+  assert.equal(details.payloads[0].query, "when do I deploy?");
+  assert.equal(details.items[0].text, "I deploy on Fridays");
+  assert.equal(details.items[0].id, "mem-1");
+  assert.equal(details.prependContext, result.prependContext);
+
+  const replay = await replayInspection(entry.id, { recallInspectorMaxEntries: 50 });
+  assert.equal(stub.requestsTo("/search/memory").length, 2);
+  assert.equal(replay.items[0].text, "I deploy on Fridays");
+});
+
+test("heartbeats never reach the API", async () => {
+  const plugin = setup();
+  await plugin.emit("before_agent_start", { prompt: "Read HEARTBEAT.md" }, ctx);
+  await plugin.emit("agent_end", turn("HEARTBEAT_OK"), ctx);
+  assert.equal(stub.requests.length, 0);
+  assert.equal(getLogs("heartbeat", 2).length, 2);
+});
+
+test("a missing API key warns and skips both calls", async () => {
+  const plugin = setup({ apiKey: "" });
+  await plugin.emit("before_agent_start", { prompt: "anything at all" }, ctx);
+  await plugin.emit("agent_end", turn("hello"), ctx);
+  assert.equal(stub.requests.length, 0);
+  assert.ok(plugin.logs.warn.some((m) => m.includes("Missing MEMOS_API_KEY")));
+});
+
+test("transient add failures are retried within the call", async () => {
+  const plugin = setup({ retries: 2 });
+  stub.inject({ path: "/add/message", status: 502, times: 2 });
+  await plugin.emit("agent_end", turn("retry me"), ctx);
+  assert.equal(stub.requestsTo("/add/message").length, 3);
+  assert.equal(stub.memories.length, 1);
+  assert.equal(getOutboxStatus().depth, 0);
+});
+
+test("an add that keeps failing is queued and replayed once the API recovers", async () => {
+  const plugin = setup({ retries: 0, outboxRetryBaseMs: 50 });
+  stub.inject({ path: "/add/message", drop: true });
+  await plugin.emit("agent_end", turn("queued while offline"), ctx);
+  assert.equal(getOutboxStatus().depth, 1);
+
+  await new Promise((r) => setTimeout(r, 150));
+  assert.equal(getOutboxStatus().depth, 0);
+  assert.equal(stub.memories[0].memory_value, "queued while offline");
+});
+
+test("while the outbox holds entries, new adds queue behind them and drain in order", async () => {
+  const plugin = setup({ retries: 0, outboxRetryBaseMs: 100 });
+  stub.inject({ path: "/add/message", drop: true });
+  await plugin.emit("agent_end", turn("first"), ctx);
+  assert.equal(getOutboxStatus().depth, 1);
+
+  // The head is still backing off: the new turn waits behind it instead of overtaking it.
+  await plugin.emit("agent_end", turn("second"), ctx);
+  assert.equal(getOutboxStatus().depth, 2);
+  assert.equal(stub.requestsTo("/add/message").length, 1);
+
+  await new Promise((r) => setTimeout(r, 250));
+  assert.equal(getOutboxStatus().depth, 0);
+  assert.deepEqual(stub.memories.map((m) => m.memory_value), ["first", "second"]);
+});
+
+test("a queued add the API rejects for good is dropped instead of blocking the outbox", async () => {
+  const plugin = setup({ retries: 0, outboxRetryBaseMs: 60_000 });
+  stub.inject({ path: "/add/message", drop: true });
+  await plugin.emit("agent_end", turn("first"), ctx);
+  await plugin.emit("agent_end", turn("second"), ctx);
+  assert.equal(getOutboxStatus().depth, 2);
+  assert.equal(statSync(join(OPENCLAW_DIR, "memos-cloud-outbox.json")).mode & 0o777, 0o600);
+
+  stub.inject({ path: "/add/message", status: 400, body: { code: 400, message: "bad payload" } });
+  assert.deepEqual(await replayOutbox({ force: true }), { sent: 1, remaining: 0 });
+  assert.deepEqual(stub.memories.map((m) => m.memory_value), ["second"]);
+  const dropped = getLogs("all", 10).find((l) => l.type === "outbox_dropped");
+  assert.equal(dropped.errorKind, "client");
+  assert.match(dropped.promptPreview, /rejected/);
+});
+
+test("recall past the budget starts without memory, then reuses the background result", async () => {
+  const plugin = setup({ recallBudgetMs: 100, recallCacheEnabled: false });
+  stub.setSearchResponse({ data: { memory_detail_list: [{ memory_value: "User lives in Lyon" }] } });
+  stub.inject({ path: "/search/memory", delayMs: 300 });
+
+  const first = await plugin.emit("before_agent_start", { prompt: "Where do I live?" }, ctx);
+  assert.equal(first, undefined);
+
+  await new Promise((r) => setTimeout(r, 300));
+  stub.inject({ path: "/search/memory", delayMs: 300 });
+  const second = await plugin.emit("before_agent_start", { prompt: "Where do I live again?" }, ctx);
+  assert.match(second.prependContext, /User lives in Lyon/);
+  assert.equal(getLogs("all", 10).find((l) => l.type === "search_budget_exceeded").recall, "stale");
+});
+
+test("recall errors fall back quietly without breaking the run", async () => {
+  const plugin = setup({ retries: 0 });
+  stub.inject({ path: "/search/memory", status: 500 });
+  const result = await plugin.emit("before_agent_start", { prompt: "what's new?" }, ctx);
+  assert.equal(result, undefined);
+  assert.equal(getLogs("error", 1)[0].errorKind, "server");
+});
@@ -0,0 +1,160 @@
+import { TEMP_HOME } from "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+
+import { buildConfig, validateConfig } from "../lib/memos-cloud-api.js";
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { clearRecallCache } from "../lib/recall-cache.js";
+import { getBackend, hasBackendCredentials } from "../lib/backends/index.js";
+import { localBackend, flushLocalStores, resetLocalStores, tokenize } from "../lib/backends/local.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+import { registerPlugin } from "./helpers/fake-api.js";
+
+const STORE = join(TEMP_HOME, "local-store.json");
+const cfg = buildConfig({ backend: "local", localStorePath: STORE, userId: "tester" });
+
+let stub;
+
+before(async () => {
+  stub = await startMemosStub();
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  clearRecallCache();
+  resetLocalStores();
+  rmSync(STORE, { force: true });
+});
+
+function add(messages, extra = {}) {
+  return localBackend.add(cfg, { user_id: "tester", conversation_id: "c1", messages, ...extra });
+}
+
+function search(query, extra = {}) {
+  return localBackend.search(cfg, { user_id: "tester", query, memory_limit_number: 5, ...extra });
+}
+
+test("backend selection and credentials", () => {
+  assert.equal(getBackend({}).name, "cloud");
+  assert.equal(getBackend({ backend: "local" }).name, "local");
+  assert.equal(hasBackendCredentials({ backend: "cloud", apiKey: "" }), false);
+  assert.equal(hasBackendCredentials({ backend: "local" }), true);
+  assert.equal(hasBackendCredentials({ backend: "self_hosted" }), true);
+  assert.deepEqual(validateConfig({ backend: "sqlite" }).errors, ["Backend de mémoire inconnu."]);
+});
+
+test("tokenize splits words and CJK bigrams", () => {
+  assert.deepEqual(tokenize("Uses Helix, a editor!"), ["uses", "helix", "editor"]);
+  assert.deepEqual(tokenize("我喜欢茶"), ["我喜", "喜欢", "欢茶"]);
+});
+
+test("search ranks by BM25 and reports absolute scores", async () => {
+  await add([{ role: "user", content: "My favourite editor is Helix" }]);
+  await add([{ role: "user", content: "I drink green tea every morning" }]);
+  await add([{ role: "user", content: "Helix keybindings: helix is modal, like Kakoune" }]);
+  await add([{ role: "assistant", content: "Helix is a good choice" }]);
+
+  const out = await search("which editor, helix?");
+  const list = out.data.memory_detail_list;
+  assert.equal(out.code, 0);
+  assert.equal(list[0].memory_value, "My favourite editor is Helix");
+  assert.ok(list.every((m, i) => m.relativity > 0 && m.relativity < 1 && (i === 0 || m.relativity <= list[i - 1].relativity)));
+
+  // A weak best match stays weak, so recallMinScore can still drop it.
+  const weak = (await search("is")).data.memory_detail_list;
+  assert.ok(weak[0].relativity < 0.3);
+  assert.ok(weak[0].relativity < list[0].relativity);
+  assert.ok(list.some((m) => m.memory_value === "[assistant观点] Helix is a good choice"));
+  assert.ok(!list.some((m) => /tea/.test(m.memory_value)));
+
+  assert.equal((await search("helix", { user_id: "someone-else" })).data.memory_detail_list.length, 0);
+  assert.equal((await search("helix", { conversation_id: "c2" })).data.memory_detail_list.length, 0);
+});
+
+test("tool messages are tool memories, returned only on request", async () => {
+  await add([{ role: "tool", content: "git status: clean" }]);
+  assert.equal((await search("git status")).data.tool_memory_detail_list.length, 0);
+  const out = await search("git status", { include_tool_memory: true });
+  assert.equal(out.data.memory_detail_list.length, 0);
+  assert.equal(out.data.tool_memory_detail_list[0].tool_value, "git status: clean");
+});
+
+test("re-sent text is refreshed, not duplicated, and the store is capped", async () => {
+  await add([{ role: "user", content: "Lives in Lyon" }]);
+  await add([{ role: "user", content: "Lives in Lyon" }]);
+  const listed = await localBackend.list(cfg, { user_id: "tester", page: 1, page_size: 10 });
+  assert.equal(listed.data.total, 1);
+
+  const small = { ...cfg, localMaxMemories: 2 };
+  for (const text of ["one fact", "two fact", "three fact"]) {
+    await localBackend.add(small, { user_id: "tester", messages: [{ role: "user", content: text }] });
+  }
+  const kept = await localBackend.list(small, { user_id: "tester", page: 1, page_size: 10 });
+  assert.deepEqual(kept.data.memory_detail_list.map((m) => m.memory_value).sort(), ["three fact", "two fact"]);
+});
+
+test("list pages newest first, delete is per user, and the file survives a restart", async () => {
+  await add([{ role: "user", content: "first" }]);
+  await add([{ role: "user", content: "second" }]);
+  await localBackend.add(cfg, { user_id: "other", messages: [{ role: "user", content: "not mine" }] });
+
+  const ids = (await localBackend.list(cfg, { user_id: "tester", page: 1, page_size: 10 })).data.memory_detail_list.map((m) => m.id);
+  assert.equal(ids.length, 2);
+  const page2 = await localBackend.list(cfg, { user_id: "tester", page: 2, page_size: 1 });
+  assert.equal(page2.data.memory_detail_list.length, 1);
+
+  const otherId = (await localBackend.list(cfg, { user_id: "other" })).data.memory_detail_list[0].id;
+  const out = await localBackend.delete(cfg, { user_id: "tester", memory_ids: [ids[0], otherId] });
+  assert.equal(out.data.deleted, 1);
+
+  assert.ok(existsSync(STORE));
+  resetLocalStores();
+  assert.equal((await localBackend.list(cfg, { user_id: "tester" })).data.total, 1);
+  assert.equal((await localBackend.list(cfg, { user_id: "other" })).data.total, 1);
+});
+
+test("adds are batched into one write and dedupe survives a reload", async () => {
+  for (let i = 0; i < 5; i += 1) await add([{ role: "user", content: `fact ${i}` }]);
+  assert.equal(existsSync(STORE), false);
+
+  flushLocalStores();
+  assert.equal(JSON.parse(readFileSync(STORE, "utf-8")).memories.length, 5);
+
+  resetLocalStores();
+  assert.equal((await add([{ role: "user", content: "fact 3" }])).data.added, 0);
+  assert.equal((await add([{ role: "tool", content: "fact 3" }])).data.added, 1);
+  resetLocalStores();
+  assert.equal((await localBackend.list(cfg, { user_id: "tester" })).data.total, 6);
+});
+
+test("the plugin captures and recalls through the local backend without an API key", async () => {
+  const plugin = registerPlugin({ backend: "local", localStorePath: STORE, userId: "tester", apiKey: "" });
+  const ctx = { sessionKey: "agent:main:chat-1", agentId: "main" };
+
+  await plugin.emit(
+    "agent_end",
+    { success: true, messages: [{ role: "user", content: "My favourite editor is Helix" }, { role: "assistant", content: "noted" }] },
+    ctx,
+  );
+  const result = await plugin.emit("before_agent_start", { prompt: "Which editor do I use?" }, ctx);
+  assert.match(result.prependContext, /My favourite editor is Helix/);
+  assert.equal(stub.requests.length, 0);
+  assert.ok(!plugin.logs.warn.some((m) => m.includes("Missing MEMOS_API_KEY")));
+});
+
+test("the self-hosted backend calls its own URL, with no token unless one is set", async () => {
+  const selfHosted = buildConfig({ backend: "self_hosted", selfHostedUrl: stub.url, userId: "tester", retries: 0 });
+  await getBackend(selfHosted).search(selfHosted, { user_id: "tester", query: "x" });
+  const [open] = stub.requestsTo("/search/memory");
+  assert.equal(open.headers.authorization, undefined);
+
+  const withToken = { ...selfHosted, selfHostedApiKey: "local-token" };
+  await getBackend(withToken).search(withToken, { user_id: "tester", query: "x" });
+  assert.equal(stub.requestsTo("/search/memory")[1].headers.authorization, "Token local-token");
+});
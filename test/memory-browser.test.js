@@ -0,0 +1,82 @@
+import "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildConfig } from "../lib/memos-cloud-api.js";
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { getLogs } from "../lib/stats.js";
+import { browseMemories, deleteMemories, filterMemories, normalizeMemory } from "../lib/dashboard/memory-browser.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+
+let stub;
+let cfg;
+
+before(async () => {
+  stub = await startMemosStub();
+  cfg = buildConfig({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0 });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  const seed = [
+    ["mem-a", "Lives in Lyon", "c1", ["profile"], Date.UTC(2026, 0, 5)],
+    ["mem-b", "Prefers tea", "c1", ["profile", "food"], Date.UTC(2026, 1, 10)],
+    ["mem-c", "Wrong fact about Paris", "c2", [], Date.UTC(2026, 2, 1)],
+  ];
+  for (const [id, text, conversation, tags, time] of seed) {
+    stub.memories.push({ id, memory_value: text, conversation_id: conversation, tags, create_time: time, user_id: "tester" });
+  }
+  stub.memories.push({ id: "mem-x", memory_value: "someone else", user_id: "other", tags: [] });
+});
+
+test("listing pages through /get/memory for the configured user", async () => {
+  const page1 = await browseMemories(cfg, { pageSize: 2 });
+  assert.equal(page1.mode, "list");
+  assert.equal(page1.total, 3);
+  assert.deepEqual(page1.memories.map((m) => m.id), ["mem-a", "mem-b"]);
+  const page2 = await browseMemories(cfg, { pageSize: 2, page: 2 });
+  assert.deepEqual(page2.memories.map((m) => m.id), ["mem-c"]);
+  assert.deepEqual(stub.requestsTo("/get/memory")[1].body, { user_id: "tester", page: 2, page_size: 2 });
+
+  const other = await browseMemories(cfg, { userId: "other" });
+  assert.deepEqual(other.memories.map((m) => m.text), ["someone else"]);
+});
+
+test("conversation, tag and date filters narrow the results", async () => {
+  const c1 = await browseMemories(cfg, { conversationId: "c1" });
+  assert.deepEqual(c1.memories.map((m) => m.id), ["mem-a", "mem-b"]);
+  const food = await browseMemories(cfg, { tags: ["FOOD"] });
+  assert.deepEqual(food.memories.map((m) => m.id), ["mem-b"]);
+  const feb = await browseMemories(cfg, { from: "2026-02-01", to: "2026-02-10" });
+  assert.deepEqual(feb.memories.map((m) => m.id), ["mem-b"]);
+});
+
+test("a free-text query goes through /search/memory", async () => {
+  const found = await browseMemories(cfg, { query: "where do I live", pageSize: 5 });
+  assert.equal(found.mode, "search");
+  const [search] = stub.requestsTo("/search/memory");
+  assert.equal(search.body.query, "where do I live");
+  assert.equal(search.body.memory_limit_number, 5);
+  assert.equal(search.body.include_preference, false);
+  assert.equal(found.memories.length, 3);
+});
+
+test("bulk delete removes the memories and is logged", async () => {
+  const out = await deleteMemories(cfg, { ids: ["mem-a", "mem-c"] });
+  assert.deepEqual(out, { userId: "tester", deleted: 2 });
+  assert.deepEqual(stub.memories.map((m) => m.id), ["mem-b", "mem-x"]);
+  const [entry] = getLogs("all", 1);
+  assert.equal(entry.type, "memory_delete");
+  assert.equal(entry.promptPreview, "mem-a, mem-c");
+  await assert.rejects(deleteMemories(cfg, { ids: [] }), /ids is required/);
+});
+
+test("filterMemories keeps items without a date only when no range is set", () => {
+  const items = [normalizeMemory({ id: "1", memory_value: "x" }), normalizeMemory({ id: "2", memory_value: "y", create_time: "1767225600" })];
+  assert.equal(filterMemories(items, {}).length, 2);
+  assert.deepEqual(filterMemories(items, { from: "2025-12-31" }).map((m) => m.id), ["2"]);
+});
@@ -0,0 +1,100 @@
+import { TEMP_HOME } from "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, rmSync } from "node:fs";
+import { join, basename } from "node:path";
+
+import { buildConfig } from "../lib/memos-cloud-api.js";
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { getLogs } from "../lib/stats.js";
+import { exportMemories, exportFilePath, listExports, pruneBackups, runBackupIfDue } from "../lib/memory-export.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+
+const EXPORT_DIR = join(TEMP_HOME, "exports");
+
+let stub;
+let cfg;
+
+before(async () => {
+  stub = await startMemosStub();
+  cfg = buildConfig({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0, exportDir: EXPORT_DIR });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  rmSync(EXPORT_DIR, { recursive: true, force: true });
+  for (let i = 1; i <= 60; i += 1) {
+    stub.memories.push({ id: `mem-${i}`, memory_value: `Fact ${i}`, user_id: "tester", tags: ["t"], create_time: Date.UTC(2026, 0, i % 28 + 1) });
+  }
+  stub.memories.push({ id: "mem-other", memory_value: "not mine", user_id: "other" });
+  stub.preferences.push({ id: "pref-1", preference: "Short answers", user_id: "tester" });
+});
+
+test("export pages through every memory and writes JSONL + Markdown", async () => {
+  const out = await exportMemories(cfg);
+  assert.deepEqual(out.counts, { memories: 60, preferences: 1, tools: 0 });
+  assert.equal(stub.requestsTo("/get/memory").length, 2);
+  assert.deepEqual(stub.requestsTo("/get/memory")[1].body, {
+    user_id: "tester",
+    page: 2,
+    page_size: 50,
+    include_preference: true,
+    include_tool_memory: true,
+  });
+
+  const rows = readFileSync(out.jsonl, "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(rows[0].type, "header");
+  assert.equal(rows[0].userId, "tester");
+  assert.equal(rows.length, 62);
+  assert.deepEqual(rows[1], { type: "memory", item: stub.memories[0] });
+  assert.equal(rows[61].item.preference, "Short answers");
+
+  const md = readFileSync(out.markdown, "utf-8");
+  assert.match(md, /^# MemOS export — tester/);
+  assert.match(md, /- \*\*2026-01-02\*\* Fact 1 _\(t\)_/);
+  assert.match(md, /## Preferences\n\n- Short answers/);
+  assert.ok(!md.includes("not mine"));
+
+  assert.equal(getLogs("all", 1)[0].type, "export");
+  assert.deepEqual(listExports(cfg).map((f) => f.format).sort(), ["jsonl", "md"]);
+});
+
+test("paging continues while preferences still fill the page", async () => {
+  stub.memories.splice(3);
+  for (let i = 2; i <= 70; i += 1) stub.preferences.push({ id: `pref-${i}`, preference: `Pref ${i}`, user_id: "tester" });
+  const out = await exportMemories(cfg);
+  assert.deepEqual(out.counts, { memories: 3, preferences: 70, tools: 0 });
+  assert.equal(stub.requestsTo("/get/memory").length, 2);
+});
+
+test("knowledge bases are passed through and download names are checked", async () => {
+  const out = await exportMemories({ ...cfg, knowledgebaseIds: ["kb-1"] }, { userId: "other" });
+  assert.deepEqual(stub.requestsTo("/get/memory")[0].body.knowledgebase_ids, ["kb-1"]);
+  assert.equal(out.counts.memories, 1);
+  assert.equal(exportFilePath(cfg, basename(out.jsonl)), out.jsonl);
+  assert.equal(exportFilePath(cfg, "../stats.json"), null);
+  assert.equal(exportFilePath(cfg, "memos-export-nope.jsonl"), null);
+});
+
+test("scheduled backups run when due and keep the newest ones", async () => {
+  assert.equal(await runBackupIfDue(cfg), null, "off by default");
+
+  const scheduled = { ...cfg, backupIntervalHours: 24, backupRetention: 2 };
+  assert.ok(await runBackupIfDue(scheduled));
+  assert.equal(await runBackupIfDue(scheduled), null, "not due yet");
+  assert.equal(getLogs("all", 1)[0].type, "backup");
+
+  for (let i = 0; i < 2; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await exportMemories(scheduled, { kind: "backup" });
+  }
+  await exportMemories(scheduled);
+  assert.equal(pruneBackups(scheduled), 2);
+  const files = listExports(scheduled);
+  assert.equal(files.filter((f) => f.kind === "backup").length, 4);
+  assert.equal(files.filter((f) => f.kind === "export").length, 2, "manual exports are never pruned");
+});
@@ -0,0 +1,183 @@
+import { TEMP_HOME } from "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+import { buildConfig } from "../lib/memos-cloud-api.js";
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { getLogs } from "../lib/stats.js";
+import { parseMemoryMarkdown, previewImport, runImport, resetImportState } from "../lib/memory-import.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+import { registerPlugin } from "./helpers/fake-api.js";
+
+const WORKSPACE = join(TEMP_HOME, "workspace");
+
+const MEMORY_MD = `# Memory
+
+## Preferences
+- Prefers **short** answers
+- Editor: Helix
+  - uses the default keymap
+
+## Projects
+The billing service moved to Postgres on 2025-11-02.
+It runs in eu-west-1.
+
+\`\`\`
+- not a fact
+\`\`\`
+`;
+
+let stub;
+let cfg;
+let plugin;
+
+before(async () => {
+  stub = await startMemosStub();
+  mkdirSync(join(WORKSPACE, "memory"), { recursive: true });
+  writeFileSync(join(WORKSPACE, "MEMORY.md"), MEMORY_MD);
+  writeFileSync(join(WORKSPACE, "memory", "2025-03-14.md"), "- Met Alice about the launch\n- Decided to ship on Friday\n");
+  const pluginConfig = {
+    apiKey: "test-key",
+    baseUrl: stub.url,
+    userId: "tester",
+    retries: 0,
+    importWorkspacePath: WORKSPACE,
+    importBatchSize: 2,
+    importRateLimitMs: 0,
+  };
+  cfg = buildConfig(pluginConfig);
+  plugin = registerPlugin(pluginConfig);
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  resetImportState();
+});
+
+test("Markdown is split into dated facts with their heading and parent item", () => {
+  const facts = parseMemoryMarkdown(MEMORY_MD);
+  assert.deepEqual(
+    facts.map((f) => f.content),
+    [
+      "Preferences: Prefers short answers",
+      "Preferences: Editor: Helix",
+      "Preferences: Editor: Helix — uses the default keymap",
+      "Projects: The billing service moved to Postgres on 2025-11-02. It runs in eu-west-1.",
+    ],
+  );
+  assert.equal(facts[3].date, "2025-11-02");
+  assert.equal(facts[3].line, 9);
+
+  const daily = parseMemoryMarkdown("- Met Alice", "memory/2025-03-14.md");
+  assert.equal(daily[0].content, "(2025-03-14) Met Alice");
+});
+
+test("preview lists MEMORY.md then memory/* without sending anything", () => {
+  const p = previewImport(cfg);
+  assert.deepEqual(p.files, [
+    { file: "MEMORY.md", facts: 4 },
+    { file: join("memory", "2025-03-14.md"), facts: 2 },
+  ]);
+  assert.equal(p.total, 6);
+  assert.equal(p.pending, 6);
+  assert.equal(stub.requests.length, 0);
+});
+
+test("import uploads tagged batches and skips facts on the next run", async () => {
+  const out = await runImport(cfg);
+  assert.deepEqual(out, { userId: "tester", total: 6, sent: 6, skipped: 0 });
+
+  const adds = stub.requestsTo("/add/message");
+  assert.equal(adds.length, 3);
+  assert.equal(adds[0].body.user_id, "tester");
+  assert.equal(adds[0].body.conversation_id, "memory-import");
+  assert.deepEqual(adds[0].body.tags, ["openclaw", "import", "memory-md"]);
+  assert.equal(adds[0].body.info.via, "memory_import");
+  assert.equal(adds[2].body.messages[1].content, "(2025-03-14) Decided to ship on Friday");
+  assert.equal(getLogs("all", 1)[0].type, "import");
+
+  stub.reset();
+  assert.equal(previewImport(cfg).pending, 0);
+  assert.deepEqual(await runImport(cfg), { userId: "tester", total: 6, sent: 0, skipped: 6 });
+  assert.equal(stub.requests.length, 0);
+});
+
+test("a failed batch stops the import, which resumes where it left off", async () => {
+  const slow = { ...cfg, importRateLimitMs: 100 };
+  const pending = runImport(slow);
+  while (!stub.requestsTo("/add/message").length) await new Promise((resolve) => setTimeout(resolve, 10));
+  stub.inject({ path: "/add/message", status: 500 }); // the second batch fails
+  await assert.rejects(pending);
+  assert.equal(getLogs("error", 1)[0].type, "import_error");
+  assert.equal(previewImport(cfg).pending, 4);
+
+  stub.reset();
+  assert.deepEqual(await runImport(cfg), { userId: "tester", total: 6, sent: 4, skipped: 2 });
+  assert.equal(stub.requestsTo("/add/message").length, 2);
+});
+
+test("/memory import previews, then uploads in the background", async () => {
+  const event = (text) => ({ type: "command", action: "memory", sessionKey: "s", context: { commandBody: text }, messages: [] });
+
+  const preview = event("/memory import");
+  await plugin.fireHook("command:memory", preview);
+  assert.match(preview.messages[0], /6 facts, 0 already imported, 6 to upload/);
+  assert.equal(stub.requests.length, 0);
+
+  const run = event("/memory import run");
+  await plugin.fireHook("command:memory", run);
+  assert.match(run.messages[0], /Import started \(6 facts to upload\)/);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(stub.requestsTo("/add/message").length, 3);
+});
+
+test("imports stay inside the workspace and never go to a chat sender's id", async () => {
+  assert.throws(() => previewImport(cfg, { path: "../.." }), /inside the workspace/);
+  assert.throws(() => previewImport(cfg, { path: "/etc" }), /inside the workspace/);
+  assert.equal(previewImport(cfg, { path: "memory" }).root, join(WORKSPACE, "memory"));
+
+  const senders = registerPlugin({
+    apiKey: "test-key",
+    baseUrl: stub.url,
+    userId: "tester",
+    retries: 0,
+    importWorkspacePath: WORKSPACE,
+    identityMode: "sender",
+    ownerIds: ["telegram:1"],
+  });
+  const event = (text, senderId) => ({
+    type: "command",
+    action: "memory",
+    sessionKey: "s",
+    context: { commandBody: text, senderId, messageProvider: "telegram" },
+    messages: [],
+  });
+
+  const stranger = event("/memory import run", "2");
+  await senders.fireHook("command:memory", stranger);
+  assert.match(stranger.messages[0], /Only the owner/);
+
+  const owner = event("/memory import run", "1");
+  await senders.fireHook("command:memory", owner);
+  assert.match(owner.messages[0], /Import started/);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.ok(stub.requestsTo("/add/message").every((r) => r.body.user_id === "tester"));
+});
+
+test("/memory import needs a listed owner even in static identity mode", async () => {
+  const group = registerPlugin({ apiKey: "test-key", baseUrl: stub.url, userId: "tester", retries: 0, importWorkspacePath: WORKSPACE });
+  const event = { type: "command", action: "memory", sessionKey: "g", context: { commandBody: "/memory import run", senderId: "2", messageProvider: "telegram" }, messages: [] };
+  await group.fireHook("command:memory", event);
+  assert.match(event.messages[0], /Only the owner/);
+
+  const noSender = { ...event, context: { commandBody: "/memory import", messageProvider: "telegram" }, messages: [] };
+  await group.fireHook("command:memory", noSender);
+  assert.match(noSender.messages[0], /Only the owner/);
+  assert.equal(stub.requests.length, 0);
+});
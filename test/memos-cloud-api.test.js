@@ -0,0 +1,151 @@
+import "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  callApi,
+  MemosAuthError,
+  MemosClientError,
+  MemosCircuitOpenError,
+  MemosNetworkError,
+  MemosRateLimitError,
+  MemosServerError,
+  MemosTimeoutError,
+} from "../lib/memos-cloud-api.js";
+import { getBreakerStates, resetBreakers } from "../lib/circuit-breaker.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+
+let stub;
+let cfg;
+
+before(async () => {
+  stub = await startMemosStub();
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  cfg = { baseUrl: stub.url, apiKey: "test-key", timeoutMs: 300, retries: 2, breakerFailureThreshold: 3, breakerCooldownMs: 100 };
+});
+
+test("sends Token auth and returns the JSON body", async () => {
+  const res = await callApi(cfg, "/add/message", { user_id: "u", messages: [{ role: "user", content: "hi" }] });
+  assert.equal(res.code, 0);
+  assert.equal(stub.requests[0].headers.authorization, "Token test-key");
+});
+
+test("missing API key fails before any request", async () => {
+  await assert.rejects(callApi({ ...cfg, apiKey: "" }, "/search/memory", {}), MemosAuthError);
+  assert.equal(stub.requests.length, 0);
+});
+
+test("401 is an auth error carrying the MemOS code and message, not retried", async () => {
+  stub.inject({ status: 401, body: { code: 40101, message: "token expired" } });
+  await assert.rejects(callApi(cfg, "/search/memory", {}), (err) => {
+    assert.ok(err instanceof MemosAuthError);
+    assert.equal(err.kind, "auth");
+    assert.equal(err.code, 40101);
+    assert.match(err.message, /token expired/);
+    return true;
+  });
+  assert.equal(stub.requests.length, 1);
+});
+
+test("400 is a client error and is not retried", async () => {
+  stub.inject({ status: 400, body: { code: 40000, message: "bad user_id" } });
+  await assert.rejects(callApi(cfg, "/search/memory", {}), MemosClientError);
+  assert.equal(stub.requests.length, 1);
+});
+
+test("5xx is retried until it succeeds", async () => {
+  stub.inject({ status: 503, times: 2 });
+  const res = await callApi(cfg, "/search/memory", { user_id: "u" });
+  assert.equal(res.code, 0);
+  assert.equal(stub.requests.length, 3);
+});
+
+test("5xx beyond the retry count surfaces a server error", async () => {
+  stub.inject({ status: 500, times: 5 });
+  await assert.rejects(callApi({ ...cfg, retries: 1 }, "/search/memory", {}), MemosServerError);
+  assert.equal(stub.requests.length, 2);
+});
+
+test("429 honours Retry-After", async () => {
+  stub.inject({ status: 429, headers: { "Retry-After": "0.2" } });
+  const t0 = Date.now();
+  await callApi(cfg, "/search/memory", { user_id: "u" });
+  assert.ok(Date.now() - t0 >= 190, "waited for Retry-After");
+  assert.equal(stub.requests.length, 2);
+});
+
+test("a Retry-After past the timeout or deadline is not slept inline", async () => {
+  stub.inject({ status: 429, headers: { "Retry-After": "30" } });
+  let t0 = Date.now();
+  await assert.rejects(callApi(cfg, "/search/memory", {}), MemosRateLimitError);
+  assert.ok(Date.now() - t0 < 1000, "gave up instead of waiting 30s");
+  assert.equal(stub.requests.length, 1);
+
+  stub.reset();
+  stub.inject({ status: 429, headers: { "Retry-After": "0.2" } });
+  t0 = Date.now();
+  await assert.rejects(callApi({ ...cfg, deadline: t0 + 100 }, "/search/memory", {}), MemosRateLimitError);
+  assert.equal(stub.requests.length, 1, "the retry would run past the recall budget");
+});
+
+test("429 without retries left is a rate-limit error", async () => {
+  stub.inject({ status: 429, headers: { "Retry-After": "0" } });
+  await assert.rejects(callApi({ ...cfg, retries: 0 }, "/search/memory", {}), MemosRateLimitError);
+});
+
+test("slow responses time out", async () => {
+  stub.inject({ delayMs: 500, times: 2 });
+  await assert.rejects(callApi({ ...cfg, retries: 1 }, "/search/memory", {}), MemosTimeoutError);
+  assert.equal(stub.requests.length, 2);
+});
+
+test("dropped connections are network errors", async () => {
+  stub.inject({ drop: true });
+  await assert.rejects(callApi({ ...cfg, retries: 0 }, "/add/message", {}), MemosNetworkError);
+});
+
+test("circuit breaker opens after consecutive failures and recovers through a probe", async () => {
+  const fastCfg = { ...cfg, retries: 0 };
+  stub.inject({ path: "/search/memory", status: 503, times: 3 });
+  for (let i = 0; i < 3; i += 1) {
+    await assert.rejects(callApi(fastCfg, "/search/memory", {}), MemosServerError);
+  }
+  assert.equal(getBreakerStates()[`${cfg.baseUrl}/search/memory`].state, "open");
+
+  // Open: no request reaches the server; other endpoints are unaffected
+  await assert.rejects(callApi(fastCfg, "/search/memory", {}), MemosCircuitOpenError);
+  assert.equal(stub.requestsTo("/search/memory").length, 3);
+  await callApi(fastCfg, "/add/message", { messages: [] });
+
+  await new Promise((r) => setTimeout(r, 120));
+  await callApi(fastCfg, "/search/memory", { user_id: "u" });
+  assert.equal(getBreakerStates()[`${cfg.baseUrl}/search/memory`].state, "closed");
+});
+
+test("an open breaker only blocks the server that failed", async () => {
+  const other = await startMemosStub();
+  try {
+    const fastCfg = { ...cfg, retries: 0 };
+    stub.inject({ path: "/search/memory", status: 503, times: 3 });
+    for (let i = 0; i < 3; i += 1) {
+      await assert.rejects(callApi(fastCfg, "/search/memory", {}), MemosServerError);
+    }
+    await assert.rejects(callApi(fastCfg, "/search/memory", {}), /Circuit open for http:\/\/.*\/search\/memory/);
+
+    await callApi({ ...fastCfg, baseUrl: other.url }, "/search/memory", { user_id: "u" });
+    assert.equal(other.requestsTo("/search/memory").length, 1);
+    const states = getBreakerStates();
+    assert.equal(states[`${cfg.baseUrl}/search/memory`].state, "open");
+    const { baseUrl, path, state } = states[`${other.url}/search/memory`];
+    assert.deepEqual({ baseUrl, path, state }, { baseUrl: other.url, path: "/search/memory", state: "closed" });
+  } finally {
+    await other.close();
+  }
+});
@@ -0,0 +1,97 @@
+import "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  stripPrependedPrompt,
+  pickLastTurnMessages,
+  pickFullSessionMessages,
+  resolveConversationId,
+} from "../index.js";
+import { USER_QUERY_MARKER } from "../lib/memos-cloud-api.js";
+import { registerPlugin } from "./helpers/fake-api.js";
+
+const cfg = { includeAssistant: true, maxMessageChars: 20000 };
+
+test("stripPrependedPrompt keeps only the text after the last marker", () => {
+  const content = `# Role\nmemory block\n${USER_QUERY_MARKER}  What did I say yesterday?`;
+  assert.equal(stripPrependedPrompt(content), "What did I say yesterday?");
+
+  const twice = `a${USER_QUERY_MARKER}b${USER_QUERY_MARKER}final`;
+  assert.equal(stripPrependedPrompt(twice), "final");
+
+  assert.equal(stripPrependedPrompt("no marker here"), "no marker here");
+  assert.equal(stripPrependedPrompt(""), "");
+});
+
+test("pickLastTurnMessages returns the last user turn and following assistant replies", () => {
+  const messages = [
+    { role: "user", content: "first question" },
+    { role: "assistant", content: "first answer" },
+    { role: "user", content: [{ type: "text", text: `ctx${USER_QUERY_MARKER}second question` }] },
+    { role: "assistant", content: [{ type: "text", text: "second answer" }, { type: "image", data: "..." }] },
+    { role: "system", content: "ignored" },
+  ];
+  assert.deepEqual(pickLastTurnMessages(messages, cfg), [
+    { role: "user", content: "second question" },
+    { role: "assistant", content: "second answer" },
+  ]);
+});
+
+test("pickLastTurnMessages honours includeAssistant and maxMessageChars", () => {
+  const messages = [
+    { role: "user", content: "abcdefghij" },
+    { role: "assistant", content: "reply" },
+  ];
+  assert.deepEqual(pickLastTurnMessages(messages, { includeAssistant: false, maxMessageChars: 4 }), [
+    { role: "user", content: "abcd..." },
+  ]);
+});
+
+test("pickLastTurnMessages returns nothing without a user message", () => {
+  assert.deepEqual(pickLastTurnMessages([{ role: "assistant", content: "hi" }], cfg), []);
+});
+
+test("pickFullSessionMessages keeps every user/assistant message in order", () => {
+  const messages = [
+    { role: "user", content: "q1" },
+    { role: "assistant", content: "a1" },
+    null,
+    { role: "user", content: "q2" },
+  ];
+  assert.deepEqual(pickFullSessionMessages(messages, cfg), [
+    { role: "user", content: "q1" },
+    { role: "assistant", content: "a1" },
+    { role: "user", content: "q2" },
+  ]);
+});
+
+test("resolveConversationId prefers the explicit id, then sessionKey, sessionId, agentId", () => {
+  assert.equal(resolveConversationId({ conversationId: "fixed" }, { sessionKey: "s" }), "fixed");
+  assert.equal(resolveConversationId({}, { sessionKey: "s", sessionId: "id" }), "s");
+  assert.equal(resolveConversationId({}, { sessionId: "id" }), "id");
+  assert.equal(resolveConversationId({}, { agentId: "main" }), "openclaw:main");
+  assert.equal(
+    resolveConversationId({ conversationIdPrefix: "p-", conversationIdSuffix: "-s" }, { sessionKey: "k" }),
+    "p-k-s",
+  );
+  assert.match(resolveConversationId({}, {}), /^openclaw-\d+$/);
+});
+
+test("counter suffix increments on command:new for that session only", () => {
+  const plugin = registerPlugin({ apiKey: "k", conversationSuffixMode: "counter", resetOnNew: true });
+  const counterCfg = { conversationSuffixMode: "counter" };
+
+  assert.equal(resolveConversationId(counterCfg, { sessionKey: "chat-a" }), "chat-a");
+
+  plugin.fireHook("command:new", { type: "command", action: "new", sessionKey: "chat-a" });
+  assert.equal(resolveConversationId(counterCfg, { sessionKey: "chat-a" }), "chat-a#1");
+
+  plugin.fireHook("command:new", { type: "command", action: "new", sessionKey: "chat-a" });
+  assert.equal(resolveConversationId(counterCfg, { sessionKey: "chat-a" }), "chat-a#2");
+  assert.equal(resolveConversationId(counterCfg, { sessionKey: "chat-b" }), "chat-b");
+
+  // Suffix only applies in counter mode
+  assert.equal(resolveConversationId({ conversationSuffixMode: "none" }, { sessionKey: "chat-a" }), "chat-a");
+});
@@ -0,0 +1,75 @@
+import "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildConfig, searchMemory } from "../lib/memos-cloud-api.js";
+import { resetBreakers, getBreakerStates } from "../lib/circuit-breaker.js";
+import { recordEvent, getStats } from "../lib/stats.js";
+import { renderMetrics, resetMetrics } from "../lib/metrics.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+
+let stub;
+let cfg;
+
+before(async () => {
+  stub = await startMemosStub();
+  cfg = buildConfig({ apiKey: "test-key", baseUrl: stub.url, retries: 1, breakerFailureThreshold: 1 });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.reset();
+  resetBreakers();
+  resetMetrics();
+});
+
+function sample(text, name) {
+  const line = text.split("\n").find((l) => l.startsWith(`${name} `));
+  return line === undefined ? undefined : Number(line.slice(name.length + 1));
+}
+
+test("recorded events and stats counters are exposed as counters", () => {
+  recordEvent("search", { durationMs: 12 });
+  recordEvent("search", { durationMs: 30 });
+  recordEvent("add_error", { error: "boom" });
+
+  const text = renderMetrics({ stats: getStats() });
+  assert.match(text, /^# HELP memos_events_total /m);
+  assert.match(text, /^# TYPE memos_events_total counter$/m);
+  assert.equal(sample(text, 'memos_events_total{type="search"}'), 2);
+  assert.equal(sample(text, 'memos_events_total{type="add_error"}'), 1);
+  assert.equal(sample(text, "memos_search_calls_total"), getStats().searchCalls);
+  assert.equal(sample(text, "memos_errors_total"), getStats().errors);
+  assert.ok(text.endsWith("\n"));
+});
+
+test("API calls fill per-endpoint latency histograms and retry counters", async () => {
+  await searchMemory(cfg, { query: "a", user_id: "u" });
+  stub.inject({ path: "/search/memory", status: 503, times: 2 });
+  await assert.rejects(searchMemory(cfg, { query: "b", user_id: "u" }));
+
+  const text = renderMetrics({ stats: getStats(), breakers: getBreakerStates(), outbox: { depth: 3 } });
+  const ok = 'endpoint="/search/memory",outcome="ok"';
+  assert.equal(sample(text, `memos_api_request_duration_seconds_count{${ok}}`), 1);
+  assert.equal(sample(text, `memos_api_request_duration_seconds_bucket{${ok},le="+Inf"}`), 1);
+  assert.equal(sample(text, `memos_api_request_duration_seconds_bucket{${ok},le="30"}`), 1);
+  assert.ok(sample(text, `memos_api_request_duration_seconds_sum{${ok}}`) > 0);
+  assert.equal(sample(text, 'memos_api_request_duration_seconds_count{endpoint="/search/memory",outcome="server"}'), 1);
+  assert.equal(sample(text, 'memos_api_retries_total{endpoint="/search/memory"}'), 1);
+
+  const search = `base_url="${stub.url}",endpoint="/search/memory"`;
+  assert.equal(sample(text, `memos_breaker_state{${search},state="open"}`), 1);
+  assert.equal(sample(text, `memos_breaker_state{${search},state="closed"}`), 0);
+  assert.equal(sample(text, `memos_breaker_consecutive_failures{${search}}`), 1);
+  assert.equal(sample(text, "memos_outbox_depth"), 3);
+});
+
+test("gauges are left out when their source is absent and labels are escaped", () => {
+  recordEvent('odd"type\\x', {});
+  const text = renderMetrics({});
+  assert.ok(!text.includes("memos_breaker_state"));
+  assert.ok(!text.includes("memos_outbox_depth"));
+  assert.ok(text.includes('memos_events_total{type="odd\\"type\\\\x"} 1'));
+});
@@ -0,0 +1,58 @@
+import "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { estimateTokens, filterRecallResult } from "../lib/recall-filter.js";
+
+const day = (n) => Date.UTC(2026, 0, n);
+
+function result(facts, prefs = []) {
+  return { code: 0, data: { memory_detail_list: facts, preference_detail_list: prefs } };
+}
+
+const facts = [
+  { id: "a", memory_value: "User lives in Lyon", relativity: 0.9, create_time: day(1) },
+  { id: "b", memory_value: "The user lives in Lyon.", relativity: 0.8, create_time: day(2) },
+  { id: "c", memory_value: "User likes hiking on weekends", relativity: 0.2, create_time: day(3) },
+  { id: "d", memory_value: "user lives in lyon", create_time: day(4) },
+];
+
+test("low-score items are dropped, unscored ones kept", () => {
+  const { result: out, dropped } = filterRecallResult(result(facts), { recallMinScore: 0.5, recallDedup: false });
+  assert.deepEqual(out.data.memory_detail_list.map((m) => m.id), ["a", "b", "d"]);
+  assert.deepEqual(dropped, [{ kind: "fact", id: "c", reason: "low_score", score: 0.2, text: "User likes hiking on weekends" }]);
+});
+
+test("near-duplicates collapse into the first item", () => {
+  const { result: out, dropped } = filterRecallResult(result(facts), { recallDedupThreshold: 0.7 });
+  assert.deepEqual(out.data.memory_detail_list.map((m) => m.id), ["a", "c"]);
+  assert.deepEqual(dropped.map((d) => d.reason), ["duplicate", "duplicate"]);
+
+  const exactOnly = filterRecallResult(result(facts), { recallDedupThreshold: 1 }).result;
+  assert.deepEqual(exactOnly.data.memory_detail_list.map((m) => m.id), ["a", "b", "c"]);
+});
+
+test("the token budget keeps preferences, then recent, then high-score items", () => {
+  const items = [
+    { id: "old", memory_value: "x".repeat(40), relativity: 0.99, create_time: day(1) },
+    { id: "new-low", memory_value: "y".repeat(40), relativity: 0.1, create_time: day(5) },
+    { id: "new-high", memory_value: "z".repeat(40), relativity: 0.9, create_time: day(5) },
+  ];
+  const prefs = [{ preference: "p".repeat(40), create_time: day(1) }];
+  const { result: out, dropped, droppedCount } = filterRecallResult(result(items, prefs), {
+    recallDedup: false,
+    recallMaxTokens: 25,
+  });
+  assert.equal(out.data.preference_detail_list.length, 1);
+  assert.deepEqual(out.data.memory_detail_list.map((m) => m.id), ["new-high"]);
+  assert.equal(droppedCount, 2);
+  assert.ok(dropped.every((d) => d.reason === "budget"));
+});
+
+test("results pass through untouched when nothing is dropped", () => {
+  const input = result([{ memory_value: "only one" }]);
+  assert.equal(filterRecallResult(input, {}).result, input);
+  assert.equal(estimateTokens("abcdefgh"), 2);
+  assert.equal(estimateTokens("数据库"), 3);
+});
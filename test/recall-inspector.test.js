@@ -0,0 +1,76 @@
+import "./helpers/temp-home.js";
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  clearInspections,
+  getInspection,
+  inspectionItems,
+  replayInspection,
+  saveInspection,
+  setRecallReplayer,
+  snapshotContext,
+  snapshotEvent,
+} from "../lib/recall-inspector.js";
+
+beforeEach(() => clearInspections());
+
+const result = {
+  data: {
+    memory_detail_list: [
+      { id: "m1", memory_value: "Uses Helix", relativity: 0.9, create_time: 1767225600000 },
+      { id: "m2", memory_value: "uses helix", relativity: 0.8 },
+    ],
+    preference_detail_list: [{ preference: "Short answers" }],
+  },
+};
+
+function record(extra = {}) {
+  return { ctx: { sessionKey: "s1" }, event: { prompt: "editor?" }, strategy: "prompt", payloads: [{ query: "editor?" }], result, ...extra };
+}
+
+test("snapshots keep scalar ctx fields and a text-only history", () => {
+  assert.deepEqual(snapshotContext({ sessionKey: "s", agentId: "a", config: {}, fn() {}, n: null }), { sessionKey: "s", agentId: "a" });
+  const event = snapshotEvent({ prompt: "p", messages: [{ role: "user", content: [{ type: "text", text: "hi" }] }, { foo: 1 }] });
+  assert.deepEqual(event, { prompt: "p", messages: [{ role: "user", content: "hi" }] });
+});
+
+test("inspectionItems flattens lists and marks dropped items", () => {
+  const items = inspectionItems(result, [{ kind: "fact", id: "m2", reason: "duplicate" }]);
+  assert.deepEqual(
+    items.map((i) => [i.kind, i.id, i.score, i.dropped]),
+    [
+      ["fact", "m1", 0.9, null],
+      ["fact", "m2", 0.8, "duplicate"],
+      ["preference", null, null, null],
+    ],
+  );
+  assert.equal(items[0].time, 1767225600000);
+});
+
+test("storage is bounded by entry count and retention", (t) => {
+  const cfg = { recallInspectorMaxEntries: 2, recallInspectorRetentionHours: 1 };
+  for (const id of [1, 2, 3]) saveInspection(id, record({ prependContext: `ctx ${id}` }), cfg);
+  assert.equal(getInspection(1, cfg), undefined);
+  assert.equal(getInspection(3, cfg).prependContext, "ctx 3");
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 2 * 3_600_000 });
+  assert.equal(getInspection(3, cfg), undefined);
+});
+
+test("replay runs the recorded prompt and ctx through the replayer", async () => {
+  const cfg = { recallInspectorMaxEntries: 10 };
+  saveInspection(7, record(), cfg);
+  let seen;
+  setRecallReplayer(async (run) => {
+    seen = run;
+    return { strategy: "keywords", payloads: [{ query: "editor" }], result, prependContext: "block" };
+  });
+  const out = await replayInspection(7, cfg);
+  assert.deepEqual(seen, { event: { prompt: "editor?", messages: [] }, ctx: { sessionKey: "s1" } });
+  assert.equal(out.strategy, "keywords");
+  assert.equal(out.items.length, 3);
+  assert.equal(out.prependContext, "block");
+  assert.equal(await replayInspection(99, cfg), null);
+});
@@ -0,0 +1,92 @@
+import "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildRecallQueries,
+  cleanQueryText,
+  extractKeywords,
+  mergeRecallResults,
+  recentTurnsText,
+  smartTruncate,
+} from "../lib/recall-query.js";
+
+const history = [
+  { role: "user", content: "We are migrating the billing service to Postgres" },
+  { role: "assistant", content: [{ type: "text", text: "Sounds good, what's blocking?" }] },
+  { role: "user", content: "The invoice_exporter job in src/jobs/export.ts" },
+  { role: "assistant", content: "Let me look at it." },
+];
+
+test("cleanQueryText drops metadata blocks, code and log lines", () => {
+  const text = [
+    "Sender (untrusted metadata):",
+    "```json",
+    '{ "id": "42" }',
+    "```",
+    "why does this fail?",
+    "```js",
+    "const x = 1;",
+    "```",
+    "2026-01-04 12:00:01 ERROR connection refused",
+    "    at connect (/app/db.js:10:5)",
+    "[WARN] retrying",
+    "on the staging box",
+  ].join("\n");
+  assert.equal(cleanQueryText(text), "why does this fail? on the staging box");
+});
+
+test("smartTruncate keeps both ends of a long query", () => {
+  const text = `start ${"x".repeat(200)} the actual question?`;
+  const short = smartTruncate(text, 60);
+  assert.equal(short.length <= 60, true);
+  assert.ok(short.startsWith("start"));
+  assert.ok(short.endsWith("the actual question?"));
+  assert.equal(smartTruncate("short", 60), "short");
+});
+
+test("recentTurnsText returns the last N user turns with replies", () => {
+  assert.deepEqual(recentTurnsText(history, 1), ["The invoice_exporter job in src/jobs/export.ts", "Let me look at it."]);
+  assert.equal(recentTurnsText(history, 2).length, 4);
+  assert.deepEqual(recentTurnsText(history, 0), []);
+});
+
+test("extractKeywords ranks entities, identifiers and quoted phrases first", () => {
+  const keywords = extractKeywords('Ask Alice Martin about "quarterly report" in src/report.py and the report deadline');
+  assert.ok(keywords.indexOf("quarterly report") < keywords.indexOf("deadline"));
+  assert.ok(keywords.includes("Alice Martin"));
+  assert.ok(keywords.includes("src/report.py"));
+  assert.ok(!keywords.includes("the"));
+  assert.ok(!keywords.includes("report"), "covered by a longer phrase");
+  assert.deepEqual(extractKeywords("数据库迁移 计划"), ["数据库迁移", "计划"]);
+});
+
+test("buildRecallQueries follows the configured strategy", () => {
+  const event = { prompt: "and what about the second one?", messages: history };
+  assert.deepEqual(buildRecallQueries({}, event), { strategy: "prompt", queries: [event.prompt] });
+
+  const context = buildRecallQueries({ queryStrategy: "context", queryContextTurns: 1 }, event);
+  assert.equal(context.queries.length, 1);
+  assert.match(context.queries[0], /^and what about the second one\?\nContext: .*invoice_exporter/);
+
+  const keywords = buildRecallQueries({ queryStrategy: "keywords", queryContextTurns: 2 }, event).queries[0];
+  assert.match(keywords, /invoice_exporter/);
+  assert.match(keywords, /Postgres/);
+
+  const multi = buildRecallQueries({ queryStrategy: "multi", queryMaxSubQueries: 2 }, event);
+  assert.equal(multi.queries.length, 2);
+  assert.equal(multi.queries[0], event.prompt);
+});
+
+test("mergeRecallResults dedupes by id or text and keeps the limits", () => {
+  const a = { data: { memory_detail_list: [{ id: "m1", memory_value: "A" }, { id: "m2", memory_value: "B" }], preference_detail_list: [{ preference: "tea" }] } };
+  const b = { data: { memory_detail_list: [{ id: "m2", memory_value: "B" }, { memory_value: "C" }], preference_detail_list: [{ preference: "Tea " }] } };
+  const merged = mergeRecallResults([a, b], { memoryLimitNumber: 3, preferenceLimitNumber: 6 });
+  assert.deepEqual(merged.data.memory_detail_list.map((m) => m.memory_value), ["A", "B", "C"]);
+  assert.equal(merged.data.preference_detail_list.length, 1);
+  assert.equal(mergeRecallResults([a, b], { memoryLimitNumber: 2 }).data.memory_detail_list.length, 2);
+
+  const partial = mergeRecallResults([null, "not json", { code: 0, data: null }, a], {});
+  assert.deepEqual(partial.data.memory_detail_list.map((m) => m.id), ["m1", "m2"]);
+});
@@ -0,0 +1,54 @@
+import "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveRoute } from "../lib/routing.js";
+import { validateConfig } from "../lib/memos-cloud-api.js";
+
+const base = {
+  userId: "shared",
+  tags: ["openclaw"],
+  routingRules: [
+    { name: "support", match: { agentId: "support" }, overrides: { userId: "support_users", addEnabled: false } },
+    { name: "telegram", match: { messageProvider: ["telegram", "whatsapp"], sessionKey: "agent:main:*" }, overrides: { tags: ["chat"] } },
+    { match: { sessionKey: "*:cron:*" }, overrides: { recallEnabled: false, apiKey: "ignored" } },
+  ],
+};
+
+test("the first matching rule overrides config for the run", () => {
+  const { cfg, rule } = resolveRoute(base, { agentId: "support", messageProvider: "telegram", sessionKey: "agent:main:x" });
+  assert.equal(rule, "support");
+  assert.equal(cfg.userId, "support_users");
+  assert.equal(cfg.addEnabled, false);
+  assert.deepEqual(cfg.tags, ["openclaw"]);
+});
+
+test("all criteria of a rule must match, with wildcards and lists", () => {
+  assert.equal(resolveRoute(base, { agentId: "main", messageProvider: "WhatsApp", sessionKey: "agent:main:1" }).rule, "telegram");
+  assert.equal(resolveRoute(base, { agentId: "main", messageProvider: "telegram", sessionKey: "agent:ops:1" }).rule, null);
+});
+
+test("unnamed rules get a positional name and only routable keys apply", () => {
+  const { cfg, rule } = resolveRoute({ ...base, apiKey: "real" }, { sessionKey: "agent:main:cron:nightly" });
+  assert.equal(rule, "rule_3");
+  assert.equal(cfg.recallEnabled, false);
+  assert.equal(cfg.apiKey, "real");
+});
+
+test("no match leaves the config untouched", () => {
+  const { cfg, rule } = resolveRoute(base, {});
+  assert.equal(cfg, base);
+  assert.equal(rule, null);
+});
+
+test("validateConfig checks rule criteria and override values", () => {
+  assert.equal(validateConfig({ routingRules: base.routingRules.slice(0, 2) }).valid, true);
+  const { errors } = validateConfig({
+    routingRules: [
+      { name: "bad", match: { channel: "x" }, overrides: { apiKey: "k", captureStrategy: "nope" } },
+    ],
+  });
+  assert.equal(errors.length, 3);
+  assert.ok(errors.every((e) => e.includes("bad")));
+});
@@ -0,0 +1,81 @@
+import "./helpers/temp-home.js";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createToolCollector, isToolCaptured, summarizeToolArgs } from "../lib/tool-capture.js";
+import { pickLastTurnMessages } from "../index.js";
+
+const cfg = {
+  includeAssistant: true,
+  maxMessageChars: 20000,
+  captureToolCalls: true,
+  toolArgsMaxChars: 300,
+  toolResultMaxChars: 40,
+};
+
+test("allow/deny lists match names with wildcards, deny first", () => {
+  assert.equal(isToolCaptured("exec", {}), true);
+  assert.equal(isToolCaptured("read", { toolCaptureDeny: ["read"] }), false);
+  assert.equal(isToolCaptured("browser_open", { toolCaptureAllow: ["browser*"] }), true);
+  assert.equal(isToolCaptured("exec", { toolCaptureAllow: ["browser*"] }), false);
+  assert.equal(isToolCaptured("browser_open", { toolCaptureAllow: ["browser*"], toolCaptureDeny: ["*open"] }), false);
+});
+
+test("summarizeToolArgs shortens long values and caps the total", () => {
+  const args = { path: "a.txt", content: "x".repeat(500) };
+  const summary = summarizeToolArgs(args, 1000);
+  assert.ok(summary.startsWith('{"path":"a.txt","content":"xxx'));
+  assert.ok(summary.length < 200);
+  assert.equal(summarizeToolArgs('{"q":"hi"}', 100), '{"q":"hi"}');
+  assert.equal(summarizeToolArgs({ q: "hello world" }, 8), '{"q":"he...');
+});
+
+test("OpenClaw tool calls become role tool messages after the assistant text", () => {
+  const messages = [
+    { role: "user", content: "run the tests" },
+    {
+      role: "assistant",
+      content: [
+        { type: "text", text: "Running them." },
+        { type: "toolCall", id: "c1", name: "exec", arguments: { command: "npm test" } },
+        { type: "toolCall", id: "c2", name: "read", arguments: { path: "package.json" } },
+      ],
+    },
+    { role: "toolResult", toolCallId: "c1", toolName: "exec", content: [{ type: "text", text: `1 failing\n${"log ".repeat(50)}` }], isError: true },
+    { role: "toolResult", toolCallId: "c2", toolName: "read", content: [{ type: "text", text: "{}" }] },
+    { role: "assistant", content: [{ type: "text", text: "One test fails." }] },
+  ];
+
+  const picked = pickLastTurnMessages(messages, { ...cfg, toolCaptureDeny: ["read"] });
+  assert.deepEqual(
+    picked.map((m) => m.role),
+    ["user", "assistant", "tool", "assistant"],
+  );
+  assert.equal(
+    picked[2].content,
+    'Tool: exec (error)\nArguments: {"command":"npm test"}\nResult: 1 failing\nlog log log log log log log lo...',
+  );
+});
+
+test("Anthropic tool_result user messages don't start a new turn", () => {
+  const messages = [
+    { role: "user", content: "what's the weather?" },
+    { role: "assistant", content: [{ type: "tool_use", id: "t1", name: "weather", input: { city: "Lyon" } }] },
+    { role: "user", content: [{ type: "tool_result", tool_use_id: "t1", content: "Sunny, 21°C" }] },
+    { role: "assistant", content: "Sunny in Lyon." },
+  ];
+  const picked = pickLastTurnMessages(messages, cfg);
+  assert.equal(picked[0].content, "what's the weather?");
+  assert.equal(picked[1].content, 'Tool: weather (ok)\nArguments: {"city":"Lyon"}\nResult: Sunny, 21°C');
+});
+
+test("calls without a result are flushed, and nothing is captured when disabled", () => {
+  const collector = createToolCollector(cfg);
+  assert.deepEqual(collector.take({ role: "assistant", content: [{ type: "toolCall", id: "x", name: "exec", arguments: {} }] }), []);
+  assert.deepEqual(collector.flush(), [{ role: "tool", content: "Tool: exec (no result)\nArguments: {}" }]);
+
+  const off = createToolCollector({ ...cfg, captureToolCalls: false });
+  off.take({ role: "assistant", content: [{ type: "toolCall", id: "x", name: "exec" }] });
+  assert.deepEqual(off.flush(), []);
+});
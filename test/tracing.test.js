@@ -0,0 +1,129 @@
+import "./helpers/temp-home.js";
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { resetBreakers } from "../lib/circuit-breaker.js";
+import { clearRecallCache } from "../lib/recall-cache.js";
+import { dropOutbox, replayOutbox, getOutboxStatus } from "../lib/outbox.js";
+import { flushSpans, parseOtlpHeaders, tracesUrl, startSpan, resetTracing } from "../lib/tracing.js";
+import { startMemosStub } from "./helpers/memos-stub.js";
+import { startOtlpCollector } from "./helpers/otlp-collector.js";
+import { registerPlugin } from "./helpers/fake-api.js";
+
+let stub;
+let collector;
+let plugin;
+
+const ctx = { sessionKey: "agent:main:chat-1", agentId: "main" };
+
+before(async () => {
+  stub = await startMemosStub();
+  collector = await startOtlpCollector();
+  plugin = registerPlugin({
+    apiKey: "test-key",
+    baseUrl: stub.url,
+    userId: "tester",
+    timeoutMs: 500,
+    retries: 2,
+    otlpEndpoint: collector.url,
+    otlpHeaders: "x-api-key=secret%3D1,x-tenant=ops",
+    otlpServiceName: "gateway-test",
+  });
+});
+
+after(async () => {
+  resetTracing();
+  await stub.close();
+  await collector.close();
+});
+
+beforeEach(() => {
+  stub.reset();
+  collector.reset();
+  resetBreakers();
+  clearRecallCache();
+  dropOutbox();
+});
+
+function turn(user) {
+  return { success: true, messages: [{ role: "user", content: user }, { role: "assistant", content: "noted" }] };
+}
+
+test("recall and add export spans with child API calls and retry counts", async () => {
+  stub.inject({ path: "/add/message", status: 503 });
+  await plugin.emit("agent_end", turn("My favourite editor is Helix"), ctx);
+  await plugin.emit("before_agent_start", { prompt: "Which editor do I use?" }, ctx);
+  assert.equal(await flushSpans(), 4);
+
+  const [req] = collector.requests;
+  assert.equal(req.path, "/v1/traces");
+  assert.equal(req.headers["x-api-key"], "secret=1");
+  assert.equal(req.headers["x-tenant"], "ops");
+
+  const add = collector.span("memos.add");
+  assert.equal(add.resource["service.name"], "gateway-test");
+  assert.equal(add.scope, "memos-cloud-openclaw-plugin");
+  assert.equal(add.status.code, 1);
+  assert.equal(add.attributes["memos.conversation_id"], "agent:main:chat-1");
+  assert.equal(add.attributes["memos.messages"], 2);
+  assert.equal(add.attributes["memos.backend"], "cloud");
+  assert.equal(add.attributes["memos.retry_attempts"], 1);
+
+  const addCall = collector.span("POST /add/message");
+  assert.equal(addCall.parentSpanId, add.spanId);
+  assert.equal(addCall.traceId, add.traceId);
+  assert.equal(addCall.kind, 3);
+  assert.equal(addCall.attributes["memos.attempts"], 2);
+  assert.equal(addCall.attributes["http.response.status_code"], 200);
+
+  const recall = collector.span("memos.recall");
+  assert.notEqual(recall.traceId, add.traceId);
+  assert.equal(recall.attributes["memos.conversation_id"], "agent:main:chat-1");
+  assert.equal(recall.attributes["memos.recall"], "fresh");
+  assert.equal(recall.attributes["memos.cache"], "miss");
+  assert.equal(recall.attributes["memos.result.facts"], 1);
+  assert.equal(recall.attributes["memos.injected"], 1);
+  assert.equal(recall.attributes["memos.retry_attempts"], undefined);
+  assert.ok(BigInt(recall.endTimeUnixNano) >= BigInt(recall.startTimeUnixNano));
+  assert.equal(collector.span("POST /search/memory").parentSpanId, recall.spanId);
+});
+
+test("failed operations end with an error status, and queued adds are traced on replay", async () => {
+  stub.inject({ path: "/search/memory", status: 400 });
+  stub.inject({ path: "/add/message", status: 503, times: 3 });
+  await plugin.emit("before_agent_start", { prompt: "Which editor do I use?" }, ctx);
+  await plugin.emit("agent_end", turn("Remember the launch date"), ctx);
+  assert.equal(getOutboxStatus().depth, 1);
+  await replayOutbox({ force: true });
+  await flushSpans();
+
+  const recall = collector.span("memos.recall");
+  assert.equal(recall.status.code, 2);
+  assert.equal(recall.attributes["error.type"], "client");
+  assert.equal(collector.span("POST /search/memory").attributes["http.response.status_code"], 400);
+
+  const [failed, replayed] = collector.spans.filter((s) => s.name === "memos.add");
+  assert.equal(failed.status.code, 2);
+  assert.match(failed.status.message, /HTTP 503/);
+  assert.equal(failed.attributes["memos.queued"], true);
+  assert.equal(failed.attributes["memos.retry_attempts"], 2);
+  assert.equal(replayed.status.code, 1);
+  assert.equal(replayed.attributes["memos.outbox_replay"], true);
+});
+
+test("a collector error drops the batch and is logged", async () => {
+  collector.setStatus(500);
+  startSpan("memos.add").end();
+  assert.equal(await flushSpans(), 0);
+  assert.equal(collector.requests.length, 1);
+  assert.match(plugin.logs.warn.at(-1), /OTLP export .* failed, 1 spans dropped/);
+  assert.equal(await flushSpans(), 0, "nothing left to resend");
+});
+
+test("endpoint and header parsing", () => {
+  assert.equal(tracesUrl("http://c:4318/"), "http://c:4318/v1/traces");
+  assert.equal(tracesUrl("http://c:4318/v1/traces"), "http://c:4318/v1/traces");
+  assert.deepEqual(parseOtlpHeaders(" a = 1 ,bad, b=x%20y"), { a: "1", b: "x y" });
+  assert.deepEqual(parseOtlpHeaders(""), {});
+});